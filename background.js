@@ -3,29 +3,210 @@
 // - Service worker lifecycle
 // - Extension message passing
 // - Offscreen document management
+// - Change history persistence
+// - Record diffs between captures
+// - Snapshot archive
+// - Data export downloads
+// - Watch rule distribution to content scripts
+// - Popup notification log and OS notifications
+// - Webhook deliveries for change events
+// - Settings broadcast
+// - Content script registration for portal origins
+// - Scheduled auto-refresh of portal tabs
+// - Registry of monitored tabs
+// - Persistent log shared by every context
+// - Two-way sync with the backend
+// - Storage schema migrations on install and update
+
+import CONFIG from './src/config.js';
+import { MESSAGE_TARGETS, createMessageRouter, sendMessage } from './src/messages.js';
+import { LOG_CONTEXTS, createLogger, appendLogEntries, clearLogs } from './src/logger.js';
+import { recordChange, queryChanges } from './src/history.js';
+import { WATCH_RULES_KEY, getWatchRules } from './src/rules.js';
+import { EXTRACTORS_KEY, getExtractors } from './src/records.js';
+import { trackRecords } from './src/recordTracking.js';
+import { saveSnapshot } from './src/snapshots.js';
+import { downloadExport } from './src/export.js';
+import { getEmailSettings } from './src/email.js';
+import {
+  WEBHOOK_ALARM,
+  createChangePayload,
+  enqueueWebhookPayload,
+  flushWebhookOutbox,
+  getOutbox
+} from './src/webhooks.js';
+import {
+  createNotificationFromChange,
+  addNotification,
+  getNotifications,
+  markNotificationRead,
+  dismissNotification
+} from './src/notifications.js';
+import { queueSystemNotification, registerNotificationListeners } from './src/systemNotifications.js';
+import { getSettings, onSettingsChanged } from './src/settings.js';
+import { syncContentScripts, injectIntoOpenTabs, getGrantedPatterns } from './src/origins.js';
+import { SYNC_ALARM, getSyncState, runSync, scheduleSync } from './src/sync.js';
+import { debounce } from './src/utils.js';
+import { onStorageChanged, getCached, setCached, purgeExpiredCache } from './src/storage.js';
+import { runMigrations } from './src/migrations.js';
+import {
+  TAB_RESUME_ALARM_PREFIX,
+  registerTab,
+  unregisterTab,
+  markTabChanged,
+  setTabMonitoring,
+  handleTabUpdated,
+  probeTabs
+} from './src/tabRegistry.js';
+import {
+  REFRESH_ALARM,
+  getRefreshState,
+  ensureRefreshScheduled,
+  runRefresh,
+  setRefreshPaused
+} from './src/scheduler.js';
+
+const logger = createLogger(LOG_CONTEXTS.BACKGROUND);
 
 let offscreenCreated = false;
 
+// Cache key for the last update check result
+const UPDATE_CHECK_CACHE_KEY = 'updateCheck';
+
+// When each tab was last archived automatically
+const lastAutoSnapshotTimes = {};
+
+// Local edits are synced once they settle, not on every keystroke
+const requestSync = debounce(() => {
+  syncWithBackend().catch(error => logger.error('Error syncing:', error));
+}, CONFIG.SYNC.DEBOUNCE_DELAY);
+
+registerNotificationListeners();
+
 // Initialize offscreen document on install/startup
-chrome.runtime.onStartup.addListener(() => {
+chrome.runtime.onStartup.addListener(async () => {
+  // Retries a migration that failed when the update was installed
+  await migrateStorage();
   ensureOffscreenDocument();
+  checkForUpdates();
+  registerMonitor();
+  scheduleRefresh();
+  deliverWebhooks().catch(error => logger.error('Error delivering webhooks:', error));
+  startSync();
+  purgeExpiredCache().catch(error => logger.error('Error purging expired cache:', error));
 });
 
-chrome.runtime.onInstalled.addListener(() => {
+chrome.runtime.onInstalled.addListener(async ({ reason }) => {
+  logger.info('Extension installed:', reason);
+  await migrateStorage();
   ensureOffscreenDocument();
+  registerMonitor({ injectOpenTabs: true });
+  scheduleRefresh();
+  startSync();
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === REFRESH_ALARM) {
+    runRefresh().catch(error => logger.error('Error refreshing portal tabs:', error));
+  }
+  if (alarm.name === WEBHOOK_ALARM) {
+    deliverWebhooks().catch(error => logger.error('Error delivering webhooks:', error));
+  }
+  if (alarm.name.startsWith(TAB_RESUME_ALARM_PREFIX)) {
+    const tabId = Number(alarm.name.slice(TAB_RESUME_ALARM_PREFIX.length));
+    setTabMonitoringState(tabId, true).catch(error => logger.error('Error resuming tab monitoring:', error));
+  }
+  if (alarm.name === SYNC_ALARM) {
+    syncWithBackend().catch(error => logger.error('Error syncing:', error));
+  }
+});
+
+// Changes queued while offline go out as soon as the connection is back
+self.addEventListener('online', requestSync);
+
+// Newly granted origins get the monitor right away, including tabs that are already open
+chrome.permissions.onAdded.addListener(() => {
+  registerMonitor({ injectOpenTabs: true });
 });
 
-// Handle messages from content scripts and other extension components
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'sendEmail') {
-    handleSendEmail(request, sendResponse);
-    return true; // Keep channel open for async response
+chrome.permissions.onRemoved.addListener(() => {
+  registerMonitor();
+});
+
+// Handle messages from content scripts and other extension components (contracts in src/messages.js)
+chrome.runtime.onMessage.addListener(createMessageRouter(MESSAGE_TARGETS.BACKGROUND, {
+  getSettings: () => getSettings(),
+  getWatchRules: () => getWatchRules(),
+  getExtractors: () => getExtractors(),
+  getOffscreenStatus: () => ({ offscreenReady: offscreenCreated }),
+  getPopupStatus: () => getPopupStatus(),
+  getMonitoredTabs: () => probeTabs(),
+  setTabMonitoring: ({ tabId, enabled }) => setTabMonitoringState(tabId, enabled),
+  pauseTabMonitoring: ({ tabId, minutes }) => pauseTabMonitoring(tabId, minutes),
+  contentScriptReady: (payload, sender) => handleContentScriptReady(payload, sender),
+  changeDetected: (payload, sender) => handleChangeDetected(payload, sender),
+  recordsCaptured: (payload, sender) => handleRecordsCaptured(payload, sender),
+  archiveSnapshot: ({ tabId }) => archiveSnapshot(tabId, 'manual'),
+  exportData: ({ dataset, format, filter }) => exportToFile({ dataset, format, filter }),
+  sendEmail: payload => handleSendEmail(payload),
+  testWebhook: ({ webhookId }) => handleTestWebhook(webhookId),
+  flushWebhookOutbox: () => deliverWebhooks({ force: true }),
+  queryChanges: ({ filter }) => queryChanges(filter || {}),
+  getNotifications: () => getNotifications(),
+  markNotificationRead: ({ id }) => markNotificationRead(id),
+  dismissNotification: ({ id }) => dismissNotification(id),
+  getRefreshStatus: () => getRefreshState(),
+  setRefreshPaused: ({ paused }) => setRefreshPaused(paused),
+  appendLogs: ({ entries }, sender) => appendLogEntries(entries.map(entry => ({ ...entry, tabId: sender.tab?.id ?? null }))),
+  clearLogs: () => clearLogs(),
+  syncNow: () => syncWithBackend(),
+  runMigrations: ({ dryRun }) => runMigrations({ dryRun: dryRun === true })
+}));
+
+// Keep the tab registry in line with tab lifecycle events
+chrome.tabs.onRemoved.addListener((tabId) => {
+  chrome.alarms.clear(`${TAB_RESUME_ALARM_PREFIX}${tabId}`);
+  unregisterTab(tabId).catch(error => logger.error('Error updating tab registry:', error));
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (!changeInfo.url && !changeInfo.status && !changeInfo.title) return;
+
+  getGrantedPatterns()
+    .then(patterns => handleTabUpdated(tabId, changeInfo, patterns))
+    .catch(error => logger.error('Error updating tab registry:', error));
+});
+
+// Push settings changes (from the popup, options page or another device) to content scripts
+onSettingsChanged((settings) => {
+  broadcastToTabs('settingsChanged', { settings });
+  registerMonitor();
+  scheduleRefresh();
+  scheduleSync().catch(error => logger.error('Error scheduling sync:', error));
+  requestSync();
+});
+
+// Push watch rule edits to every content script as soon as they are saved
+onStorageChanged((changes, areaName) => {
+  if (areaName === 'local' && changes[WATCH_RULES_KEY]) {
+    broadcastToTabs('updateWatchRules', { rules: changes[WATCH_RULES_KEY].newValue || [] });
+    requestSync();
   }
-  if (request.action === 'getOffscreenStatus') {
-    sendResponse({ offscreenReady: offscreenCreated });
+  if (areaName === 'local' && changes[EXTRACTORS_KEY]) {
+    broadcastToTabs('updateExtractors', { extractors: changes[EXTRACTORS_KEY].newValue || [] });
   }
 });
 
+// Bring stored data up to the current schema before anything else reads it.
+// A failed run leaves the data as it was and is logged by runMigrations.
+async function migrateStorage() {
+  try {
+    await runMigrations();
+  } catch (error) {
+    logger.error('Error migrating storage:', error);
+  }
+}
+
 // Function to ensure offscreen document exists
 async function ensureOffscreenDocument() {
   if (offscreenCreated) return;
@@ -44,35 +225,323 @@ async function ensureOffscreenDocument() {
     // Create offscreen document if it doesn't exist
     await chrome.offscreen.createDocument({
       url: 'offscreen.html',
-      reasons: ['DOM_MANIPULATION'],
-      justification: 'Needed to interact with DOM for email sending functionality'
+      reasons: ['DOM_MANIPULATION', 'BLOBS'],
+      justification: 'Needed for email sending and to create blob URLs for export downloads'
     });
 
     offscreenCreated = true;
   } catch (error) {
-    console.error('Error ensuring offscreen document:', error);
+    logger.error('Error ensuring offscreen document:', error);
     // Silently fail - offscreen document may already exist
   }
 }
 
-// Handle sending email through offscreen document
-async function handleSendEmail(request, sendResponse) {
+// Keep the monitor content script registered for exactly the granted portal origins
+async function registerMonitor({ injectOpenTabs = false } = {}) {
   try {
-    // Ensure offscreen document is ready
-    await ensureOffscreenDocument();
-
-    // Send message to offscreen document
-    const response = await chrome.runtime.sendMessage({
-      action: 'sendEmail',
-      to: request.to,
-      cc: request.cc,
-      subject: request.subject,
-      body: request.body
-    }, { targetId: (await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] }))[0]?.contextId });
-
-    sendResponse({ success: true, message: response });
+    const patterns = await syncContentScripts();
+    if (injectOpenTabs) {
+      await injectIntoOpenTabs(patterns);
+    }
+  } catch (error) {
+    logger.error('Error registering content script:', error);
+  }
+}
+
+// Keep the auto-refresh alarm in line with the current settings
+async function scheduleRefresh() {
+  try {
+    await ensureRefreshScheduled();
+  } catch (error) {
+    logger.error('Error scheduling auto-refresh:', error);
+  }
+}
+
+// Ask the browser for an extension update when the user allows it
+async function checkForUpdates() {
+  try {
+    const { checkForUpdates: enabled } = await getSettings();
+    if (!enabled) return;
+
+    // Browser restarts in quick succession don't each ask again
+    const cached = await getCached(UPDATE_CHECK_CACHE_KEY);
+    if (cached) {
+      logger.debug('Update check skipped, last result:', cached);
+      return;
+    }
+
+    const { status } = await chrome.runtime.requestUpdateCheck();
+    await setCached(UPDATE_CHECK_CACHE_KEY, status);
+    logger.info('Update check:', status);
   } catch (error) {
-    console.error('Error sending email:', error);
-    sendResponse({ success: false, error: error.message });
+    logger.error('Error checking for updates:', error);
   }
 }
+
+// Download an export through a blob URL made by the offscreen document. The URL
+// is released once the download has finished or failed.
+async function exportToFile(options) {
+  await ensureOffscreenDocument();
+
+  const { url, ...result } = await downloadExport(options, async ({ content, mimeType }) => {
+    return (await sendMessage('createObjectUrl', { content, mimeType })).url;
+  });
+
+  const release = (delta) => {
+    if (delta.id !== result.downloadId || !['complete', 'interrupted'].includes(delta.state?.current)) return;
+    chrome.downloads.onChanged.removeListener(release);
+    sendMessage('revokeObjectUrl', { url }).catch(error => logger.debug('Could not release export URL:', error));
+  };
+  chrome.downloads.onChanged.addListener(release);
+
+  return result;
+}
+
+// Handle sending email through offscreen document; failed sends are reported as errors
+async function handleSendEmail(email) {
+  const result = await sendEmailViaOffscreen(email);
+  if (!result.success) {
+    throw new Error(result.errors.join('; '));
+  }
+  return result;
+}
+
+// Forward an email to the offscreen document and return its structured result.
+// The offscreen document can't read storage, so the email settings travel with it.
+async function sendEmailViaOffscreen(email) {
+  const settings = await getEmailSettings();
+
+  // Ensure offscreen document is ready
+  await ensureOffscreenDocument();
+
+  return sendMessage('dispatchEmail', {
+    to: email.to,
+    cc: email.cc,
+    subject: email.subject,
+    body: email.body,
+    settings
+  });
+}
+
+// Email a change notification when the email channel is enabled
+async function sendEmailAlert(notification) {
+  const { extensionEnabled, emailAlerts, emailRecipients } = await getSettings();
+  if (!extensionEnabled || !emailAlerts || !emailRecipients) return;
+
+  const result = await sendEmailViaOffscreen({
+    to: emailRecipients,
+    subject: `[Flex Portal] ${notification.title}`,
+    body: `${notification.message}\n\n${notification.url || ''}\n${notification.timestamp}`
+  });
+
+  if (!result.success) {
+    logger.error('Email alert failed:', result.errors);
+  }
+}
+
+// Register the tab of a content script that just started and tell it whether to monitor
+async function handleContentScriptReady({ url }, sender) {
+  if (!sender.tab) {
+    return { tabId: null, monitoring: true };
+  }
+  const entry = await registerTab(sender.tab, url);
+  return { tabId: sender.tab.id, monitoring: entry.monitoring };
+}
+
+// Turn monitoring in a tab on or off. Any timed pause is replaced; a new one
+// ends with an alarm, so it resumes even when the service worker was suspended.
+async function setTabMonitoringState(tabId, enabled, pausedUntil = null) {
+  const alarmName = `${TAB_RESUME_ALARM_PREFIX}${tabId}`;
+  const { active } = await sendMessage('toggleMonitoring', { enabled }, { tabId });
+
+  await chrome.alarms.clear(alarmName);
+  if (!active && pausedUntil) {
+    chrome.alarms.create(alarmName, { when: pausedUntil });
+  }
+  await setTabMonitoring(tabId, active, pausedUntil);
+  return { active, pausedUntil: active ? null : pausedUntil };
+}
+
+// Pause monitoring in a tab for a number of minutes
+function pauseTabMonitoring(tabId, minutes) {
+  if (!(minutes > 0)) {
+    throw new Error('Pause length must be a positive number of minutes');
+  }
+  return setTabMonitoringState(tabId, false, Date.now() + minutes * 60000);
+}
+
+// Persist a change event reported by a content script
+async function handleChangeDetected(change, sender) {
+  const entry = await recordChange(change, sender);
+  trackTabChange(sender.tab?.id, entry.timestamp);
+  // Without a matching watch rule a change is page noise, not worth an alert
+  if (entry.ruleId) {
+    const notification = await addNotification(createNotificationFromChange(entry));
+    queueSystemNotification(notification);
+    sendEmailAlert(notification).catch(error => logger.error('Error sending email alert:', error));
+    queueWebhooks(entry);
+  }
+  autoArchiveSnapshot(sender.tab?.id);
+  notifyPopup();
+  requestSync();
+  return { id: entry.id };
+}
+
+// Diff captured records against the previous capture and notify about changed records
+async function handleRecordsCaptured({ url, timestamp, results }, sender) {
+  const entries = [];
+
+  for (const result of results) {
+    const entry = await trackRecords({ ...result, url, timestamp }, sender);
+    if (!entry) continue;
+
+    entries.push(entry);
+    const notification = await addNotification(createNotificationFromChange(entry));
+    queueSystemNotification(notification);
+    sendEmailAlert(notification).catch(error => logger.error('Error sending email alert:', error));
+    queueWebhooks(entry);
+  }
+
+  if (entries.length > 0) {
+    trackTabChange(sender.tab?.id, timestamp);
+    autoArchiveSnapshot(sender.tab?.id);
+    notifyPopup();
+    requestSync();
+  }
+  return { ids: entries.map(entry => entry.id) };
+}
+
+// Queue a change history entry for the configured webhooks and try to deliver it right away
+function queueWebhooks(entry) {
+  enqueueWebhookPayload(createChangePayload(entry))
+    .then(deliveries => (deliveries.length > 0 ? deliverWebhooks() : null))
+    .catch(error => logger.error('Error queueing webhooks:', error));
+}
+
+// Flush the webhook outbox. The alarm stays armed while deliveries are pending
+// so they are retried after the service worker restarts.
+async function deliverWebhooks(options = {}) {
+  try {
+    const result = await flushWebhookOutbox(options);
+    await syncWebhookAlarm(result.remaining);
+    return result;
+  } catch (error) {
+    await syncWebhookAlarm((await getOutbox()).length);
+    throw error;
+  }
+}
+
+// Create or clear the outbox alarm depending on whether deliveries are pending
+async function syncWebhookAlarm(pending) {
+  if (pending === 0) {
+    await chrome.alarms.clear(WEBHOOK_ALARM);
+    return;
+  }
+  if (!(await chrome.alarms.get(WEBHOOK_ALARM))) {
+    chrome.alarms.create(WEBHOOK_ALARM, { periodInMinutes: CONFIG.WEBHOOKS.OUTBOX_ALARM_PERIOD });
+  }
+}
+
+// Send a sample event to one webhook so its endpoint and secret can be checked from the options page
+async function handleTestWebhook(webhookId) {
+  const deliveries = await enqueueWebhookPayload({
+    event: 'webhook.test',
+    changeId: null,
+    ruleId: null,
+    ruleName: null,
+    url: null,
+    timestamp: new Date().toISOString(),
+    summary: 'Test delivery from Flex Portal Extension',
+    diff: null
+  }, { webhookId });
+
+  if (deliveries.length === 0) {
+    throw new Error('Webhook not found');
+  }
+  return deliverWebhooks();
+}
+
+// Note the last change time of a tab in the registry
+function trackTabChange(tabId, timestamp) {
+  if (tabId == null) return;
+  markTabChanged(tabId, timestamp).catch(error => logger.error('Error updating tab registry:', error));
+}
+
+// Capture a snapshot of a tab and store it in the archive
+async function archiveSnapshot(tabId, reason) {
+  const snapshot = await sendMessage('captureSnapshot', {}, { tabId });
+  return saveSnapshot(snapshot, { tabId, reason });
+}
+
+// Arm the periodic sync alarm (or clear it when sync is off) and sync right away
+function startSync() {
+  scheduleSync()
+    .then(enabled => (enabled ? syncWithBackend() : null))
+    .catch(error => logger.error('Error scheduling sync:', error));
+}
+
+// Run a sync and tell an open popup about the outcome
+async function syncWithBackend() {
+  const state = await runSync();
+  if (state.lastError) {
+    logger.warn(`Sync ${state.status}:`, state.lastError);
+  }
+  notifyPopup();
+  return summarizeSyncState(state);
+}
+
+// The part of the sync state shown in the popup
+function summarizeSyncState(state) {
+  return {
+    status: state.status,
+    lastSyncAt: state.lastSyncAt,
+    lastError: state.lastError,
+    pendingChanges: Object.keys(state.pending).length
+  };
+}
+
+// Archive a tab after a detected change, at most once per CONFIG.SNAPSHOTS.AUTO_CAPTURE_INTERVAL
+function autoArchiveSnapshot(tabId) {
+  if (tabId == null) return;
+
+  const now = Date.now();
+  if (now - (lastAutoSnapshotTimes[tabId] || 0) < CONFIG.SNAPSHOTS.AUTO_CAPTURE_INTERVAL) return;
+  lastAutoSnapshotTimes[tabId] = now;
+
+  archiveSnapshot(tabId, 'auto').catch(error => logger.error('Error archiving snapshot:', error));
+}
+
+// Summarize the extension state for the popup
+async function getPopupStatus() {
+  const [settings, notifications, refresh, outbox, sync] = await Promise.all([
+    getSettings(),
+    getNotifications(),
+    getRefreshState(),
+    getOutbox(),
+    getSyncState()
+  ]);
+
+  return {
+    extensionEnabled: settings.extensionEnabled,
+    offscreenReady: offscreenCreated,
+    unreadNotifications: notifications.filter(notification => !notification.read).length,
+    refresh,
+    pendingWebhooks: outbox.length,
+    sync: summarizeSyncState(sync)
+  };
+}
+
+// Tell an open popup to reload its data (fails quietly when the popup is closed)
+function notifyPopup() {
+  sendMessage('updatePopup').catch(() => {});
+}
+
+// Send a message to the content script in every open tab
+async function broadcastToTabs(action, payload) {
+  const tabs = await chrome.tabs.query({});
+  await Promise.all(tabs.map(tab =>
+    sendMessage(action, payload, { tabId: tab.id }).catch(() => {
+      // No content script in this tab
+    })
+  ));
+}
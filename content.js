@@ -8,28 +8,77 @@
 const CONFIG = {
   MONITOR_INTERVAL: 1000, // Check for changes every 1 second
   DEBOUNCE_DELAY: 500, // Debounce change notifications
+  RECORD_CAPTURE_DELAY: 2000, // Capture records once the page has been quiet this long
   MUTATION_CONFIG: {
     childList: true,
     subtree: true,
     attributes: true,
+    attributeOldValue: true,
     attributeFilter: ['class', 'data-*', 'style'],
-    characterData: false
+    characterData: true,
+    characterDataOldValue: true
   }
 };
 
 // State tracking
-let lastNotificationTime = 0;
+let lastRuleNotificationTimes = {};
+let pendingRuleChanges = {}; // Rule id -> {rule, changeDetails, matchedElements, timer}
 let observerInstance = null;
 let monitoringActive = true;
+let extensionEnabled = true;
+let watchRules = [];
+let diffModule = null;
+let recordExtractors = [];
+let recordCaptureTimer = null;
+let regionBaselines = {};
+let textBaselines = new WeakMap();
+let servedSignature = null;
+
+// Shared message contracts and logger (content scripts can't use static imports)
+const messaging = import(chrome.runtime.getURL('src/messages.js'));
+const logging = import(chrome.runtime.getURL('src/logger.js'))
+  .then(({ LOG_CONTEXTS, createLogger }) => createLogger(LOG_CONTEXTS.CONTENT));
 
 /**
  * Initialize the content script
  */
 function init() {
-  console.log('[Flex Portal Extension] Content script initialized');
+  log('info', 'Content script initialized');
   setupMutationObserver();
   setupMessageListener();
   notifyExtensionReady();
+  loadDiffModule();
+  loadSettings();
+  loadWatchRules();
+  loadExtractors();
+}
+
+/**
+ * Request the current settings from the background script
+ */
+function loadSettings() {
+  sendToBackground('getSettings').then(applySettings).catch((error) => {
+    log('warn', 'Failed to load settings:', error);
+  });
+}
+
+/**
+ * Apply settings pushed by the background script
+ * @param {Object} settings - Complete settings
+ */
+function applySettings(settings) {
+  extensionEnabled = settings.extensionEnabled !== false;
+}
+
+/**
+ * Load the shared diff helpers (content scripts can't use static imports)
+ */
+function loadDiffModule() {
+  import(chrome.runtime.getURL('src/diff.js')).then((module) => {
+    diffModule = module;
+  }).catch((error) => {
+    log('warn', 'Failed to load diff helpers:', error);
+  });
 }
 
 /**
@@ -43,8 +92,211 @@ function setupMutationObserver() {
   observerInstance = new MutationObserver(callback);
   
   // Start observing the document
-  observerInstance.observe(document.documentElement, CONFIG.MUTATION_CONFIG);
-  console.log('[Flex Portal Extension] MutationObserver started');
+  observerInstance.observe(document.documentElement, getMutationConfig());
+  log('debug', 'MutationObserver started');
+}
+
+/**
+ * Build the observer options, widening the attribute filter to cover
+ * attributes that watch rules care about
+ * @returns {Object} MutationObserver options
+ */
+function getMutationConfig() {
+  const ruleAttributes = getActiveRules()
+    .map((rule) => rule.attribute || rule.predicate?.attribute)
+    .filter(Boolean);
+
+  return {
+    ...CONFIG.MUTATION_CONFIG,
+    attributeFilter: [...new Set([...CONFIG.MUTATION_CONFIG.attributeFilter, ...ruleAttributes])]
+  };
+}
+
+/**
+ * Restart the observer so a new attribute filter takes effect
+ */
+function restartMutationObserver() {
+  if (!observerInstance) return;
+  observerInstance.disconnect();
+  observerInstance.observe(document.documentElement, getMutationConfig());
+}
+
+/**
+ * Request the current watch rules from the background script
+ */
+function loadWatchRules() {
+  sendToBackground('getWatchRules').then(applyWatchRules).catch((error) => {
+    log('warn', 'Failed to load watch rules:', error);
+  });
+}
+
+/**
+ * Request the record extractors from the background script
+ */
+function loadExtractors() {
+  sendToBackground('getExtractors').then(applyExtractors).catch((error) => {
+    log('warn', 'Failed to load extractors:', error);
+  });
+}
+
+/**
+ * Replace the record extractors and capture records with them
+ * @param {Object[]} extractors - Extractors pushed by the background script
+ */
+function applyExtractors(extractors) {
+  recordExtractors = Array.isArray(extractors) ? extractors : [];
+  scheduleRecordCapture();
+}
+
+/**
+ * Capture records once the page has settled. Every call pushes the capture back,
+ * so a burst of mutations results in a single capture.
+ */
+function scheduleRecordCapture() {
+  if (!monitoringActive || !extensionEnabled) return;
+  if (!recordExtractors.some(extractor => extractor.enabled !== false)) return;
+
+  clearTimeout(recordCaptureTimer);
+  recordCaptureTimer = setTimeout(captureRecords, CONFIG.RECORD_CAPTURE_DELAY);
+}
+
+/**
+ * Extract records and send them to the background script for diffing
+ */
+function captureRecords() {
+  extractPageRecords(recordExtractors).then((capture) => {
+    if (capture.results.length === 0) return;
+    return sendToBackground('recordsCaptured', capture);
+  }).catch((error) => {
+    log('warn', 'Failed to capture records:', error);
+  });
+}
+
+/**
+ * Replace the active watch rules
+ * @param {Object[]} rules - Rules pushed by the background script
+ */
+function applyWatchRules(rules) {
+  watchRules = Array.isArray(rules) ? rules : [];
+  cancelPendingNotifications();
+  lastRuleNotificationTimes = {};
+  servedSignature = null;
+  captureBaselines();
+  restartMutationObserver();
+  log('debug', 'Watch rules loaded:', getActiveRules().length);
+}
+
+/**
+ * Record the current text of every watched element, so later changes
+ * can be described relative to it
+ */
+function captureBaselines() {
+  regionBaselines = {};
+  textBaselines = new WeakMap();
+
+  getActiveRules().forEach((rule) => {
+    const elements = queryRuleElements(rule);
+    regionBaselines[rule.id] = elements.map(getElementText);
+    elements.forEach((element) => textBaselines.set(element, getElementText(element)));
+  });
+}
+
+/**
+ * Find every element a rule watches
+ * @param {Object} rule - Watch rule
+ * @param {Document} [root] - Document to search, the live page by default
+ * @returns {Element[]} Elements matching the rule selector
+ */
+function queryRuleElements(rule, root = document) {
+  try {
+    return [...root.querySelectorAll(rule.selector)];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Get the full, whitespace-collapsed text of an element. Text nodes are
+ * joined with spaces so adjacent cells don't run together ("3pm-6pm $72").
+ * @param {Element} element - DOM element
+ * @returns {string} Element text
+ */
+function getElementText(element) {
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  const parts = [];
+
+  while (walker.nextNode()) {
+    parts.push(walker.currentNode.data);
+  }
+
+  return parts.join(' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Describe what changed in a rule's watched region since the last event,
+ * then move the baseline forward
+ * @param {Object} rule - Watch rule that fired
+ * @param {Element[]} matchedElements - Elements the rule matched in this batch
+ * @returns {Object|null} Diff with added/removed items and text changes, or null
+ *   when the diff helpers are not loaded
+ */
+function buildRuleDiff(rule, matchedElements) {
+  if (!diffModule) return null;
+
+  const elements = queryRuleElements(rule);
+  const currentItems = elements.map(getElementText);
+  const { added, removed } = diffModule.diffItems(regionBaselines[rule.id] || [], currentItems);
+  regionBaselines[rule.id] = currentItems;
+
+  const textChanges = [];
+  matchedElements.forEach((element) => {
+    if (!element.isConnected || !textBaselines.has(element)) return;
+
+    const before = textBaselines.get(element);
+    const after = getElementText(element);
+    if (before === after) return;
+
+    textChanges.push({
+      target: getElementInfo(element),
+      before,
+      after,
+      parts: diffModule.diffWords(before, after)
+    });
+
+    // An edited element is a modification, not a removal plus an addition
+    removeFirst(removed, before);
+    removeFirst(added, after);
+  });
+
+  elements.forEach((element) => textBaselines.set(element, getElementText(element)));
+
+  const diff = {
+    kind: diffModule.describeItemKind((elements[0] || matchedElements[0])?.tagName?.toLowerCase()),
+    added,
+    removed,
+    textChanges
+  };
+  diff.summary = diffModule.summarizeDiff(diff);
+
+  return diff;
+}
+
+/**
+ * Remove the first occurrence of a value from an array in place
+ * @param {Array} array - Array to modify
+ * @param {*} value - Value to remove
+ */
+function removeFirst(array, value) {
+  const index = array.indexOf(value);
+  if (index !== -1) array.splice(index, 1);
+}
+
+/**
+ * Get the enabled watch rules
+ * @returns {Object[]} Enabled rules
+ */
+function getActiveRules() {
+  return watchRules.filter((rule) => rule.enabled !== false && rule.selector);
 }
 
 /**
@@ -52,61 +304,254 @@ function setupMutationObserver() {
  * @param {MutationRecord[]} mutations - Array of mutation records
  */
 function handleDOMChanges(mutations) {
-  if (!monitoringActive) return;
+  if (!monitoringActive || !extensionEnabled) return;
+
+  const relevantMutations = mutations.filter((mutation) => !shouldIgnoreMutation(mutation));
+  if (relevantMutations.length === 0) return;
 
-  const changeDetails = {
+  scheduleRecordCapture();
+
+  // Only mutations matching a watch rule are reported; without rules nothing is
+  getActiveRules().forEach((rule) => {
+    const matchedChanges = [];
+    const matchedElements = [];
+
+    relevantMutations.forEach((mutation) => {
+      const elements = evaluateRule(rule, mutation);
+      if (elements.length > 0) {
+        matchedElements.push(...elements);
+        matchedChanges.push({
+          ...describeMutation(mutation),
+          matched: elements.slice(0, 10).map(getElementInfo)
+        });
+      }
+    });
+
+    if (matchedChanges.length > 0) {
+      const changeDetails = createChangeDetails(mutations.length, matchedChanges);
+      changeDetails.ruleId = rule.id;
+      changeDetails.ruleName = rule.name;
+      debouncedNotifyRuleChanges(rule, changeDetails, matchedElements);
+    }
+  });
+}
+
+/**
+ * Create the payload for a changeDetected event
+ * @param {number} mutationCount - Number of mutations in the batch
+ * @param {Object[]} changes - Described changes
+ * @returns {Object} Change details
+ */
+function createChangeDetails(mutationCount, changes) {
+  return {
     timestamp: new Date().toISOString(),
-    mutationCount: mutations.length,
-    changes: []
+    url: window.location.href,
+    mutationCount,
+    changes
   };
+}
 
-  mutations.forEach((mutation) => {
-    if (shouldIgnoreMutation(mutation)) return;
+/**
+ * Describe a mutation record in a serializable form
+ * @param {MutationRecord} mutation - Mutation record
+ * @returns {Object} Change information
+ */
+function describeMutation(mutation) {
+  const changeInfo = {
+    type: mutation.type,
+    target: getElementInfo(getMutationElement(mutation)),
+    details: {}
+  };
 
-    const changeInfo = {
-      type: mutation.type,
-      target: getElementInfo(mutation.target),
-      details: {}
+  if (mutation.type === 'childList') {
+    changeInfo.details = {
+      addedNodes: mutation.addedNodes.length,
+      removedNodes: mutation.removedNodes.length
     };
+  } else if (mutation.type === 'attributes') {
+    changeInfo.details = {
+      attribute: mutation.attributeName,
+      oldValue: mutation.oldValue,
+      newValue: mutation.target.getAttribute(mutation.attributeName)
+    };
+  } else if (mutation.type === 'characterData') {
+    changeInfo.details = {
+      oldValue: mutation.oldValue,
+      newValue: mutation.target.textContent
+    };
+  }
+
+  return changeInfo;
+}
+
+/**
+ * Get the element a mutation happened on (text node mutations map to their parent)
+ * @param {MutationRecord} mutation - Mutation record
+ * @returns {Element|null} Element
+ */
+function getMutationElement(mutation) {
+  return mutation.target.nodeType === Node.ELEMENT_NODE
+    ? mutation.target
+    : mutation.target.parentElement;
+}
 
+/**
+ * Find the elements a watch rule matches within a mutation
+ * @param {Object} rule - Watch rule
+ * @param {MutationRecord} mutation - Mutation record
+ * @returns {Element[]} Matched elements that also satisfy the rule's predicate
+ */
+function evaluateRule(rule, mutation) {
+  const candidates = [];
+  const wants = (event) => rule.event === 'any' || rule.event === event;
+
+  try {
     if (mutation.type === 'childList') {
-      changeInfo.details = {
-        addedNodes: mutation.addedNodes.length,
-        removedNodes: mutation.removedNodes.length
-      };
-    } else if (mutation.type === 'attributes') {
-      changeInfo.details = {
-        attribute: mutation.attributeName,
-        oldValue: mutation.oldValue,
-        newValue: mutation.target.getAttribute(mutation.attributeName)
-      };
-    } else if (mutation.type === 'characterData') {
-      changeInfo.details = {
-        oldValue: mutation.oldValue,
-        newValue: mutation.target.textContent
-      };
+      if (wants('added')) {
+        candidates.push(...findMatchingNodes(mutation.addedNodes, rule.selector));
+      }
+      if (wants('removed')) {
+        candidates.push(...findMatchingNodes(mutation.removedNodes, rule.selector));
+      }
+      // Replacing an element's text shows up as a childList change on the element
+      if (wants('text')) {
+        const element = getMutationElement(mutation)?.closest(rule.selector);
+        if (element) candidates.push(element);
+      }
+    } else if (mutation.type === 'characterData' && wants('text')) {
+      const element = getMutationElement(mutation)?.closest(rule.selector);
+      if (element) candidates.push(element);
+    } else if (mutation.type === 'attributes' && wants('attribute')) {
+      const attributeMatches = !rule.attribute || rule.attribute === mutation.attributeName;
+      if (attributeMatches && mutation.target.matches(rule.selector)) {
+        candidates.push(mutation.target);
+      }
     }
+  } catch (error) {
+    // Invalid selectors are rejected when saving, but never let one break observation
+    log('warn', 'Rule evaluation failed:', rule.id, error);
+    return [];
+  }
 
-    changeDetails.changes.push(changeInfo);
+  return [...new Set(candidates)].filter((element) => checkPredicate(rule.predicate, element));
+}
+
+/**
+ * Collect element nodes (and their descendants) that match a selector
+ * @param {NodeList} nodes - Added or removed nodes
+ * @param {string} selector - CSS selector
+ * @returns {Element[]} Matching elements
+ */
+function findMatchingNodes(nodes, selector) {
+  const matches = [];
+
+  nodes.forEach((node) => {
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+    if (node.matches(selector)) matches.push(node);
+    matches.push(...node.querySelectorAll(selector));
   });
 
-  // Debounce notifications
-  if (changeDetails.changes.length > 0) {
-    debouncedNotifyChanges(changeDetails);
+  return matches;
+}
+
+/**
+ * Check a rule predicate against an element
+ * @param {Object|null} predicate - Rule predicate
+ * @param {Element} element - Matched element
+ * @returns {boolean} Whether the element satisfies the predicate
+ */
+function checkPredicate(predicate, element) {
+  if (!predicate) return true;
+
+  const text = element.textContent?.trim() || '';
+
+  switch (predicate.type) {
+    case 'textContains':
+      return text.toLowerCase().includes(String(predicate.value).toLowerCase());
+
+    case 'textMatches':
+      return new RegExp(predicate.value, 'i').test(text);
+
+    case 'numberBelow':
+      return parseNumericText(text) < Number(predicate.value);
+
+    case 'numberAbove':
+      return parseNumericText(text) > Number(predicate.value);
+
+    case 'attributeEquals':
+      return element.getAttribute(predicate.attribute) === String(predicate.value);
+
+    default:
+      return false;
   }
 }
 
 /**
- * Debounced change notification
+ * Pull the first number out of element text (e.g. "$72.50" -> 72.5)
+ * @param {string} text - Element text
+ * @returns {number} Parsed number, or NaN when there is none
+ */
+function parseNumericText(text) {
+  const match = text.replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : NaN;
+}
+
+/**
+ * Debounced notification for a single watch rule, so one busy rule
+ * doesn't suppress events from the others. Matches inside the debounce window
+ * are held and sent together when it closes. The diff is only computed for
+ * events that are actually sent, so the baseline keeps everything that
+ * happened since the last one.
+ * @param {Object} rule - Rule that fired
  * @param {Object} changeDetails - Details of changes detected
+ * @param {Element[]} matchedElements - Elements the rule matched
  */
-function debouncedNotifyChanges(changeDetails) {
-  const now = Date.now();
-  
-  if (now - lastNotificationTime >= CONFIG.DEBOUNCE_DELAY) {
-    lastNotificationTime = now;
-    notifyChangesDetected(changeDetails);
+function debouncedNotifyRuleChanges(rule, changeDetails, matchedElements) {
+  const pending = pendingRuleChanges[rule.id] || { matchedElements: [], timer: null };
+  pending.rule = rule;
+  pending.changeDetails = changeDetails;
+  pending.matchedElements.push(...matchedElements);
+  pendingRuleChanges[rule.id] = pending;
+
+  const wait = (lastRuleNotificationTimes[rule.id] || 0) + CONFIG.DEBOUNCE_DELAY - Date.now();
+  if (wait <= 0) {
+    flushRuleChange(rule.id);
+  } else if (!pending.timer) {
+    pending.timer = setTimeout(() => flushRuleChange(rule.id), wait);
+  }
+}
+
+/**
+ * Send the change held for a watch rule, with the diff of every element it
+ * matched since the last event
+ * @param {string} ruleId - Rule id
+ */
+function flushRuleChange(ruleId) {
+  const pending = pendingRuleChanges[ruleId];
+  if (!pending) return;
+
+  clearTimeout(pending.timer);
+  delete pendingRuleChanges[ruleId];
+  if (!monitoringActive || !extensionEnabled) return;
+
+  lastRuleNotificationTimes[ruleId] = Date.now();
+
+  const { rule, changeDetails } = pending;
+  const diff = buildRuleDiff(rule, [...new Set(pending.matchedElements)]);
+  if (diff) {
+    changeDetails.diff = diff;
+    changeDetails.summary = diff.summary;
   }
+
+  notifyChangesDetected(changeDetails);
+}
+
+/**
+ * Drop changes still waiting for their debounce window
+ */
+function cancelPendingNotifications() {
+  Object.values(pendingRuleChanges).forEach(pending => clearTimeout(pending.timer));
+  pendingRuleChanges = {};
 }
 
 /**
@@ -114,11 +559,8 @@ function debouncedNotifyChanges(changeDetails) {
  * @param {Object} changeDetails - Details of changes detected
  */
 function notifyChangesDetected(changeDetails) {
-  chrome.runtime.sendMessage({
-    action: 'changeDetected',
-    data: changeDetails
-  }).catch((error) => {
-    console.warn('[Flex Portal Extension] Failed to send message:', error);
+  sendToBackground('changeDetected', changeDetails).catch((error) => {
+    log('warn', 'Failed to send message:', error);
   });
 }
 
@@ -126,48 +568,82 @@ function notifyChangesDetected(changeDetails) {
  * Notify that content script is ready
  */
 function notifyExtensionReady() {
-  chrome.runtime.sendMessage({
-    action: 'contentScriptReady',
+  sendToBackground('contentScriptReady', {
+    url: window.location.href,
     timestamp: new Date().toISOString()
+  }).then((response) => {
+    // Monitoring stays off across reloads when it was stopped or paused for this tab
+    monitoringActive = response.monitoring !== false;
   }).catch((error) => {
-    console.warn('[Flex Portal Extension] Failed to notify ready:', error);
+    log('warn', 'Failed to notify ready:', error);
   });
 }
 
 /**
- * Setup message listener for commands from background script
+ * Send a request to the background script
+ * @param {string} action - Action declared in src/messages.js
+ * @param {Object} [payload] - Action payload
+ * @returns {Promise<*>} The handler's data
  */
-function setupMessageListener() {
-  chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    console.log('[Flex Portal Extension] Message received:', request.action);
-
-    switch (request.action) {
-      case 'toggleMonitoring':
-        monitoringActive = request.enabled;
-        sendResponse({ 
-          success: true, 
-          message: `Monitoring ${monitoringActive ? 'enabled' : 'disabled'}` 
-        });
-        break;
+function sendToBackground(action, payload) {
+  return messaging.then(({ sendMessage }) => sendMessage(action, payload));
+}
 
-      case 'getPageInfo':
-        sendResponse(getPageInfo());
-        break;
+/**
+ * Log through the shared logger
+ * @param {string} level - 'debug', 'info', 'warn' or 'error'
+ * @param {...*} args - Values to log
+ */
+function log(level, ...args) {
+  logging.then(logger => logger[level](...args)).catch(() => console[level](...args));
+}
 
-      case 'getMonitoringStatus':
-        sendResponse({
-          active: monitoringActive,
-          timestamp: new Date().toISOString()
-        });
-        break;
+/**
+ * Setup message listener for commands from background script
+ */
+function setupMessageListener() {
+  const handlers = {
+    toggleMonitoring: ({ enabled }) => {
+      monitoringActive = enabled;
+      return { active: monitoringActive };
+    },
+    getPageInfo: () => getPageInfo(),
+    getMonitoringStatus: () => ({
+      active: monitoringActive,
+      timestamp: new Date().toISOString()
+    }),
+    captureSnapshot: () => capturePageSnapshot(),
+    settingsChanged: ({ settings }) => {
+      applySettings(settings);
+    },
+    updateWatchRules: ({ rules }) => {
+      applyWatchRules(rules);
+      return { ruleCount: getActiveRules().length };
+    },
+    updateExtractors: ({ extractors }) => {
+      applyExtractors(extractors);
+    },
+    extractRecords: ({ extractors, extractorId }) => extractPageRecords(extractors, extractorId),
+    softRefresh: () => softRefresh()
+  };
 
-      case 'captureSnapshot':
-        sendResponse(capturePageSnapshot());
-        break;
+  const router = messaging.then(({ MESSAGE_TARGETS, createMessageRouter }) =>
+    createMessageRouter(MESSAGE_TARGETS.CONTENT, handlers)
+  );
 
-      default:
-        sendResponse({ error: 'Unknown action' });
-    }
+  // Registered right away so no request is lost while the router loads
+  chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    log('debug', 'Message received:', request.action);
+
+    router.then((route) => {
+      // Requests the router doesn't answer would otherwise hang until they time out
+      if (!route(request, sender, sendResponse)) sendResponse();
+    }).catch((error) => {
+      // MESSAGE_ERRORS lives in the module that failed to load, so its code is spelled out
+      log('error', 'Message router failed to load:', error);
+      sendResponse({ ok: false, id: request.id, error: { code: 'HANDLER_ERROR', message: error.message } });
+    });
+    return true; // Keep channel open for async response
   });
 }
 
@@ -181,7 +657,89 @@ function getPageInfo() {
     title: document.title,
     timestamp: new Date().toISOString(),
     domSize: document.documentElement.outerHTML.length,
-    elementCount: document.querySelectorAll('*').length
+    elementCount: document.querySelectorAll('*').length,
+    responseStatus: getResponseStatus()
+  };
+}
+
+/**
+ * Get the HTTP status the current document was served with
+ * @returns {number} Status code, 0 when the browser does not expose it
+ */
+function getResponseStatus() {
+  const [navigation] = performance.getEntriesByType('navigation');
+  return navigation?.responseStatus || 0;
+}
+
+/**
+ * Check the page without reloading it. The current URL is fetched again, which
+ * reports the portal's HTTP status, and records are re-extracted from the live
+ * DOM. The live DOM is never patched from the fetched HTML - that would break
+ * the portal's own scripts - so when the served content of the watched regions
+ * changed since the last check a full reload is requested instead. Pages that
+ * render client-side serve the same shell every time and are never reloaded.
+ * @returns {Promise<Object>} HTTP status and reload hint
+ */
+async function softRefresh() {
+  const response = await fetch(window.location.href, {
+    credentials: 'include',
+    cache: 'no-store'
+  });
+
+  if (!response.ok) {
+    return { status: response.status, needsReload: false };
+  }
+
+  const fresh = new DOMParser().parseFromString(await response.text(), 'text/html');
+  const signature = getServedSignature(fresh);
+  const needsReload = servedSignature !== null && signature !== servedSignature;
+  servedSignature = signature;
+
+  scheduleRecordCapture();
+  return { status: response.status, needsReload };
+}
+
+/**
+ * Summarize the text of the watched regions (the whole body without rules) in a fetched document
+ * @param {Document} fetched - Parsed response
+ * @returns {string} Signature to compare between soft refreshes
+ */
+function getServedSignature(fetched) {
+  const rules = getActiveRules();
+  if (rules.length === 0) {
+    return fetched.body ? getElementText(fetched.body) : '';
+  }
+
+  return JSON.stringify(rules.map(rule => queryRuleElements(rule, fetched).map(getElementText)));
+}
+
+/**
+ * Extract typed records with every enabled extractor that applies to this page
+ * @param {Object[]} [extractors] - Extractors to run instead of the stored ones
+ * @param {string} [extractorId] - Only run the extractor with this id
+ * @returns {Promise<Object>} Records and parse warnings per extractor
+ */
+async function extractPageRecords(extractors, extractorId) {
+  const recordsModule = await import(chrome.runtime.getURL('src/records.js'));
+
+  if (!extractors) {
+    extractors = await sendToBackground('getExtractors');
+  }
+
+  const results = extractors
+    .filter(extractor => !extractorId || extractor.id === extractorId)
+    .filter(extractor => extractor.enabled !== false)
+    .filter(extractor => recordsModule.extractorMatchesUrl(extractor, window.location.href))
+    .map(extractor => ({
+      extractorId: extractor.id,
+      name: extractor.name,
+      ...recordsModule.extractRecords(document, extractor)
+    }));
+
+  return {
+    url: window.location.href,
+    timestamp: new Date().toISOString(),
+    results
   };
 }
 
@@ -195,6 +753,7 @@ function capturePageSnapshot() {
     url: window.location.href,
     title: document.title,
     bodyContent: document.body.innerHTML.substring(0, 10000), // Limit size
+    bodyText: document.body.innerText ?? getElementText(document.body), // Full visible text, one block per line
     formData: captureFormData(),
     pageMetadata: getPageMetadata()
   };
@@ -240,6 +799,7 @@ function getPageMetadata() {
  * @returns {Object} Element information
  */
 function getElementInfo(element) {
+  if (!element) return null;
   return {
     tag: element.tagName?.toLowerCase(),
     id: element.id || null,
@@ -254,9 +814,11 @@ function getElementInfo(element) {
  * @returns {boolean} Whether to ignore this mutation
  */
 function shouldIgnoreMutation(mutation) {
-  // Ignore script and style tags
-  if (mutation.target.tagName?.toLowerCase?.() === 'script' || 
-      mutation.target.tagName?.toLowerCase?.() === 'style') {
+  // Ignore script and style tags (text node changes are checked against their parent)
+  const element = getMutationElement(mutation);
+  if (!element ||
+      element.tagName?.toLowerCase?.() === 'script' ||
+      element.tagName?.toLowerCase?.() === 'style') {
     return true;
   }
 
@@ -278,8 +840,9 @@ function stop() {
     observerInstance.disconnect();
     observerInstance = null;
   }
+  cancelPendingNotifications();
   monitoringActive = false;
-  console.log('[Flex Portal Extension] Content script stopped');
+  log('debug', 'Content script stopped');
 }
 
 // Cleanup on page unload
@@ -299,6 +862,8 @@ if (typeof module !== 'undefined' && module.exports) {
     stop,
     getPageInfo,
     capturePageSnapshot,
-    setupMutationObserver
+    setupMutationObserver,
+    evaluateRule,
+    checkPredicate
   };
 }
@@ -0,0 +1,171 @@
+/**
+ * Log Viewer - browses, filters and exports the persistent log kept by src/logger.js
+ */
+
+import CONFIG from './src/config.js';
+import { LOG_STORAGE_KEY, LOG_CONTEXTS, getLogs, filterLogs } from './src/logger.js';
+import { sendMessage } from './src/messages.js';
+import { debounce } from './src/utils.js';
+import { initTheme } from './src/theme.js';
+import { onStorageChanged } from './src/storage.js';
+
+// Rows rendered at once; exports always include every matching entry
+const ENTRIES_SHOWN = 500;
+
+const LEVEL_BADGES = {
+  debug: 'badge-secondary',
+  info: 'badge-info',
+  warn: 'badge-warning',
+  error: 'badge-danger'
+};
+
+// Entries currently stored, newest first
+let entries = [];
+
+document.addEventListener('DOMContentLoaded', initializeLogViewer);
+
+/**
+ * Initialize the log viewer
+ */
+function initializeLogViewer() {
+  initTheme().catch(error => showToast(`Could not apply theme: ${error.message}`, 'error'));
+
+  const context = document.getElementById('log-context');
+  Object.values(LOG_CONTEXTS).forEach((value) => {
+    context.add(new Option(value, value));
+  });
+  document.getElementById('log-level').value = CONFIG.LOGGING.LEVEL;
+
+  attachLogHandlers();
+  loadLogs();
+
+  // Entries keep arriving while the page is open
+  onStorageChanged((changes, areaName) => {
+    if (areaName === 'local' && changes[LOG_STORAGE_KEY]) {
+      entries = changes[LOG_STORAGE_KEY].newValue || [];
+      renderLogs();
+    }
+  });
+}
+
+/**
+ * Load the stored log and render it
+ */
+async function loadLogs() {
+  try {
+    entries = await getLogs();
+    renderLogs();
+  } catch (error) {
+    showToast(`Could not load logs: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Read the filter controls
+ * @returns {object} - {level, context, search}
+ */
+function getFilter() {
+  return {
+    level: document.getElementById('log-level').value,
+    context: document.getElementById('log-context').value || undefined,
+    search: document.getElementById('log-search').value.trim() || undefined
+  };
+}
+
+/**
+ * Render the entries that match the filter
+ */
+function renderLogs() {
+  const matching = filterLogs(entries, getFilter());
+  const tbody = document.querySelector('#log-table tbody');
+  tbody.textContent = '';
+  document.getElementById('log-empty').classList.toggle('hidden', matching.length > 0);
+
+  matching.slice(0, ENTRIES_SHOWN).forEach((entry) => {
+    const row = document.createElement('tr');
+
+    const time = createCell(new Date(entry.timestamp).toLocaleString());
+    time.className = 'log-time';
+
+    const level = document.createElement('td');
+    const badge = document.createElement('span');
+    badge.className = `badge ${LEVEL_BADGES[entry.level] || 'badge-secondary'}`;
+    badge.textContent = entry.level;
+    level.appendChild(badge);
+
+    const source = createCell(typeof entry.tabId === 'number' ? `${entry.context} (tab ${entry.tabId})` : entry.context);
+
+    const message = createCell(entry.message);
+    message.className = 'log-message';
+
+    row.append(time, level, source, message);
+    tbody.appendChild(row);
+  });
+
+  const shown = Math.min(matching.length, ENTRIES_SHOWN);
+  document.getElementById('log-usage').textContent =
+    `Showing ${shown} of ${matching.length} matching entr${matching.length === 1 ? 'y' : 'ies'} (${entries.length} stored)`;
+}
+
+/**
+ * Attach handlers for the filter, export and clear controls
+ */
+function attachLogHandlers() {
+  document.getElementById('log-level').addEventListener('change', renderLogs);
+  document.getElementById('log-context').addEventListener('change', renderLogs);
+  document.getElementById('log-search').addEventListener('input', debounce(renderLogs, 200));
+
+  document.getElementById('log-export').addEventListener('click', () => {
+    sendMessage('exportData', {
+      dataset: 'logs',
+      format: document.getElementById('log-export-format').value,
+      filter: getFilter()
+    }).then(({ count, filename }) => {
+      showToast(`Exported ${count} entr${count === 1 ? 'y' : 'ies'} to ${filename}`, 'success');
+    }).catch((error) => {
+      showToast(`Export failed: ${error.message}`, 'error');
+    });
+  });
+
+  document.getElementById('log-clear').addEventListener('click', async () => {
+    if (!confirm('Delete every log entry?')) return;
+
+    try {
+      // The service worker owns the log, so it clears it between writes
+      await sendMessage('clearLogs');
+      showToast('Logs cleared', 'success');
+    } catch (error) {
+      showToast(`Could not clear logs: ${error.message}`, 'error');
+    }
+  });
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Create a table cell with text
+ * @param {string} text - Cell text
+ * @returns {HTMLElement}
+ */
+function createCell(text) {
+  const cell = document.createElement('td');
+  cell.textContent = text;
+  return cell;
+}
+
+/**
+ * Show a transient message
+ * @param {string} message - Message text
+ * @param {string} type - success, error, warning or info
+ */
+function showToast(message, type = 'info') {
+  const toast = document.createElement('div');
+  toast.className = `alert alert-${type === 'error' ? 'danger' : type}`;
+  toast.setAttribute('role', 'alert');
+  toast.textContent = message;
+
+  document.getElementById('toast-container').appendChild(toast);
+  setTimeout(() => toast.remove(), CONFIG.UI.NOTIFICATION_DURATION);
+}
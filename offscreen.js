@@ -0,0 +1,29 @@
+/**
+ * Offscreen Document Script - Handles work the service worker can't do itself
+ * Currently: email dispatch for the dispatchEmail action, and blob URLs for
+ * export downloads (service workers can't create object URLs)
+ */
+
+import { MESSAGE_TARGETS, createMessageRouter } from './src/messages.js';
+import { sendEmail } from './src/email.js';
+import { LOG_CONTEXTS, createLogger } from './src/logger.js';
+
+const logger = createLogger(LOG_CONTEXTS.OFFSCREEN);
+
+// Only answers actions addressed to the offscreen document. The structured result
+// is returned as-is, so a failed send still reaches the caller with its errors.
+chrome.runtime.onMessage.addListener(createMessageRouter(MESSAGE_TARGETS.OFFSCREEN, {
+  dispatchEmail: ({ settings, ...request }) => sendEmail(request, { settings }).catch((error) => {
+    logger.error('Error sending email:', error);
+    return { success: false, errors: [error.message] };
+  }),
+  createObjectUrl: ({ content, mimeType }) => ({
+    url: URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }))
+  }),
+  revokeObjectUrl: ({ url }) => {
+    URL.revokeObjectURL(url);
+    return { revoked: true };
+  }
+}));
+
+logger.debug('Document loaded');
@@ -0,0 +1,1071 @@
+/**
+ * Options Page Script - Advanced configuration too large for the popup
+ * Uses the same storage keys as the popup and background script
+ */
+
+import CONFIG from './src/config.js';
+import { getSettings, saveSettings, isValidOrigin } from './src/settings.js';
+import { bindSettingsForm } from './src/settingsForm.js';
+import { WATCH_RULES_KEY, getWatchRules, upsertRule, removeRule, createRule, validateRule } from './src/rules.js';
+import { EXTRACTORS_KEY, getExtractors, saveExtractors, createExtractor, validateExtractor } from './src/records.js';
+import { getEmailSettings, EMAIL_SETTINGS_KEY } from './src/email.js';
+import { toMatchPattern, requestOriginAccess, releaseOriginAccess, getGrantedPatterns } from './src/origins.js';
+import {
+  WEBHOOKS_KEY,
+  WEBHOOK_OUTBOX_KEY,
+  WEBHOOK_LOG_KEY,
+  getWebhooks,
+  saveWebhooks,
+  createWebhook,
+  validateWebhook,
+  getOutbox,
+  getDeliveryLog
+} from './src/webhooks.js';
+import { saveToStorage } from './src/utils.js';
+import { createBundle, readBundle, previewImport, applyImport, getImportedWebhookOrigins } from './src/bundle.js';
+import { onStorageChanged } from './src/storage.js';
+import { sendMessage } from './src/messages.js';
+import { LOG_CONTEXTS, createLogger } from './src/logger.js';
+import { initTheme } from './src/theme.js';
+
+const logger = createLogger(LOG_CONTEXTS.OPTIONS);
+
+// Verified bundle waiting for the user to apply it: {bundle, preview}
+let pendingImport = null;
+
+const PREDICATE_LABELS = {
+  textContains: 'text contains',
+  textMatches: 'text matches',
+  numberBelow: 'number below',
+  numberAbove: 'number above',
+  attributeEquals: 'attribute equals'
+};
+
+// Applied before the page is shown to avoid a flash of the wrong theme
+initTheme().catch(error => logger.error('Error applying theme:', error));
+
+document.addEventListener('DOMContentLoaded', initializeOptions);
+
+/**
+ * Initialize the options page
+ */
+function initializeOptions() {
+  bindSettingsForm({
+    onSaved: () => showToast('Settings saved', 'success'),
+    onError: (error) => showToast(error.message, 'error'),
+    onChange: renderOrigins
+  }).catch((error) => {
+    logger.error('Error loading settings:', error);
+  });
+
+  attachRuleHandlers();
+  loadRules();
+
+  attachExtractorHandlers();
+  loadExtractors();
+
+  attachEmailHandlers();
+  loadEmailSettings();
+
+  attachWebhookHandlers();
+  loadWebhooks();
+  loadDeliveryLog();
+
+  attachOriginHandlers();
+  attachTransferHandlers();
+
+  attachExportHandlers();
+  loadRuleFilterOptions();
+
+  document.getElementById('open-timeline').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('snapshots.html') });
+  });
+
+  // Follow rule edits made in other extension pages
+  onStorageChanged((changes, areaName) => {
+    if (areaName === 'local' && changes[WATCH_RULES_KEY]) {
+      renderRules(changes[WATCH_RULES_KEY].newValue || []);
+    }
+    if (areaName === 'local' && changes[EXTRACTORS_KEY]) {
+      renderExtractors(changes[EXTRACTORS_KEY].newValue || []);
+    }
+    if (areaName === 'local' && (changes[WATCH_RULES_KEY] || changes[EXTRACTORS_KEY])) {
+      loadRuleFilterOptions();
+    }
+    if (areaName === 'local' && (changes[WATCH_RULES_KEY] || changes[EXTRACTORS_KEY] || changes[WEBHOOKS_KEY])) {
+      loadWebhooks();
+    }
+    if (areaName === 'local' && (changes[WEBHOOK_LOG_KEY] || changes[WEBHOOK_OUTBOX_KEY])) {
+      loadDeliveryLog();
+    }
+  });
+}
+
+// ============================================================================
+// WATCH RULES
+// ============================================================================
+
+/**
+ * Load and render the stored rules
+ */
+function loadRules() {
+  getWatchRules().then(renderRules).catch((error) => {
+    logger.error('Error loading rules:', error);
+  });
+}
+
+/**
+ * Render the rules table
+ * @param {object[]} rules - Stored rules
+ */
+function renderRules(rules) {
+  const tbody = document.querySelector('#rules-table tbody');
+  tbody.textContent = '';
+
+  document.getElementById('rules-empty').classList.toggle('hidden', rules.length > 0);
+  document.getElementById('rules-table').classList.toggle('hidden', rules.length === 0);
+
+  rules.forEach((rule) => {
+    const row = document.createElement('tr');
+    row.dataset.id = rule.id;
+
+    const enabledCell = document.createElement('td');
+    const enabledToggle = document.createElement('input');
+    enabledToggle.type = 'checkbox';
+    enabledToggle.checked = rule.enabled;
+    enabledToggle.dataset.action = 'toggle';
+    enabledCell.appendChild(enabledToggle);
+
+    const actionsCell = document.createElement('td');
+    actionsCell.className = 'text-right';
+    actionsCell.append(
+      createSmallButton('Edit', 'edit', 'btn-outline'),
+      createSmallButton('Delete', 'delete', 'btn-danger')
+    );
+
+    row.append(
+      createCell(rule.name),
+      createCell(rule.selector, 'code'),
+      createCell(rule.event + (rule.attribute ? ` (${rule.attribute})` : '')),
+      createCell(describePredicate(rule.predicate)),
+      enabledCell,
+      actionsCell
+    );
+    tbody.appendChild(row);
+  });
+}
+
+/**
+ * Describe a rule predicate for the table
+ * @param {object|null} predicate - Rule predicate
+ * @returns {string}
+ */
+function describePredicate(predicate) {
+  if (!predicate) return '—';
+  const attribute = predicate.type === 'attributeEquals' ? ` [${predicate.attribute}]` : '';
+  return `${PREDICATE_LABELS[predicate.type] || predicate.type}${attribute} ${predicate.value}`;
+}
+
+/**
+ * Attach handlers for the rules table and form
+ */
+function attachRuleHandlers() {
+  const form = document.getElementById('rule-form');
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveRuleFromForm();
+  });
+
+  document.getElementById('rule-cancel').addEventListener('click', resetRuleForm);
+
+  document.querySelector('#rules-table tbody').addEventListener('click', (e) => {
+    const control = e.target.closest('[data-action]');
+    if (!control) return;
+
+    const ruleId = control.closest('tr').dataset.id;
+    handleRuleAction(control.dataset.action, ruleId, control);
+  });
+}
+
+/**
+ * Handle edit/delete/toggle in the rules table
+ * @param {string} action - Rule action
+ * @param {string} ruleId - Rule id
+ * @param {HTMLElement} control - Element that triggered the action
+ */
+async function handleRuleAction(action, ruleId, control) {
+  const rules = await getWatchRules();
+  const rule = rules.find(item => item.id === ruleId);
+  if (!rule) return;
+
+  try {
+    switch (action) {
+      case 'edit':
+        fillRuleForm(rule);
+        break;
+
+      case 'delete':
+        if (confirm(`Delete the rule '${rule.name}'?`)) {
+          await removeRule(ruleId);
+          showToast('Rule deleted', 'success');
+        }
+        break;
+
+      case 'toggle':
+        await upsertRule({ ...rule, enabled: control.checked });
+        break;
+
+      default:
+        logger.debug('Unknown rule action:', action);
+    }
+  } catch (error) {
+    showToast(error.message, 'error');
+    loadRules();
+  }
+}
+
+/**
+ * Read the rule form into a rule object
+ * @returns {object}
+ */
+function readRuleForm() {
+  const value = id => document.getElementById(id).value.trim();
+  const predicateType = value('rule-predicate-type');
+
+  return createRule({
+    id: value('rule-id') || undefined,
+    name: value('rule-name'),
+    selector: value('rule-selector'),
+    event: value('rule-event'),
+    attribute: value('rule-attribute') || null,
+    predicate: predicateType
+      ? {
+        type: predicateType,
+        value: value('rule-predicate-value'),
+        attribute: value('rule-predicate-attribute') || null
+      }
+      : null,
+    enabled: document.getElementById('rule-enabled').checked
+  });
+}
+
+/**
+ * Validate and save the rule in the form
+ */
+async function saveRuleFromForm() {
+  const rule = readRuleForm();
+  const { isValid, errors } = validateRule(rule);
+
+  if (isValid && !isValidSelector(rule.selector)) {
+    errors.push(`'${rule.selector}' is not a valid CSS selector`);
+  }
+
+  showFormErrors(errors);
+  if (errors.length > 0) return;
+
+  try {
+    await upsertRule(rule);
+    showToast('Rule saved', 'success');
+    resetRuleForm();
+  } catch (error) {
+    showFormErrors([error.message]);
+  }
+}
+
+/**
+ * Check a CSS selector by letting the browser parse it
+ * @param {string} selector - Selector to check
+ * @returns {boolean}
+ */
+function isValidSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Load a rule into the form for editing
+ * @param {object} rule - Rule to edit
+ */
+function fillRuleForm(rule) {
+  document.getElementById('rule-id').value = rule.id;
+  document.getElementById('rule-name').value = rule.name;
+  document.getElementById('rule-selector').value = rule.selector;
+  document.getElementById('rule-event').value = rule.event;
+  document.getElementById('rule-attribute').value = rule.attribute || '';
+  document.getElementById('rule-predicate-type').value = rule.predicate?.type || '';
+  document.getElementById('rule-predicate-value').value = rule.predicate?.value ?? '';
+  document.getElementById('rule-predicate-attribute').value = rule.predicate?.attribute || '';
+  document.getElementById('rule-enabled').checked = rule.enabled;
+  document.getElementById('rule-save').textContent = 'Update Rule';
+  showFormErrors([]);
+  document.getElementById('rule-name').focus();
+}
+
+/**
+ * Clear the rule form
+ */
+function resetRuleForm() {
+  document.getElementById('rule-form').reset();
+  document.getElementById('rule-id').value = '';
+  document.getElementById('rule-save').textContent = 'Add Rule';
+  showFormErrors([]);
+}
+
+/**
+ * Show validation errors under a form
+ * @param {string[]} errors - Error messages
+ * @param {string} containerId - Id of the error container
+ */
+function showFormErrors(errors, containerId = 'rule-errors') {
+  const container = document.getElementById(containerId);
+  container.textContent = '';
+  container.classList.toggle('hidden', errors.length === 0);
+
+  errors.forEach((message) => {
+    const line = document.createElement('div');
+    line.textContent = message;
+    container.appendChild(line);
+  });
+}
+
+// ============================================================================
+// RECORD EXTRACTORS
+// ============================================================================
+
+/**
+ * Load the stored extractors into the editor
+ */
+function loadExtractors() {
+  getExtractors().then(renderExtractors).catch((error) => {
+    logger.error('Error loading extractors:', error);
+  });
+}
+
+/**
+ * Show extractors as editable JSON
+ * @param {object[]} extractors - Stored extractors
+ */
+function renderExtractors(extractors) {
+  document.getElementById('extractors-json').value = JSON.stringify(extractors, null, 2);
+}
+
+/**
+ * Parse and validate the extractor editor contents
+ * @returns {object[]|null} - Normalized extractors, null when invalid (errors are shown)
+ */
+function readExtractors() {
+  let extractors;
+
+  try {
+    extractors = JSON.parse(document.getElementById('extractors-json').value || '[]');
+    if (!Array.isArray(extractors)) {
+      throw new Error('Expected a JSON array of extractors');
+    }
+  } catch (error) {
+    showFormErrors([error.message], 'extractors-errors');
+    return null;
+  }
+
+  const normalized = extractors.map(createExtractor);
+  const errors = normalized.flatMap((extractor) => {
+    return validateExtractor(extractor).errors.map(error => `${extractor.name}: ${error}`);
+  });
+
+  showFormErrors(errors, 'extractors-errors');
+  return errors.length === 0 ? normalized : null;
+}
+
+/**
+ * Attach handlers for the extractor editor
+ */
+function attachExtractorHandlers() {
+  document.getElementById('extractors-save').addEventListener('click', () => {
+    const extractors = readExtractors();
+    if (!extractors) return;
+
+    saveExtractors(extractors).then(() => {
+      showToast('Extractors saved', 'success');
+    }).catch((error) => {
+      showToast(error.message, 'error');
+    });
+  });
+
+  document.getElementById('extractors-test').addEventListener('click', testExtractors);
+}
+
+/**
+ * Run the (unsaved) extractors in the first open portal tab and show the result
+ */
+async function testExtractors() {
+  const extractors = readExtractors();
+  if (!extractors) return;
+
+  const output = document.getElementById('extractors-output');
+
+  try {
+    const patterns = await getGrantedPatterns();
+    const [tab] = patterns.length > 0 ? await chrome.tabs.query({ url: patterns }) : [];
+    if (!tab) {
+      showToast('Open a portal page first', 'warning');
+      return;
+    }
+
+    const { results } = await sendMessage('extractRecords', { extractors }, { tabId: tab.id });
+    output.textContent = JSON.stringify(results, null, 2);
+    output.classList.remove('hidden');
+  } catch (error) {
+    showToast(`Test failed: ${error.message}`, 'error');
+  }
+}
+
+// ============================================================================
+// EMAIL CHANNEL
+// ============================================================================
+
+/**
+ * Load the email transport settings into the form
+ */
+function loadEmailSettings() {
+  getEmailSettings().then((settings) => {
+    document.getElementById('email-transport').value = settings.transport;
+    document.getElementById('email-endpoint').value = settings.endpoint;
+    document.getElementById('email-relay-url').value = settings.relayUrl;
+    document.getElementById('email-from').value = settings.from;
+  }).catch((error) => {
+    logger.error('Error loading email settings:', error);
+  });
+}
+
+/**
+ * Attach handlers for the email transport form
+ */
+function attachEmailHandlers() {
+  document.getElementById('email-save').addEventListener('click', () => {
+    saveToStorage(EMAIL_SETTINGS_KEY, {
+      transport: document.getElementById('email-transport').value,
+      endpoint: document.getElementById('email-endpoint').value.trim(),
+      relayUrl: document.getElementById('email-relay-url').value.trim(),
+      from: document.getElementById('email-from').value.trim()
+    }).then(() => {
+      showToast('Email transport saved', 'success');
+    }).catch((error) => {
+      showToast(error.message, 'error');
+    });
+  });
+
+  document.getElementById('email-test').addEventListener('click', async () => {
+    const { emailRecipients } = await getSettings();
+    if (!emailRecipients) {
+      showToast('Add at least one alert recipient first', 'warning');
+      return;
+    }
+
+    sendMessage('sendEmail', {
+      to: emailRecipients,
+      subject: '[Flex Portal] Test email',
+      body: 'Email alerts from the Flex Portal Extension are working.'
+    }).then(() => {
+      showToast('Test email sent', 'success');
+    }).catch((error) => {
+      showToast(`Test email failed: ${error.message}`, 'error');
+    });
+  });
+}
+
+// ============================================================================
+// WEBHOOKS
+// ============================================================================
+
+const DELIVERY_OUTCOME_BADGES = {
+  delivered: 'badge-success',
+  retrying: 'badge-warning',
+  rejected: 'badge-danger',
+  failed: 'badge-danger',
+  dropped: 'badge-secondary'
+};
+
+/**
+ * Load and render the configured webhooks
+ */
+async function loadWebhooks() {
+  try {
+    const [webhooks, rules, extractors] = await Promise.all([getWebhooks(), getWatchRules(), getExtractors()]);
+    const names = {};
+    rules.forEach((rule) => { names[rule.id] = `Rule: ${rule.name}`; });
+    extractors.forEach((extractor) => { names[extractor.id] = `Extractor: ${extractor.name}`; });
+    renderWebhooks(webhooks, names);
+  } catch (error) {
+    logger.error('Error loading webhooks:', error);
+  }
+}
+
+/**
+ * Render the webhooks table
+ * @param {object[]} webhooks - Stored webhooks
+ * @param {object} names - Rule and extractor labels by id
+ */
+function renderWebhooks(webhooks, names) {
+  const tbody = document.querySelector('#webhooks-table tbody');
+  tbody.textContent = '';
+
+  document.getElementById('webhooks-empty').classList.toggle('hidden', webhooks.length > 0);
+  document.getElementById('webhooks-table').classList.toggle('hidden', webhooks.length === 0);
+
+  webhooks.forEach((webhook) => {
+    const row = document.createElement('tr');
+    row.dataset.id = webhook.id;
+
+    const enabledCell = document.createElement('td');
+    const enabledToggle = document.createElement('input');
+    enabledToggle.type = 'checkbox';
+    enabledToggle.checked = webhook.enabled;
+    enabledToggle.dataset.action = 'toggle';
+    enabledCell.appendChild(enabledToggle);
+
+    const actionsCell = document.createElement('td');
+    actionsCell.className = 'text-right';
+    actionsCell.append(
+      createSmallButton('Test', 'test', 'btn-outline'),
+      createSmallButton('Delete', 'delete', 'btn-danger')
+    );
+
+    row.append(
+      createCell(webhook.name),
+      createCell(webhook.url, 'code'),
+      createCell(webhook.ruleId ? names[webhook.ruleId] || 'Deleted rule' : 'All'),
+      createCell(webhook.secret ? 'Yes' : 'No'),
+      enabledCell,
+      actionsCell
+    );
+    tbody.appendChild(row);
+  });
+}
+
+/**
+ * Load and render the delivery log and the number of pending deliveries
+ */
+async function loadDeliveryLog() {
+  try {
+    const [log, outbox] = await Promise.all([getDeliveryLog(), getOutbox()]);
+
+    document.getElementById('webhook-outbox-status').textContent = outbox.length === 0
+      ? 'No deliveries pending'
+      : `${outbox.length} deliver${outbox.length === 1 ? 'y' : 'ies'} pending`;
+    document.getElementById('webhook-flush').disabled = outbox.length === 0;
+
+    const tbody = document.querySelector('#webhook-log-table tbody');
+    tbody.textContent = '';
+    document.getElementById('webhook-log-empty').classList.toggle('hidden', log.length > 0);
+    document.getElementById('webhook-log-table').classList.toggle('hidden', log.length === 0);
+
+    log.forEach((entry) => {
+      const row = document.createElement('tr');
+      const outcome = document.createElement('td');
+      const badge = document.createElement('span');
+      badge.className = `badge ${DELIVERY_OUTCOME_BADGES[entry.outcome] || 'badge-secondary'}`;
+      badge.textContent = entry.outcome;
+      outcome.appendChild(badge);
+
+      const details = [
+        entry.status ? `HTTP ${entry.status}` : '',
+        entry.error || '',
+        entry.durationMs != null ? `${entry.durationMs} ms` : ''
+      ].filter(Boolean).join(' · ');
+
+      row.append(
+        createCell(new Date(entry.timestamp).toLocaleString()),
+        createCell(entry.webhookName || entry.webhookId),
+        createCell(entry.event, 'code'),
+        outcome,
+        createCell(details)
+      );
+      tbody.appendChild(row);
+    });
+  } catch (error) {
+    logger.error('Error loading delivery log:', error);
+  }
+}
+
+/**
+ * Attach handlers for the webhooks table, form and delivery log
+ */
+function attachWebhookHandlers() {
+  document.getElementById('webhook-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const webhook = createWebhook({
+      name: document.getElementById('webhook-name').value.trim(),
+      url: document.getElementById('webhook-url').value,
+      secret: document.getElementById('webhook-secret').value,
+      ruleId: document.getElementById('webhook-rule').value || null
+    });
+    const { isValid, errors } = validateWebhook(webhook);
+    showFormErrors(errors, 'webhook-errors');
+    if (!isValid) return;
+
+    // Requests from the service worker need host access to the endpoint;
+    // the prompt has to open while the click still counts as a user gesture
+    let granted = false;
+    try {
+      granted = await requestOriginAccess(new URL(webhook.url).origin);
+    } catch (error) {
+      showFormErrors([`Could not request access: ${error.message}`], 'webhook-errors');
+      return;
+    }
+    if (!granted) {
+      showFormErrors(['Access to the endpoint was not granted'], 'webhook-errors');
+      return;
+    }
+
+    try {
+      await saveWebhooks([...await getWebhooks(), webhook]);
+      document.getElementById('webhook-form').reset();
+      showToast('Webhook added', 'success');
+    } catch (error) {
+      showFormErrors([error.message], 'webhook-errors');
+    }
+  });
+
+  document.querySelector('#webhooks-table tbody').addEventListener('click', (e) => {
+    const control = e.target.closest('[data-action]');
+    if (!control) return;
+
+    handleWebhookAction(control.dataset.action, control.closest('tr').dataset.id, control);
+  });
+
+  document.getElementById('webhook-flush').addEventListener('click', () => {
+    sendMessage('flushWebhookOutbox').then(({ attempted, remaining }) => {
+      showToast(`Retried ${attempted} deliver${attempted === 1 ? 'y' : 'ies'}, ${remaining} still pending`, 'info');
+    }).catch((error) => {
+      showToast(`Retry failed: ${error.message}`, 'error');
+    });
+  });
+}
+
+/**
+ * Handle test/delete/toggle in the webhooks table
+ * @param {string} action - Webhook action
+ * @param {string} webhookId - Webhook id
+ * @param {HTMLElement} control - Element that triggered the action
+ */
+async function handleWebhookAction(action, webhookId, control) {
+  const webhooks = await getWebhooks();
+  const webhook = webhooks.find(item => item.id === webhookId);
+  if (!webhook) return;
+
+  try {
+    switch (action) {
+      case 'test':
+        sendMessage('testWebhook', { webhookId }).then(() => {
+          showToast('Test event sent - see the delivery log for the result', 'info');
+        }).catch((error) => {
+          showToast(`Test failed: ${error.message}`, 'error');
+        });
+        break;
+
+      case 'delete':
+        if (confirm(`Delete the webhook '${webhook.name}'?`)) {
+          await saveWebhooks(webhooks.filter(item => item.id !== webhookId));
+          showToast('Webhook deleted', 'success');
+        }
+        break;
+
+      case 'toggle':
+        await saveWebhooks(webhooks.map(item => (item.id === webhookId ? { ...item, enabled: control.checked } : item)));
+        break;
+
+      default:
+        logger.debug('Unknown webhook action:', action);
+    }
+  } catch (error) {
+    showToast(error.message, 'error');
+    loadWebhooks();
+  }
+}
+
+// ============================================================================
+// ALLOWED ORIGINS
+// ============================================================================
+
+/**
+ * Render built-in and user-added origins
+ * @param {object} settings - Complete settings
+ */
+function renderOrigins(settings) {
+  const list = document.getElementById('origins-list');
+  list.textContent = '';
+
+  CONFIG.SECURITY.ALLOWED_ORIGINS.forEach((origin) => {
+    const item = createOriginItem(origin);
+    const badge = document.createElement('span');
+    badge.className = 'badge badge-secondary';
+    badge.textContent = 'Built-in';
+    item.appendChild(badge);
+    list.appendChild(item);
+  });
+
+  settings.allowedOrigins.forEach((origin) => {
+    const item = createOriginItem(origin);
+    const removeButton = createSmallButton('Remove', 'remove-origin', 'btn-danger');
+    removeButton.dataset.origin = origin;
+    item.appendChild(removeButton);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Create a list item for an origin
+ * @param {string} origin - Origin
+ * @returns {HTMLElement}
+ */
+function createOriginItem(origin) {
+  const item = document.createElement('li');
+  item.className = 'list-item';
+  const label = document.createElement('span');
+  label.className = 'list-item-title code';
+  label.textContent = origin;
+  item.appendChild(label);
+  return item;
+}
+
+/**
+ * Attach handlers for adding and removing origins
+ */
+function attachOriginHandlers() {
+  document.getElementById('origin-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const input = document.getElementById('origin-input');
+    const origin = input.value.trim().replace(/\/+$/, '');
+
+    if (!isValidOrigin(origin)) {
+      showToast('Enter an origin like https://portal.example.com', 'error');
+      return;
+    }
+
+    // The permission prompt has to be opened while the click still counts as a user gesture
+    let granted = false;
+    try {
+      granted = await requestOriginAccess(origin);
+    } catch (error) {
+      showToast(`Could not request access: ${error.message}`, 'error');
+      return;
+    }
+    if (!granted) {
+      showToast('Access to that origin was not granted', 'warning');
+      return;
+    }
+
+    const settings = await getSettings();
+    if (CONFIG.SECURITY.ALLOWED_ORIGINS.includes(origin) || settings.allowedOrigins.includes(origin)) {
+      showToast('That origin is already allowed', 'warning');
+      return;
+    }
+
+    try {
+      await saveSettings({ allowedOrigins: [...settings.allowedOrigins, origin] });
+      input.value = '';
+      showToast('Origin added - the monitor will run on its pages', 'success');
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  });
+
+  document.getElementById('origins-list').addEventListener('click', async (e) => {
+    const button = e.target.closest('[data-action="remove-origin"]');
+    if (!button) return;
+
+    const { origin } = button.dataset;
+    const settings = await getSettings();
+    try {
+      await saveSettings({
+        allowedOrigins: settings.allowedOrigins.filter(item => item !== origin)
+      });
+      await releaseOriginAccess(origin);
+      showToast('Origin removed', 'success');
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  });
+}
+
+// ============================================================================
+// DATA EXPORT
+// ============================================================================
+
+/**
+ * Fill the export and webhook rule filters with the current watch rules and extractors
+ */
+async function loadRuleFilterOptions() {
+  try {
+    const [rules, extractors] = await Promise.all([getWatchRules(), getExtractors()]);
+
+    ['export-rule', 'webhook-rule'].forEach((id) => {
+      const select = document.getElementById(id);
+      const current = select.value;
+
+      select.length = 1;
+      rules.forEach(rule => select.add(new Option(`Rule: ${rule.name}`, rule.id)));
+      extractors.forEach(extractor => select.add(new Option(`Extractor: ${extractor.name}`, extractor.id)));
+      select.value = [...select.options].some(option => option.value === current) ? current : '';
+    });
+  } catch (error) {
+    logger.error('Error loading rule filters:', error);
+  }
+}
+
+/**
+ * Attach the export form handler. Dates are whole local days.
+ */
+function attachExportHandlers() {
+  document.getElementById('export-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+
+    const since = document.getElementById('export-since').value;
+    const until = document.getElementById('export-until').value;
+
+    sendMessage('exportData', {
+      dataset: document.getElementById('export-dataset').value,
+      format: document.getElementById('export-format').value,
+      filter: {
+        since: since ? new Date(`${since}T00:00:00`).toISOString() : undefined,
+        until: until ? new Date(`${until}T23:59:59.999`).toISOString() : undefined,
+        ruleId: document.getElementById('export-rule').value || undefined
+      }
+    }).then(({ count, filename }) => {
+      showToast(`Exported ${count} item${count === 1 ? '' : 's'} to ${filename}`, 'success');
+    }).catch((error) => {
+      showToast(`Export failed: ${error.message}`, 'error');
+    });
+  });
+}
+
+// ============================================================================
+// IMPORT / EXPORT
+// ============================================================================
+
+/**
+ * Attach handlers for configuration bundle export, import preview and apply
+ */
+function attachTransferHandlers() {
+  document.getElementById('config-export').addEventListener('click', exportConfiguration);
+
+  document.getElementById('config-import').addEventListener('change', (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (file) importConfiguration(file);
+  });
+
+  document.getElementById('bundle-mode').addEventListener('change', async () => {
+    try {
+      await renderImportPreview();
+    } catch (error) {
+      showToast(`Import preview failed: ${error.message}`, 'error');
+    }
+  });
+  document.getElementById('bundle-apply').addEventListener('click', applyPendingImport);
+  document.getElementById('bundle-cancel').addEventListener('click', () => {
+    pendingImport = null;
+    document.getElementById('bundle-preview').classList.add('hidden');
+  });
+}
+
+/**
+ * Download the current configuration as a bundle, signed when a passphrase is set
+ */
+async function exportConfiguration() {
+  try {
+    const bundle = await createBundle({ passphrase: document.getElementById('bundle-passphrase').value });
+
+    const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `flex-portal-config-${bundle.exportedAt.split('T')[0]}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    showToast(bundle.signature ? 'Signed bundle exported, webhook secrets encrypted' : 'Bundle exported without webhook secrets', 'success');
+  } catch (error) {
+    showToast(`Export failed: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Verify a bundle file and show what importing it would change
+ * @param {File} file - Selected JSON file
+ */
+async function importConfiguration(file) {
+  try {
+    const bundle = await readBundle(await file.text(), {
+      passphrase: document.getElementById('bundle-passphrase').value
+    });
+    pendingImport = { bundle, preview: null };
+    await renderImportPreview();
+  } catch (error) {
+    showToast(`Import failed: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Render the differences the pending import makes in the selected mode
+ */
+async function renderImportPreview() {
+  if (!pendingImport) return;
+
+  const { bundle } = pendingImport;
+  const mode = document.getElementById('bundle-mode').value;
+  pendingImport.preview = await previewImport(bundle.contents, mode);
+
+  const exported = bundle.exportedAt ? new Date(bundle.exportedAt).toLocaleString() : 'an unknown date';
+  const integrity = bundle.signed ? 'signature verified' : bundle.checksummed ? 'checksum verified, unsigned' : 'older export without a checksum';
+  document.getElementById('bundle-summary').textContent = `Bundle from ${exported} (${integrity}).`;
+
+  const list = document.getElementById('bundle-differences');
+  list.textContent = '';
+  const lines = describeDifferences(pendingImport.preview.differences);
+  if (lines.length === 0) {
+    lines.push('No differences - this browser already matches the bundle.');
+  }
+  lines.forEach((line) => {
+    const item = document.createElement('li');
+    item.className = 'list-item';
+    item.textContent = line;
+    list.appendChild(item);
+  });
+
+  document.getElementById('bundle-apply').disabled = lines.length === 0;
+  document.getElementById('bundle-preview').classList.remove('hidden');
+}
+
+/**
+ * Describe import differences, one line per setting, item or origin
+ * @param {object} differences - Per-section output of findObjectDifferences
+ * @returns {string[]}
+ */
+function describeDifferences(differences) {
+  const lines = [];
+  const describe = value => (typeof value === 'string' ? `'${value}'` : JSON.stringify(value));
+  const verb = ({ old, new: next }) => {
+    if (old === undefined) return 'added';
+    if (next === undefined) return 'removed';
+    return 'updated';
+  };
+
+  Object.entries(differences.settings).forEach(([key, { old, new: next }]) => {
+    lines.push(`Setting ${key}: ${describe(old)} -> ${describe(next)}`);
+  });
+  [['watchRules', 'Watch rule'], ['extractors', 'Extractor'], ['webhooks', 'Webhook']].forEach(([section, label]) => {
+    Object.values(differences[section]).forEach((change) => {
+      lines.push(`${label} '${(change.new || change.old).name}' ${verb(change)}`);
+    });
+  });
+  Object.entries(differences.allowedOrigins).forEach(([origin, change]) => {
+    lines.push(`Origin ${origin} ${verb(change)}`);
+  });
+
+  return lines;
+}
+
+/**
+ * Apply the previewed import
+ */
+async function applyPendingImport() {
+  if (!pendingImport?.preview) return;
+
+  const { next, differences } = pendingImport.preview;
+  const changedOrigins = Object.entries(differences.allowedOrigins);
+  const added = changedOrigins.filter(([, change]) => change.old === undefined).map(([origin]) => origin);
+  const removed = changedOrigins.filter(([, change]) => change.new === undefined).map(([origin]) => origin);
+  const webhookOrigins = getImportedWebhookOrigins(pendingImport.preview);
+
+  // Portal origins and webhook endpoints are asked for in one prompt, which has to
+  // open while the click still counts as a user gesture
+  let granted = true;
+  if (added.length + webhookOrigins.length > 0) {
+    try {
+      granted = await requestOriginAccess([...added, ...webhookOrigins]);
+    } catch (error) {
+      granted = false;
+    }
+  }
+
+  try {
+    let { allowedOrigins, webhooks } = next;
+    if (!granted) {
+      allowedOrigins = allowedOrigins.filter(origin => !added.includes(origin));
+      // Deliveries from the service worker would fail without access, so those webhooks stay off
+      const reachable = await Promise.all(webhookOrigins.map(origin =>
+        chrome.permissions.contains({ origins: [toMatchPattern(origin)] })
+      ));
+      const unreachable = webhookOrigins.filter((origin, index) => !reachable[index]);
+      webhooks = webhooks.map(webhook => (unreachable.includes(new URL(webhook.url).origin) && webhook.id in differences.webhooks
+        ? { ...webhook, enabled: false }
+        : webhook));
+    }
+    await applyImport({ ...next, allowedOrigins, webhooks });
+    await Promise.all(removed.map(releaseOriginAccess));
+
+    pendingImport = null;
+    document.getElementById('bundle-preview').classList.add('hidden');
+    if (granted) {
+      showToast('Configuration imported', 'success');
+    } else {
+      showToast('Configuration imported without the new origins, and with new webhooks turned off - access was not granted', 'warning');
+    }
+  } catch (error) {
+    showToast(`Import failed: ${error.message}`, 'error');
+  }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Create a table cell with text
+ * @param {string} text - Cell text
+ * @param {string} className - Optional class
+ * @returns {HTMLElement}
+ */
+function createCell(text, className = '') {
+  const cell = document.createElement('td');
+  cell.textContent = text;
+  if (className) cell.className = className;
+  return cell;
+}
+
+/**
+ * Create a small action button
+ * @param {string} label - Button text
+ * @param {string} action - Value for data-action
+ * @param {string} variant - Button variant class
+ * @returns {HTMLElement}
+ */
+function createSmallButton(label, action, variant) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = `btn btn-sm ${variant}`;
+  button.dataset.action = action;
+  button.textContent = label;
+  return button;
+}
+
+/**
+ * Show a transient message
+ * @param {string} message - Message text
+ * @param {string} type - success, error, warning or info
+ */
+function showToast(message, type = 'info') {
+  const toast = document.createElement('div');
+  toast.className = `alert alert-${type === 'error' ? 'danger' : type}`;
+  toast.setAttribute('role', 'alert');
+  toast.textContent = message;
+
+  document.getElementById('toast-container').appendChild(toast);
+  setTimeout(() => toast.remove(), CONFIG.UI.NOTIFICATION_DURATION);
+}
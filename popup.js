@@ -3,6 +3,31 @@
  * Version: 1.0.0
  */
 
+import CONFIG from './src/config.js';
+import { resetSettings, saveSettings } from './src/settings.js';
+import { applySettingsToForm, bindSettingsForm } from './src/settingsForm.js';
+import { REFRESH_STATE_KEY } from './src/scheduler.js';
+import { SYNC_STATE_KEY, SYNC_STATUS, getSyncState } from './src/sync.js';
+import { MESSAGE_TARGETS, createMessageRouter, sendMessage } from './src/messages.js';
+import { TAB_REGISTRY_KEY, TAB_HEALTH, getTabRegistry } from './src/tabRegistry.js';
+import { LOG_CONTEXTS, createLogger } from './src/logger.js';
+import { initTheme } from './src/theme.js';
+import { onStorageChanged, clearArea, clearCache, getStorageUsage } from './src/storage.js';
+import { SCHEMA_VERSION_KEY, getSchemaVersion, getMigrationLog } from './src/migrations.js';
+import { requestOriginAccess } from './src/origins.js';
+
+const logger = createLogger(LOG_CONTEXTS.POPUP);
+
+// Record diffs listed in the Records tab, and summary lines shown per diff
+const RECORD_CHANGES_SHOWN = 20;
+const RECORD_LINES_SHOWN = 8;
+
+// The active tab shown in the Tabs panel: {tabId, url, info, active, pausedUntil}, null when it isn't a portal tab
+let currentTab = null;
+
+// Applied before the page is shown to avoid a flash of the wrong theme
+initTheme().catch(error => logger.error('Error applying theme:', error));
+
 // Initialize popup when DOM is ready
 document.addEventListener('DOMContentLoaded', initializePopup);
 
@@ -10,16 +35,25 @@ document.addEventListener('DOMContentLoaded', initializePopup);
  * Initialize popup functionality
  */
 function initializePopup() {
-  console.log('[Popup] Initialized');
+  logger.debug('Initialized');
   
   // Attach tab switching functionality
   attachTabSwitching();
   
   // Attach button handlers
   attachButtonHandlers();
+  attachNotificationHandlers();
   
   // Load and display current settings
   loadPopupData();
+  loadSettings();
+  loadRefreshStatus();
+  loadSyncStatus();
+  loadStorageUsage();
+  loadAboutInfo();
+  loadMonitoredTabs();
+  loadCurrentTab();
+  getPopupStatus();
   
   // Update time display
   updateTimeDisplay();
@@ -54,7 +88,7 @@ function attachTabSwitching() {
         tabContent.classList.add('active');
       }
       
-      console.log('[Popup] Switched to tab:', tabName);
+      logger.debug('Switched to tab:', tabName);
     });
   });
 }
@@ -81,7 +115,7 @@ function handleButtonClick(button) {
   const buttonText = button.textContent.trim();
   const action = button.getAttribute('data-action');
   
-  console.log('[Button Clicked]', buttonText);
+  logger.debug('Button clicked:', buttonText);
   
   switch (buttonText) {
     case 'Update Now':
@@ -93,8 +127,12 @@ function handleButtonClick(button) {
       break;
     
     case 'Clear Cache':
-      chrome.storage.local.clear(() => {
-        showNotification('Cache cleared successfully', 'success', 2000);
+      // Only cached lookups go; settings, rules and history stay
+      clearCache().then((count) => {
+        showNotification(`Cleared ${count} cached item${count === 1 ? '' : 's'}`, 'success', 2000);
+        loadStorageUsage();
+      }).catch((error) => {
+        showNotification(`Could not clear cache: ${error.message}`, 'error', 3000);
       });
       break;
     
@@ -104,28 +142,29 @@ function handleButtonClick(button) {
     
     case 'Clear Data':
       if (confirm('Are you sure you want to clear all data?')) {
-        chrome.storage.local.clear(() => {
+        // The schema version stays, so migrations don't run again over the empty storage
+        clearArea('local', { keep: [SCHEMA_VERSION_KEY] }).then(() => {
           showNotification('All data cleared', 'success', 2000);
+          loadStorageUsage();
+        }).catch((error) => {
+          showNotification(`Could not clear data: ${error.message}`, 'error', 3000);
         });
       }
       break;
     
     case 'Reset Settings':
       if (confirm('Are you sure you want to reset all settings?')) {
-        chrome.storage.local.set({
-          extensionEnabled: true,
-          autoRefresh: false,
-          refreshInterval: 5000,
-          notifications: true,
-          theme: 'light'
-        }, () => {
+        resetSettings().then((settings) => {
+          applySettingsToForm(settings);
           showNotification('Settings reset to default', 'success', 2000);
+        }).catch((error) => {
+          showNotification(`Could not reset settings: ${error.message}`, 'error', 3000);
         });
       }
       break;
     
     case 'View Logs':
-      showNotification('Opening logs...', 'info', 2000);
+      chrome.tabs.create({ url: chrome.runtime.getURL('logs.html') });
       break;
     
     default:
@@ -149,31 +188,794 @@ function handleCustomAction(action) {
       chrome.tabs.create({ url: 'https://github.com/muhammadaliafzal205/flex-portal-extension' });
       break;
     
+    case 'toggle-refresh-pause':
+      toggleRefreshPause();
+      break;
+    
+    case 'export-data':
+      exportData();
+      break;
+    
+    case 'sync-now':
+      syncNow();
+      break;
+    
+    case 'toggle-tab-monitoring':
+      toggleCurrentTabMonitoring();
+      break;
+    
+    case 'pause-tab':
+      pauseCurrentTab();
+      break;
+    
+    case 'capture-snapshot':
+      captureCurrentTabSnapshot();
+      break;
+    
     default:
-      console.log('[Custom Action]', action);
+      logger.debug('Unknown action:', action);
   }
 }
 
 /**
- * Load popup data from storage
+ * Bind the Settings tab form to the stored settings
+ */
+function loadSettings() {
+  bindSettingsForm({
+    onSaved: () => showNotification('Settings saved', 'success', 1500),
+    onError: (error) => showNotification(`Could not save settings: ${error.message}`, 'error', 3000)
+  }).catch((error) => {
+    logger.error('Error loading settings:', error);
+  });
+}
+
+/**
+ * Load the auto-refresh status and keep it current while the popup is open
+ */
+function loadRefreshStatus() {
+  sendMessage('getRefreshStatus').then(renderRefreshStatus).catch((error) => {
+    logger.error('Error loading refresh status:', error);
+  });
+
+  onStorageChanged((changes, areaName) => {
+    if (areaName === 'local' && changes[REFRESH_STATE_KEY]) {
+      renderRefreshStatus(changes[REFRESH_STATE_KEY].newValue);
+    }
+  });
+}
+
+/**
+ * Load the sync status and keep it current while the popup is open
+ */
+function loadSyncStatus() {
+  document.getElementById('setting-auto-sync').addEventListener('change', (event) => {
+    if (event.target.checked) requestBackendAccess();
+  });
+
+  getSyncState().then(renderSyncStatus).catch((error) => {
+    logger.error('Error loading sync status:', error);
+  });
+
+  onStorageChanged((changes, areaName) => {
+    if (areaName === 'local' && changes[SYNC_STATE_KEY]) {
+      getSyncState().then(renderSyncStatus);
+    }
+  });
+}
+
+/**
+ * Ask for host access to the backend when sync is turned on (it is an optional
+ * permission), and turn sync back off when the user declines
+ */
+function requestBackendAccess() {
+  requestOriginAccess(CONFIG.API.BASE_URL).then((granted) => {
+    // The sync started by the settings change found no access; run it again
+    if (granted) return sendMessage('syncNow');
+    showNotification('Sync needs access to the backend', 'error', 3000);
+    return saveSettings({ autoSync: false });
+  }).catch((error) => {
+    logger.error('Error requesting backend access:', error);
+  });
+}
+
+/**
+ * Ask the background script to sync with the backend now
+ */
+function syncNow() {
+  const button = document.getElementById('sync-now');
+  button.disabled = true;
+
+  sendMessage('syncNow').then(({ status, lastError }) => {
+    if (status === SYNC_STATUS.SYNCED) {
+      showNotification('Sync complete', 'success', 1500);
+    } else if (status === SYNC_STATUS.DISABLED) {
+      showNotification('Turn on Auto-sync data to sync', 'info', 2000);
+    } else {
+      showNotification(`Sync failed: ${lastError || status}`, 'error', 3000);
+    }
+  }).catch((error) => {
+    showNotification(`Sync failed: ${error.message}`, 'error', 3000);
+  }).finally(() => {
+    button.disabled = false;
+  });
+}
+
+/**
+ * Show the sync state under the Auto-sync setting
+ * @param {object} state - Sync state from src/sync.js
+ */
+function renderSyncStatus(state) {
+  const status = document.getElementById('sync-status');
+  if (!status || !state) return;
+
+  const pending = Object.keys(state.pending).length;
+  const lastSync = state.lastSyncAt ? `last synced ${formatRelativeTime(state.lastSyncAt)}` : 'not synced yet';
+
+  switch (state.status) {
+    case SYNC_STATUS.DISABLED:
+      status.textContent = 'Sync is off';
+      break;
+    case SYNC_STATUS.SYNCING:
+      status.textContent = 'Syncing...';
+      break;
+    case SYNC_STATUS.OFFLINE:
+      status.textContent = `Offline - ${pending} change${pending === 1 ? '' : 's'} waiting, ${lastSync}`;
+      break;
+    case SYNC_STATUS.ERROR:
+      status.textContent = `Sync failed: ${state.lastError} (${lastSync})`;
+      break;
+    default:
+      status.textContent = `Up to date, ${lastSync}`;
+  }
+}
+
+/**
+ * Fill in the About section from the manifest and the stored data
+ */
+function loadAboutInfo() {
+  const { version } = chrome.runtime.getManifest();
+  document.getElementById('about-version').textContent = version;
+  document.getElementById('updates-version').textContent = version;
+
+  getSchemaVersion().then((version) => {
+    document.getElementById('about-schema-version').textContent = `v${version}`;
+  }).catch((error) => {
+    logger.error('Error loading schema version:', error);
+  });
+
+  getMigrationLog().then(renderUpdateHistory).catch((error) => {
+    logger.error('Error loading migration log:', error);
+  });
+}
+
+/**
+ * Render the storage updates applied when the extension was installed or updated
+ * @param {object[]} runs - Migration runs, newest first
+ */
+function renderUpdateHistory(runs) {
+  const list = document.getElementById('updates-list');
+  list.textContent = '';
+
+  const applied = runs.filter(run => run.steps.length > 0 && !run.dryRun);
+  if (applied.length === 0) {
+    list.appendChild(createEmptyState('📦', 'No storage updates recorded yet.'));
+    return;
+  }
+
+  applied.forEach((run) => {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+
+    const title = document.createElement('div');
+    title.className = 'history-title';
+    title.textContent = `Storage schema v${run.fromVersion} -> v${run.toVersion}`;
+
+    const status = document.createElement('div');
+    status.className = 'history-version';
+    status.textContent = run.error ? `${run.status}: ${run.error}` : run.status;
+
+    const steps = document.createElement('ul');
+    run.steps.forEach((step) => {
+      const line = document.createElement('li');
+      line.textContent = step.description;
+      steps.appendChild(line);
+    });
+    const changes = document.createElement('div');
+    changes.className = 'history-changes';
+    changes.appendChild(steps);
+
+    const time = document.createElement('div');
+    time.className = 'history-date';
+    time.textContent = `Updated: ${new Date(run.finishedAt || run.startedAt).toLocaleString()}`;
+
+    item.append(title, status, changes, time);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Show how much of the local storage quota is in use
+ */
+function loadStorageUsage() {
+  getStorageUsage('local').then(({ bytesInUse, quota, ratio }) => {
+    const usage = document.getElementById('storage-usage');
+    if (!usage) return;
+    usage.textContent = `Storage: ${formatBytes(bytesInUse)} of ${formatBytes(quota)} used (${Math.round(ratio * 100)}%)`;
+  }).catch((error) => {
+    logger.error('Error loading storage usage:', error);
+  });
+}
+
+/**
+ * Ask the background script to export the selected data
+ */
+function exportData() {
+  sendMessage('exportData', {
+    dataset: document.getElementById('export-dataset').value,
+    format: document.getElementById('export-format').value
+  }).then(({ count }) => {
+    showNotification(`Exported ${count} item${count === 1 ? '' : 's'}`, 'success', 2000);
+  }).catch((error) => {
+    showNotification(`Export failed: ${error.message}`, 'error', 3000);
+  });
+}
+
+/**
+ * Pause or resume auto-refresh depending on the current state
+ */
+function toggleRefreshPause() {
+  const button = document.getElementById('refresh-pause');
+  const paused = button.dataset.paused !== 'true';
+
+  sendMessage('setRefreshPaused', { paused }).then((state) => {
+    renderRefreshStatus(state);
+    showNotification(paused ? 'Auto-refresh paused' : 'Auto-refresh resumed', 'success', 1500);
+  }).catch((error) => {
+    showNotification(`Could not update auto-refresh: ${error.message}`, 'error', 3000);
+  });
+}
+
+/**
+ * Show the scheduler state in the Settings tab
+ * @param {object} state - Scheduler state from the background script
+ */
+function renderRefreshStatus(state) {
+  const status = document.getElementById('refresh-status');
+  const button = document.getElementById('refresh-pause');
+  if (!status || !button || !state) return;
+
+  button.dataset.paused = String(state.paused);
+  button.textContent = state.paused ? 'Resume' : 'Pause';
+
+  if (state.paused) {
+    status.textContent = 'Paused';
+  } else if (!state.nextRunAt) {
+    status.textContent = 'Off';
+  } else {
+    const minutes = Math.max(1, Math.round((state.nextRunAt - Date.now()) / 60000));
+    status.textContent = `Next refresh in about ${minutes} min`;
+  }
+
+  if (state.failures > 0) {
+    status.textContent += ` - backing off after ${state.failures} failed attempt${state.failures === 1 ? '' : 's'}: ${state.lastError}`;
+  }
+}
+
+/**
+ * Load popup data from the background script
  */
 function loadPopupData() {
-  chrome.storage.local.get(null, (result) => {
-    if (chrome.runtime.lastError) {
-      console.error('[Popup] Error loading data:', chrome.runtime.lastError);
+  sendMessage('getNotifications').then(renderNotifications).catch((error) => {
+    logger.error('Error loading notifications:', error);
+  });
+
+  sendMessage('queryChanges', { filter: { kind: 'records', limit: RECORD_CHANGES_SHOWN } })
+    .then(renderRecordChanges)
+    .catch((error) => {
+      logger.error('Error loading record changes:', error);
+    });
+}
+
+/**
+ * Attach delegated handlers for notification actions (items are re-rendered on every update)
+ */
+function attachNotificationHandlers() {
+  const list = document.getElementById('notifications-list');
+  const markAllButton = document.getElementById('notifications-mark-all');
+
+  if (list) {
+    list.addEventListener('click', (e) => {
+      const actionButton = e.target.closest('[data-notification-action]');
+      if (!actionButton) return;
+
+      e.preventDefault();
+      const item = actionButton.closest('.notification-item');
+      const action = actionButton.getAttribute('data-notification-action') === 'dismiss'
+        ? 'dismissNotification'
+        : 'markNotificationRead';
+
+      updateNotifications(sendMessage(action, { id: item.dataset.id }));
+    });
+  }
+
+  if (markAllButton) {
+    markAllButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      updateNotifications(sendMessage('markNotificationRead'));
+    });
+  }
+}
+
+/**
+ * Re-render after a notification update
+ * @param {Promise<object[]>} update - Background request resolving to the updated list
+ */
+function updateNotifications(update) {
+  update.then(renderNotifications).catch(() => {
+    showNotification('Could not update notifications', 'error', 2000);
+  });
+}
+
+/**
+ * Render the notification list
+ * @param {object[]} notifications - Stored notifications, newest first
+ */
+function renderNotifications(notifications) {
+  const list = document.getElementById('notifications-list');
+  if (!list) return;
+
+  list.textContent = '';
+
+  if (!notifications || notifications.length === 0) {
+    list.appendChild(createEmptyState('🔔', 'No notifications yet. Changes detected on the portal will show up here.'));
+  } else {
+    notifications.forEach((notification) => {
+      list.appendChild(createNotificationItem(notification));
+    });
+  }
+
+  const unreadCount = (notifications || []).filter((notification) => !notification.read).length;
+  const unreadLabel = document.getElementById('notifications-unread');
+  if (unreadLabel) {
+    unreadLabel.textContent = unreadCount > 0
+      ? `${unreadCount} unread notification${unreadCount === 1 ? '' : 's'}`
+      : 'No unread notifications';
+  }
+
+  const markAllButton = document.getElementById('notifications-mark-all');
+  if (markAllButton) {
+    markAllButton.disabled = unreadCount === 0;
+  }
+}
+
+/**
+ * Render record-level changes in the Records tab
+ * @param {object[]} changes - History entries of kind 'records', newest first
+ */
+function renderRecordChanges(changes) {
+  const list = document.getElementById('records-list');
+  if (!list) return;
+
+  list.textContent = '';
+
+  if (!changes || changes.length === 0) {
+    list.appendChild(createEmptyState('📋', 'No record changes yet. Add a record extractor in Advanced Settings to track portal entries between visits.'));
+    return;
+  }
+
+  changes.forEach((change) => {
+    list.appendChild(createRecordChangeItem(change));
+  });
+}
+
+/**
+ * Create the element for one record diff
+ * @param {object} change - History entry with a record diff
+ * @returns {HTMLElement}
+ */
+function createRecordChangeItem(change) {
+  const { added = [], removed = [], changed = [], counts: totals = {} } = change.diff || {};
+
+  const item = document.createElement('div');
+  item.className = 'history-item';
+
+  const title = document.createElement('div');
+  title.className = 'history-title';
+  title.textContent = change.extractorName || 'Records';
+
+  const counts = document.createElement('div');
+  counts.className = 'history-version';
+  counts.textContent = `${totals.added ?? added.length} added, ${totals.removed ?? removed.length} removed, ${totals.changed ?? changed.length} changed`;
+
+  const lines = document.createElement('ul');
+  change.summary.slice(0, RECORD_LINES_SHOWN).forEach((line) => {
+    const entry = document.createElement('li');
+    entry.textContent = line;
+    lines.appendChild(entry);
+  });
+  if (change.summary.length > RECORD_LINES_SHOWN) {
+    const more = document.createElement('li');
+    more.textContent = `and ${change.summary.length - RECORD_LINES_SHOWN} more`;
+    lines.appendChild(more);
+  }
+
+  const details = document.createElement('div');
+  details.className = 'history-changes';
+  details.appendChild(lines);
+
+  const time = document.createElement('div');
+  time.className = 'history-date';
+  time.dataset.timestamp = change.timestamp;
+  time.title = change.url || '';
+  time.textContent = formatRelativeTime(change.timestamp);
+
+  item.append(title, counts, details, time);
+  return item;
+}
+
+/**
+ * Load the active tab's page info and monitoring state, and follow registry
+ * updates (a timed pause can end while the popup is open)
+ */
+function loadCurrentTab() {
+  chrome.tabs.query({ active: true, currentWindow: true }).then(async ([tab]) => {
+    if (!tab) {
+      renderCurrentTab(null);
       return;
     }
-    
-    console.log('[Popup] Loaded data:', result);
-    
-    // Update popup display with loaded data if needed
-    if (result && Object.keys(result).length > 0) {
-      // Data is available
-      console.log('[Popup] Data loaded successfully');
+
+    try {
+      const [info, status, registry] = await Promise.all([
+        sendMessage('getPageInfo', {}, { tabId: tab.id }),
+        sendMessage('getMonitoringStatus', {}, { tabId: tab.id }),
+        getTabRegistry()
+      ]);
+      currentTab = {
+        tabId: tab.id,
+        url: info.url,
+        info,
+        active: status.active,
+        pausedUntil: registry[tab.id]?.pausedUntil || null
+      };
+    } catch (error) {
+      // No content script answers outside the granted portal origins
+      currentTab = null;
+    }
+    renderCurrentTab(tab);
+  }).catch((error) => {
+    logger.error('Error loading current tab:', error);
+  });
+
+  onStorageChanged((changes, areaName) => {
+    if (!currentTab || areaName !== 'session' || !changes[TAB_REGISTRY_KEY]) return;
+
+    const entry = (changes[TAB_REGISTRY_KEY].newValue || {})[currentTab.tabId];
+    if (entry) {
+      currentTab.active = entry.monitoring;
+      currentTab.pausedUntil = entry.pausedUntil || null;
+      renderCurrentTab();
     }
   });
 }
 
+/**
+ * Render the Current tab card
+ * @param {object} [tab] - chrome.tabs.Tab, used for the URL when the page isn't monitored
+ */
+function renderCurrentTab(tab) {
+  const indicator = document.getElementById('current-tab-indicator');
+  const state = document.getElementById('current-tab-state');
+  const url = document.getElementById('current-tab-url');
+  const details = document.getElementById('current-tab-details');
+  const toggle = document.getElementById('current-tab-toggle');
+  if (!indicator || !state || !url || !details || !toggle) return;
+
+  document.querySelectorAll('.current-tab-controls').forEach((controls) => {
+    controls.style.display = currentTab ? '' : 'none';
+  });
+
+  if (!currentTab) {
+    indicator.className = 'status-indicator status-paused';
+    state.textContent = 'Current tab';
+    url.textContent = tab?.url || '';
+    url.title = tab?.url || '';
+    details.textContent = 'Monitoring is not available on this page. Open a page on an allowed portal origin to control it here.';
+    return;
+  }
+
+  const { info, active, pausedUntil } = currentTab;
+  indicator.className = `status-indicator ${active ? 'status-active' : 'status-paused'}`;
+  if (active) {
+    state.textContent = 'Monitoring this tab';
+  } else if (pausedUntil) {
+    state.textContent = `Paused until ${formatClockTime(pausedUntil)}`;
+  } else {
+    state.textContent = 'Monitoring off';
+  }
+
+  url.textContent = currentTab.url;
+  url.title = currentTab.url;
+  details.textContent = `${info.elementCount.toLocaleString()} elements · ${formatBytes(info.domSize)} DOM`;
+  toggle.textContent = active ? 'Stop monitoring' : 'Start monitoring';
+}
+
+/**
+ * Turn monitoring in the current tab on or off
+ */
+function toggleCurrentTabMonitoring() {
+  if (!currentTab) return;
+
+  const enabled = !currentTab.active;
+  sendMessage('setTabMonitoring', { tabId: currentTab.tabId, enabled }).then(({ active, pausedUntil }) => {
+    Object.assign(currentTab, { active, pausedUntil });
+    renderCurrentTab();
+    showNotification(active ? 'Monitoring started' : 'Monitoring stopped', 'success', 2000);
+  }).catch((error) => {
+    showNotification(`Could not change monitoring: ${error.message}`, 'error', 3000);
+  });
+}
+
+/**
+ * Pause monitoring in the current tab for the selected number of minutes
+ */
+function pauseCurrentTab() {
+  if (!currentTab) return;
+
+  const minutes = Number(document.getElementById('tab-pause-minutes').value);
+  sendMessage('pauseTabMonitoring', { tabId: currentTab.tabId, minutes }).then(({ active, pausedUntil }) => {
+    Object.assign(currentTab, { active, pausedUntil });
+    renderCurrentTab();
+    showNotification(`Monitoring paused until ${formatClockTime(pausedUntil)}`, 'success', 2000);
+  }).catch((error) => {
+    showNotification(`Could not pause monitoring: ${error.message}`, 'error', 3000);
+  });
+}
+
+/**
+ * Archive a snapshot of the current tab
+ */
+function captureCurrentTabSnapshot() {
+  if (!currentTab) return;
+
+  showNotification('Capturing snapshot...', 'info', 2000);
+  sendMessage('archiveSnapshot', { tabId: currentTab.tabId }).then(() => {
+    showNotification('Snapshot saved', 'success', 2000);
+  }).catch((error) => {
+    showNotification(`Could not capture snapshot: ${error.message}`, 'error', 3000);
+  });
+}
+
+/**
+ * Load the monitored tabs (the background probes each one first) and follow registry updates
+ */
+function loadMonitoredTabs() {
+  sendMessage('getMonitoredTabs').then(renderMonitoredTabs).catch((error) => {
+    logger.error('Error loading monitored tabs:', error);
+  });
+
+  onStorageChanged((changes, areaName) => {
+    if (areaName === 'session' && changes[TAB_REGISTRY_KEY]) {
+      const tabs = Object.values(changes[TAB_REGISTRY_KEY].newValue || {});
+      renderMonitoredTabs(tabs.sort((a, b) => Date.parse(b.lastSeenAt) - Date.parse(a.lastSeenAt)));
+    }
+  });
+}
+
+/**
+ * Render the monitored tabs list
+ * @param {object[]} tabs - Tab registry entries
+ */
+function renderMonitoredTabs(tabs) {
+  const list = document.getElementById('monitored-tabs');
+  if (!list) return;
+
+  list.textContent = '';
+
+  if (!tabs || tabs.length === 0) {
+    list.appendChild(createEmptyState('🗂️', 'No portal tabs are open. Open a page on an allowed portal origin to start monitoring it.'));
+    return;
+  }
+
+  tabs.forEach((tab) => {
+    list.appendChild(createMonitoredTabItem(tab));
+  });
+}
+
+/**
+ * Create the element for one monitored tab. Clicking it switches to the tab.
+ * @param {object} tab - Tab registry entry
+ * @returns {HTMLElement}
+ */
+function createMonitoredTabItem(tab) {
+  const item = document.createElement('div');
+  item.className = 'history-item monitored-tab';
+  item.dataset.tabId = tab.tabId;
+  item.addEventListener('click', () => {
+    chrome.tabs.update(tab.tabId, { active: true });
+    chrome.windows.update(tab.windowId, { focused: true });
+  });
+
+  const title = document.createElement('div');
+  title.className = 'history-title';
+  const indicator = document.createElement('span');
+  let state = 'Monitoring';
+  let indicatorClass = 'status-active';
+  if (tab.health === TAB_HEALTH.UNRESPONSIVE) {
+    state = 'Not responding';
+    indicatorClass = 'status-unresponsive';
+  } else if (tab.health === TAB_HEALTH.LOADING) {
+    state = 'Loading';
+    indicatorClass = 'status-loading';
+  } else if (!tab.monitoring && tab.pausedUntil) {
+    state = `Paused until ${formatClockTime(tab.pausedUntil)}`;
+    indicatorClass = 'status-paused';
+  } else if (!tab.monitoring) {
+    state = 'Monitoring off';
+    indicatorClass = 'status-paused';
+  }
+  indicator.className = `status-indicator ${indicatorClass}`;
+  indicator.title = tab.lastError || state;
+  title.append(indicator, tab.title || tab.url);
+
+  const url = document.createElement('div');
+  url.className = 'history-version';
+  url.textContent = tab.url;
+  url.title = tab.url;
+
+  const status = document.createElement('div');
+  status.className = 'history-date';
+  status.textContent = `${state} · last change `;
+  const lastChange = document.createElement('span');
+  if (tab.lastChangeAt) {
+    lastChange.dataset.timestamp = tab.lastChangeAt;
+    lastChange.textContent = formatRelativeTime(tab.lastChangeAt);
+  } else {
+    lastChange.textContent = 'none yet';
+  }
+  status.appendChild(lastChange);
+
+  item.append(title, url, status);
+  return item;
+}
+
+/**
+ * Create the element for one notification
+ * @param {object} notification - Stored notification
+ * @returns {HTMLElement}
+ */
+function createNotificationItem(notification) {
+  const severity = ['success', 'info', 'warning', 'error'].includes(notification.severity)
+    ? notification.severity
+    : 'info';
+
+  const item = document.createElement('div');
+  item.className = `notification-item ${severity} ${notification.read ? 'read' : 'unread'}`;
+  item.dataset.id = notification.id;
+
+  const header = document.createElement('div');
+  header.className = 'notification-header';
+
+  const heading = document.createElement('div');
+  const badge = document.createElement('span');
+  badge.className = `notification-badge badge-${severity}`;
+  badge.textContent = severity.toUpperCase();
+  const title = document.createElement('span');
+  title.className = 'notification-title';
+  title.textContent = notification.title;
+  heading.append(badge, title);
+
+  const time = document.createElement('span');
+  time.className = 'notification-time';
+  time.dataset.timestamp = notification.timestamp;
+  time.title = notification.timestamp;
+  time.textContent = formatRelativeTime(notification.timestamp);
+
+  header.append(heading, time);
+
+  const message = document.createElement('div');
+  message.className = 'notification-message';
+  message.textContent = notification.message;
+
+  const actions = document.createElement('div');
+  actions.className = 'notification-actions';
+  if (!notification.read) {
+    actions.appendChild(createLinkButton('Mark as read', 'read'));
+  }
+  actions.appendChild(createLinkButton('Dismiss', 'dismiss'));
+
+  item.append(header, message, actions);
+  return item;
+}
+
+/**
+ * Create a small text button for a notification action
+ * @param {string} label - Button text
+ * @param {string} action - Value for data-notification-action
+ * @returns {HTMLElement}
+ */
+function createLinkButton(label, action) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'link-button';
+  button.dataset.notificationAction = action;
+  button.textContent = label;
+  return button;
+}
+
+/**
+ * Create an empty state placeholder
+ * @param {string} icon - Emoji icon
+ * @param {string} text - Message
+ * @returns {HTMLElement}
+ */
+function createEmptyState(icon, text) {
+  const emptyState = document.createElement('div');
+  emptyState.className = 'empty-state';
+
+  const iconElement = document.createElement('div');
+  iconElement.className = 'empty-state-icon';
+  iconElement.textContent = icon;
+
+  const textElement = document.createElement('div');
+  textElement.className = 'empty-state-text';
+  textElement.textContent = text;
+
+  emptyState.append(iconElement, textElement);
+  return emptyState;
+}
+
+/**
+ * Format a timestamp relative to now (e.g. "2 min ago")
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string}
+ */
+function formatRelativeTime(timestamp) {
+  const seconds = Math.round((Date.now() - Date.parse(timestamp)) / 1000);
+
+  if (Number.isNaN(seconds)) return '';
+  if (seconds < 60) return 'just now';
+
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes} min ago`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+
+  const days = Math.floor(hours / 24);
+  if (days < 7) return `${days} day${days === 1 ? '' : 's'} ago`;
+
+  return timestamp.split('T')[0];
+}
+
+/**
+ * Format a time of day for display, such as 14:30
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string}
+ */
+function formatClockTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Byte count
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1048576) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1048576).toFixed(1)} MB`;
+}
+
+/**
+ * Refresh relative timestamps without re-rendering the list
+ */
+function refreshRelativeTimes() {
+  document.querySelectorAll('[data-timestamp]').forEach((element) => {
+    element.textContent = formatRelativeTime(element.dataset.timestamp);
+  });
+}
+
 /**
  * Update time display
  */
@@ -186,6 +988,7 @@ function updateTimeDisplay() {
     const time = iso.split('T')[1].substring(0, 8);
     timeElement.textContent = `Last updated: ${date} ${time} UTC`;
   }
+  refreshRelativeTimes();
 }
 
 /**
@@ -203,11 +1006,12 @@ function showNotification(message, type = 'info', duration = 3000) {
     position: fixed;
     top: 20px;
     right: 20px;
-    background: white;
+    background: var(--color-surface);
+    color: var(--color-text);
     padding: 16px 20px;
     border-radius: 6px;
     border-left: 4px solid;
-    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+    box-shadow: 0 4px 12px var(--color-shadow-strong);
     z-index: 10000;
     animation: slideIn 0.3s ease;
   `;
@@ -238,55 +1042,29 @@ function showNotification(message, type = 'info', duration = 3000) {
   }
 }
 
-/**
- * Send message to background script
- * @param {object} message - Message to send
- * @param {function} callback - Response callback
- */
-function sendMessageToBackground(message, callback) {
-  if (typeof chrome !== 'undefined' && chrome.runtime) {
-    chrome.runtime.sendMessage(message, (response) => {
-      if (chrome.runtime.lastError) {
-        console.error('[Popup] Error sending message:', chrome.runtime.lastError);
-        if (callback) callback({ error: chrome.runtime.lastError.message });
-      } else {
-        if (callback) callback(response);
-      }
-    });
-  } else {
-    console.error('[Popup] Chrome runtime not available');
-  }
-}
-
 /**
  * Get current popup status
  */
 function getPopupStatus() {
-  sendMessageToBackground(
-    { action: 'getPopupStatus' },
-    (response) => {
-      if (response && response.success) {
-        console.log('[Popup] Status:', response);
-      }
-    }
-  );
+  sendMessage('getPopupStatus').then((status) => {
+    logger.debug('Status:', status);
+  }).catch((error) => {
+    logger.error('Error loading status:', error);
+  });
 }
 
 // Listen for messages from background script
 if (typeof chrome !== 'undefined' && chrome.runtime) {
-  chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    console.log('[Popup] Message received:', request);
-    
-    if (request.action === 'updatePopup') {
+  chrome.runtime.onMessage.addListener(createMessageRouter(MESSAGE_TARGETS.POPUP, {
+    updatePopup: () => {
       loadPopupData();
-      sendResponse({ received: true });
     }
-  });
+  }));
 }
 
 // Clean up when popup closes
 window.addEventListener('beforeunload', () => {
-  console.log('[Popup] Closing');
+  logger.debug('Closing');
 });
 
-console.log('[Popup] Script loaded successfully');
\ No newline at end of file
+logger.debug('Script loaded successfully');
\ No newline at end of file
@@ -0,0 +1,381 @@
+/**
+ * Snapshot Timeline - lists archived snapshots and compares any two side by side
+ */
+
+import CONFIG from './src/config.js';
+import { listSnapshots, getSnapshot, deleteSnapshot, clearSnapshots, getSnapshotUsage } from './src/snapshots.js';
+import { diffLines } from './src/diff.js';
+import { removeDuplicates } from './src/utils.js';
+import { initTheme } from './src/theme.js';
+
+// Unchanged lines kept around each change when unchanged lines are hidden
+const CONTEXT_LINES = 2;
+
+// Ids of the snapshots being compared
+const selection = { a: null, b: null };
+
+document.addEventListener('DOMContentLoaded', initializeTimeline);
+
+/**
+ * Initialize the timeline page
+ */
+function initializeTimeline() {
+  initTheme().catch(error => showToast(`Could not apply theme: ${error.message}`, 'error'));
+  attachTimelineHandlers();
+  loadTimeline();
+}
+
+// ============================================================================
+// TIMELINE
+// ============================================================================
+
+/**
+ * Load snapshot metadata and render the timeline
+ */
+async function loadTimeline() {
+  try {
+    const filter = document.getElementById('snapshot-url-filter');
+    const [all, usage] = await Promise.all([listSnapshots(), getSnapshotUsage()]);
+    const snapshots = filter.value ? all.filter(snapshot => snapshot.url === filter.value) : all;
+
+    renderUrlFilter(all);
+    renderUsage(usage);
+    renderSnapshots(snapshots);
+
+    // Default to the two most recent snapshots
+    const ids = snapshots.map(snapshot => snapshot.id);
+    if (!ids.includes(selection.a) || !ids.includes(selection.b)) {
+      selection.b = ids[0] || null;
+      selection.a = ids[1] || null;
+      syncSelection();
+    }
+    compareSelection();
+  } catch (error) {
+    showToast(`Could not load snapshots: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Fill the page filter with every archived URL
+ * @param {object[]} snapshots - All snapshot metadata
+ */
+function renderUrlFilter(snapshots) {
+  const filter = document.getElementById('snapshot-url-filter');
+  const current = filter.value;
+
+  filter.length = 1;
+  removeDuplicates(snapshots.map(snapshot => snapshot.url)).forEach((url) => {
+    filter.add(new Option(url, url));
+  });
+  filter.value = current;
+}
+
+/**
+ * Show how much of the archive budget is used
+ * @param {object} usage - {count, bytes, maxBytes}
+ */
+function renderUsage(usage) {
+  document.getElementById('snapshot-usage').textContent =
+    `${usage.count} snapshot${usage.count === 1 ? '' : 's'}, ${formatBytes(usage.bytes)} of ${formatBytes(usage.maxBytes)} used` +
+    (CONFIG.PERFORMANCE.ENABLE_COMPRESSION ? ' (compressed)' : '');
+}
+
+/**
+ * Render the snapshot table
+ * @param {object[]} snapshots - Snapshot metadata, newest first
+ */
+function renderSnapshots(snapshots) {
+  const tbody = document.querySelector('#snapshots-table tbody');
+  tbody.textContent = '';
+  document.getElementById('snapshots-empty').classList.toggle('hidden', snapshots.length > 0);
+
+  snapshots.forEach((snapshot) => {
+    const row = document.createElement('tr');
+    row.dataset.id = snapshot.id;
+
+    row.append(
+      createRadioCell('a', snapshot.id),
+      createRadioCell('b', snapshot.id),
+      createCell(new Date(snapshot.timestamp).toLocaleString()),
+      createCell(snapshot.title),
+      createCell(snapshot.reason === 'auto' ? 'Change detected' : 'Manual'),
+      createCell(formatBytes(snapshot.size))
+    );
+
+    const actions = document.createElement('td');
+    actions.className = 'text-right';
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn btn-sm btn-danger';
+    remove.dataset.action = 'delete';
+    remove.textContent = 'Delete';
+    actions.appendChild(remove);
+    row.appendChild(actions);
+
+    tbody.appendChild(row);
+  });
+
+  syncSelection();
+}
+
+/**
+ * Create a cell with a radio button for one side of the comparison
+ * @param {string} side - 'a' or 'b'
+ * @param {string} id - Snapshot id
+ * @returns {HTMLElement}
+ */
+function createRadioCell(side, id) {
+  const cell = document.createElement('td');
+  const radio = document.createElement('input');
+  radio.type = 'radio';
+  radio.name = `compare-${side}`;
+  radio.value = id;
+  radio.dataset.side = side;
+  cell.appendChild(radio);
+  return cell;
+}
+
+/**
+ * Reflect the current selection in the radio buttons and row highlight
+ */
+function syncSelection() {
+  document.querySelectorAll('#snapshots-table input[type="radio"]').forEach((radio) => {
+    radio.checked = selection[radio.dataset.side] === radio.value;
+  });
+  document.querySelectorAll('#snapshots-table tbody tr').forEach((row) => {
+    row.classList.toggle('selected', row.dataset.id === selection.a || row.dataset.id === selection.b);
+  });
+}
+
+/**
+ * Attach handlers for the timeline and comparison controls
+ */
+function attachTimelineHandlers() {
+  const table = document.getElementById('snapshots-table');
+
+  table.addEventListener('change', (e) => {
+    if (e.target.type !== 'radio') return;
+    selection[e.target.dataset.side] = e.target.value;
+    syncSelection();
+    compareSelection();
+  });
+
+  table.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-action="delete"]');
+    if (!button) return;
+
+    try {
+      await deleteSnapshot(button.closest('tr').dataset.id);
+      loadTimeline();
+    } catch (error) {
+      showToast(`Could not delete snapshot: ${error.message}`, 'error');
+    }
+  });
+
+  document.getElementById('snapshot-url-filter').addEventListener('change', loadTimeline);
+  document.getElementById('compare-hide-unchanged').addEventListener('change', compareSelection);
+
+  document.getElementById('snapshots-clear').addEventListener('click', async () => {
+    if (!confirm('Delete every archived snapshot?')) return;
+
+    try {
+      await clearSnapshots();
+      showToast('All snapshots deleted', 'success');
+      loadTimeline();
+    } catch (error) {
+      showToast(`Could not delete snapshots: ${error.message}`, 'error');
+    }
+  });
+}
+
+// ============================================================================
+// COMPARISON
+// ============================================================================
+
+/**
+ * Compare the two selected snapshots
+ */
+async function compareSelection() {
+  const section = document.getElementById('compare-section');
+
+  if (!selection.a || !selection.b || selection.a === selection.b) {
+    section.classList.add('hidden');
+    return;
+  }
+
+  try {
+    const [left, right] = await Promise.all([getSnapshot(selection.a), getSnapshot(selection.b)]);
+    if (!left || !right) {
+      section.classList.add('hidden');
+      return;
+    }
+
+    renderComparison(left, right);
+    section.classList.remove('hidden');
+  } catch (error) {
+    showToast(`Could not compare snapshots: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Get the comparable text of a snapshot
+ * @param {object} snapshot - Captured snapshot
+ * @returns {string}
+ */
+function getSnapshotText(snapshot) {
+  if (typeof snapshot.bodyText === 'string') return snapshot.bodyText;
+
+  // Snapshots captured before bodyText existed only have (truncated) HTML
+  const doc = new DOMParser().parseFromString(snapshot.bodyContent || '', 'text/html');
+  return doc.body.innerText || doc.body.textContent || '';
+}
+
+/**
+ * Turn diff parts into aligned left/right rows. Removed lines directly
+ * followed by added lines are shown next to each other.
+ * @param {object[]} parts - Result of diffLines
+ * @returns {object[]} - Rows of {type, left, right}
+ */
+function buildRows(parts) {
+  const rows = [];
+
+  for (let index = 0; index < parts.length; index++) {
+    const part = parts[index];
+    const lines = part.value.split('\n');
+
+    if (part.type === 'equal') {
+      lines.forEach(line => rows.push({ type: 'equal', left: line, right: line }));
+    } else if (part.type === 'removed' && parts[index + 1]?.type === 'added') {
+      const added = parts[++index].value.split('\n');
+      for (let line = 0; line < Math.max(lines.length, added.length); line++) {
+        rows.push({ type: 'changed', left: lines[line] ?? null, right: added[line] ?? null });
+      }
+    } else if (part.type === 'removed') {
+      lines.forEach(line => rows.push({ type: 'changed', left: line, right: null }));
+    } else {
+      lines.forEach(line => rows.push({ type: 'changed', left: null, right: line }));
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Render the side-by-side comparison, oldest snapshot on the left
+ * @param {object} first - Snapshot record
+ * @param {object} second - Snapshot record
+ */
+function renderComparison(first, second) {
+  const [left, right] = Date.parse(first.timestamp) <= Date.parse(second.timestamp)
+    ? [first, second]
+    : [second, first];
+
+  const rows = buildRows(diffLines(getSnapshotText(left.snapshot), getSnapshotText(right.snapshot)));
+  const hideUnchanged = document.getElementById('compare-hide-unchanged').checked;
+  const view = document.getElementById('compare-view');
+  const leftTitle = document.getElementById('compare-left-title');
+  const rightTitle = document.getElementById('compare-right-title');
+
+  leftTitle.textContent = `A - ${new Date(left.timestamp).toLocaleString()}`;
+  rightTitle.textContent = `B - ${new Date(right.timestamp).toLocaleString()}`;
+  view.replaceChildren(leftTitle, rightTitle);
+
+  // Rows close enough to a change to be shown when unchanged lines are hidden
+  const visible = rows.map(row => row.type !== 'equal');
+  rows.forEach((row, index) => {
+    if (row.type === 'equal') return;
+    for (let offset = -CONTEXT_LINES; offset <= CONTEXT_LINES; offset++) {
+      if (rows[index + offset]) visible[index + offset] = true;
+    }
+  });
+
+  let hidden = 0;
+  rows.forEach((row, index) => {
+    if (hideUnchanged && !visible[index]) {
+      hidden++;
+      return;
+    }
+    if (hidden > 0) {
+      view.appendChild(createGap(hidden));
+      hidden = 0;
+    }
+    view.append(
+      createDiffLine(row.left, row.type === 'equal' ? 'equal' : 'removed'),
+      createDiffLine(row.right, row.type === 'equal' ? 'equal' : 'added')
+    );
+  });
+  if (hidden > 0) {
+    view.appendChild(createGap(hidden));
+  }
+
+  const changed = rows.filter(row => row.type !== 'equal').length;
+  document.getElementById('compare-stats').textContent = changed === 0
+    ? 'No differences'
+    : `${changed} changed line${changed === 1 ? '' : 's'}`;
+}
+
+/**
+ * Create one side of a diff row
+ * @param {string|null} text - Line text, null for no counterpart
+ * @param {string} type - 'equal', 'removed' or 'added'
+ * @returns {HTMLElement}
+ */
+function createDiffLine(text, type) {
+  const line = document.createElement('div');
+  line.className = `diff-line ${text === null ? 'empty' : type}`;
+  line.textContent = text ?? '';
+  return line;
+}
+
+/**
+ * Create the placeholder for a run of hidden unchanged lines
+ * @param {number} count - Hidden line count
+ * @returns {HTMLElement}
+ */
+function createGap(count) {
+  const gap = document.createElement('div');
+  gap.className = 'diff-gap';
+  gap.textContent = `${count} unchanged line${count === 1 ? '' : 's'}`;
+  return gap;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Byte count
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1048576) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1048576).toFixed(1)} MB`;
+}
+
+/**
+ * Create a table cell with text
+ * @param {string} text - Cell text
+ * @returns {HTMLElement}
+ */
+function createCell(text) {
+  const cell = document.createElement('td');
+  cell.textContent = text;
+  return cell;
+}
+
+/**
+ * Show a transient message
+ * @param {string} message - Message text
+ * @param {string} type - success, error, warning or info
+ */
+function showToast(message, type = 'info') {
+  const toast = document.createElement('div');
+  toast.className = `alert alert-${type === 'error' ? 'danger' : type}`;
+  toast.setAttribute('role', 'alert');
+  toast.textContent = message;
+
+  document.getElementById('toast-container').appendChild(toast);
+  setTimeout(() => toast.remove(), CONFIG.UI.NOTIFICATION_DURATION);
+}
@@ -0,0 +1,261 @@
+/**
+ * API client - requests to CONFIG.API.BASE_URL with timeouts, retries and batching
+ * Failures are raised as typed errors so callers can tell an expired login from
+ * a busy server. fetch is injectable, so tests can point a client at a fake server.
+ */
+
+import CONFIG from './config.js';
+import { retryWithBackoff, chunkArray } from './utils.js';
+
+// Methods that are safe to repeat, and so are retried by default
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+// Longest response body quoted in an error message
+const MAX_ERROR_BODY = 200;
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+/**
+ * Base class for failed requests. `retryable` tells whether trying again could help.
+ */
+export class ApiError extends Error {
+  constructor(message, { status = null, body = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.body = body;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * The request took longer than its timeout
+ */
+export class ApiTimeoutError extends ApiError {
+  constructor(timeout) {
+    super(`Request timed out after ${timeout}ms`, { retryable: true });
+    this.name = 'ApiTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * The server rejected the credentials (401) or the permission (403)
+ */
+export class ApiAuthError extends ApiError {
+  constructor(status, body) {
+    super(status === 401 ? 'Not signed in or session expired' : 'Not allowed', { status, body });
+    this.name = 'ApiAuthError';
+  }
+}
+
+/**
+ * Too many requests (429). `retryAfter` is the server's requested wait in ms, if it sent one.
+ */
+export class ApiRateLimitError extends ApiError {
+  constructor(body, retryAfter) {
+    super('Rate limited by the server', { status: 429, body, retryable: true });
+    this.name = 'ApiRateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * The server failed (5xx)
+ */
+export class ApiServerError extends ApiError {
+  constructor(status, body) {
+    super(`Server responded with ${status}`, { status, body, retryable: true });
+    this.name = 'ApiServerError';
+  }
+}
+
+/**
+ * Parse a Retry-After header
+ * @param {string|null} value - Seconds or an HTTP date
+ * @returns {number|null} - Milliseconds to wait
+ */
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Turn a failed response into the matching error
+ * @param {Response} response - fetch response
+ * @param {*} body - Parsed response body
+ * @returns {ApiError}
+ */
+const createResponseError = (response, body) => {
+  const { status } = response;
+
+  if (status === 401 || status === 403) return new ApiAuthError(status, body);
+  if (status === 429) return new ApiRateLimitError(body, parseRetryAfter(response.headers.get('Retry-After')));
+  if (status >= 500) return new ApiServerError(status, body);
+
+  const detail = typeof body === 'string' ? body : JSON.stringify(body);
+  return new ApiError(`Request failed with ${status}: ${(detail || '').substring(0, MAX_ERROR_BODY)}`, {
+    status,
+    body,
+    retryable: status === 408
+  });
+};
+
+/**
+ * Read a response body as JSON when it looks like JSON, as text otherwise
+ * @param {Response} response - fetch response
+ * @returns {Promise<*>}
+ */
+const readBody = async (response) => {
+  const text = await response.text();
+  if (!text) return null;
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+};
+
+// ============================================================================
+// CLIENT
+// ============================================================================
+
+/**
+ * Create an API client
+ * @param {object} [options] - Client options, defaulting to CONFIG.API
+ * @param {string} [options.baseUrl] - Base URL for relative paths
+ * @param {number} [options.timeout] - Per-attempt timeout in ms
+ * @param {number} [options.retryAttempts] - Attempts for retryable failures
+ * @param {number} [options.retryDelay] - First retry delay in ms, doubled each time
+ * @param {number} [options.maxRetryAfter] - Longest Retry-After in ms still waited for and retried
+ * @param {number} [options.batchSize] - Items per request in batch()
+ * @param {object} [options.headers] - Headers sent with every request
+ * @param {function} [options.fetch] - fetch implementation (for tests)
+ * @returns {object} - {request, get, post, put, delete, batch}
+ */
+export const createApiClient = ({
+  baseUrl = CONFIG.API.BASE_URL,
+  timeout = CONFIG.API.TIMEOUT,
+  retryAttempts = CONFIG.API.RETRY_ATTEMPTS,
+  retryDelay = CONFIG.API.RETRY_DELAY,
+  maxRetryAfter = CONFIG.API.MAX_RETRY_AFTER,
+  batchSize = CONFIG.PERFORMANCE.BATCH_REQUEST_SIZE,
+  headers: defaultHeaders = {},
+  fetch: fetchImpl = fetch.bind(globalThis)
+} = {}) => {
+  // Identical GET requests in flight share one promise
+  const inFlight = new Map();
+
+  /**
+   * Make one attempt
+   * @param {string} url - Absolute URL
+   * @param {object} init - fetch init without signal
+   * @param {number} limit - Timeout in ms
+   * @returns {Promise<*>} - Parsed response body
+   */
+  const attempt = async (url, init, limit) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), limit);
+
+    try {
+      const response = await fetchImpl(url, { ...init, signal: controller.signal });
+      const body = await readBody(response);
+      if (!response.ok) {
+        throw createResponseError(response, body);
+      }
+      return body;
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      if (error.name === 'AbortError') throw new ApiTimeoutError(limit);
+      // fetch rejects with a TypeError when the network is unreachable
+      throw new ApiError(`Network error: ${error.message}`, { retryable: true });
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  /**
+   * Send a request
+   * @param {string} path - Path relative to baseUrl, or an absolute URL
+   * @param {object} [options] - Request options
+   * @param {string} [options.method] - HTTP method
+   * @param {*} [options.body] - JSON-serializable body
+   * @param {object} [options.headers] - Extra headers
+   * @param {number} [options.timeout] - Timeout override
+   * @param {boolean} [options.retry] - Retry retryable failures; defaults to true for idempotent methods
+   * @returns {Promise<*>} - Parsed response body. Coalesced GETs resolve to the same object.
+   * @throws {ApiError}
+   */
+  const request = (path, { method = 'GET', body, headers = {}, timeout: limit = timeout, retry } = {}) => {
+    const verb = method.toUpperCase();
+    const url = new URL(path, baseUrl).toString();
+    const key = `${verb} ${url}`;
+
+    if (verb === 'GET' && inFlight.has(key)) {
+      return inFlight.get(key);
+    }
+
+    const init = {
+      method: verb,
+      headers: { Accept: 'application/json', ...defaultHeaders, ...headers }
+    };
+    if (body !== undefined) {
+      init.headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(body);
+    }
+
+    const shouldRetry = retry ?? IDEMPOTENT_METHODS.includes(verb);
+    const pending = retryWithBackoff(
+      () => attempt(url, init, limit),
+      shouldRetry ? retryAttempts : 1,
+      retryDelay,
+      error => error.retryable && !(error.retryAfter > maxRetryAfter)
+    );
+
+    if (verb === 'GET') {
+      inFlight.set(key, pending);
+      pending.finally(() => inFlight.delete(key)).catch(() => {});
+    }
+    return pending;
+  };
+
+  /**
+   * Send items in chunks of batchSize, one request per chunk, one chunk at a time
+   * @param {string} path - Endpoint
+   * @param {Array} items - Items to send
+   * @param {object} [options] - Request options, plus {field} naming the body property (default 'items')
+   * @returns {Promise<Array>} - Response bodies in chunk order
+   * @throws {ApiError} - The first failing chunk; earlier chunks have been sent
+   */
+  const batch = async (path, items, { field = 'items', method = 'POST', ...options } = {}) => {
+    const results = [];
+    for (const chunk of chunkArray(items, batchSize)) {
+      results.push(await request(path, { ...options, method, body: { [field]: chunk } }));
+    }
+    return results;
+  };
+
+  return {
+    request,
+    get: (path, options) => request(path, { ...options, method: 'GET' }),
+    post: (path, body, options) => request(path, { ...options, method: 'POST', body }),
+    put: (path, body, options) => request(path, { ...options, method: 'PUT', body }),
+    delete: (path, options) => request(path, { ...options, method: 'DELETE' }),
+    batch
+  };
+};
+
+export default {
+  ApiError,
+  ApiTimeoutError,
+  ApiAuthError,
+  ApiRateLimitError,
+  ApiServerError,
+  createApiClient
+};
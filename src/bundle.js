@@ -0,0 +1,475 @@
+/**
+ * Configuration bundles - share a monitoring setup between browsers as one JSON file
+ * A bundle holds settings, watch rules, record extractors, webhook channels and
+ * allowed origins, with a SHA-256 checksum of its contents so a damaged or hand-edited
+ * file is refused. With a team passphrase the bundle is also signed (HMAC-SHA256),
+ * and importing it requires the same passphrase. A signature only proves the file is
+ * intact, so webhook secrets are encrypted (AES-GCM, key derived from the passphrase
+ * with PBKDF2); bundles without a passphrase leave them out.
+ */
+
+import CONFIG from './config.js';
+import { validateSchema, findObjectDifferences, mergeObjects, filterObjectByKeys, omitObjectKeys } from './utils.js';
+import { getItems, setItem, setItems, removeItems } from './storage.js';
+import { LOG_CONTEXTS, createLogger } from './logger.js';
+import { SETTINGS_KEY, DEFAULT_SETTINGS, getSettings, validateSettings, isValidOrigin } from './settings.js';
+import { WATCH_RULES_KEY, getWatchRules, createRule, validateRule } from './rules.js';
+import { EXTRACTORS_KEY, getExtractors, createExtractor, validateExtractor } from './records.js';
+import { WEBHOOKS_KEY, getWebhooks, createWebhook, validateWebhook, signPayload } from './webhooks.js';
+
+const logger = createLogger(LOG_CONTEXTS.OPTIONS);
+
+export const BUNDLE_FORMAT = 'flex-portal-bundle';
+
+// Version 1 is the unchecksummed file the options page exported before bundles;
+// version 2 carried webhook secrets in plain text
+export const BUNDLE_VERSION = 3;
+
+// PBKDF2 rounds for the key that encrypts webhook secrets
+const SECRET_KEY_ITERATIONS = 250000;
+
+export const IMPORT_MODES = ['merge', 'replace'];
+
+const ENVELOPE_SCHEMA = {
+  format: 'string',
+  version: 'number',
+  exportedAt: 'string',
+  contents: 'object',
+  checksum: 'string'
+};
+
+const CONTENTS_SCHEMA = {
+  settings: 'object',
+  watchRules: 'array',
+  extractors: 'array',
+  webhooks: 'array',
+  allowedOrigins: 'array'
+};
+
+// List sections, how to turn a stored item into a validated one, where the
+// items are stored, and which fields a bundle may leave out (the current item's are kept)
+const LIST_SECTIONS = {
+  watchRules: { label: 'watch rule', create: createRule, validate: validateRule, key: WATCH_RULES_KEY, retained: [] },
+  extractors: { label: 'extractor', create: createExtractor, validate: validateExtractor, key: EXTRACTORS_KEY, retained: [] },
+  webhooks: { label: 'webhook', create: createWebhook, validate: validateWebhook, key: WEBHOOKS_KEY, retained: ['secret'] }
+};
+
+// ============================================================================
+// CHECKSUM & SIGNATURE
+// ============================================================================
+
+/**
+ * Serialize a value with object keys sorted, so equal contents always hash the same
+ * @param {*} value - JSON-serializable value
+ * @returns {string}
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * SHA-256 of a string
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>} - Hex digest
+ */
+const sha256 = async (text) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// ============================================================================
+// SECRET ENCRYPTION
+// ============================================================================
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string}
+ */
+const toBase64 = bytes => btoa(String.fromCharCode(...bytes));
+
+/**
+ * Decode base64 into bytes
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array}
+ */
+const fromBase64 = text => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+/**
+ * Derive the AES-GCM key for webhook secrets from the team passphrase
+ * @param {string} passphrase - Team passphrase
+ * @param {Uint8Array} salt - Random salt stored with the bundle
+ * @param {number} iterations - PBKDF2 rounds
+ * @returns {Promise<CryptoKey>}
+ */
+const deriveSecretKey = async (passphrase, salt, iterations) => {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+/**
+ * Replace each webhook secret with its encrypted form
+ * @param {object[]} webhooks - Stored webhooks
+ * @param {string} passphrase - Team passphrase
+ * @returns {Promise<object>} - {webhooks, encryption}; encryption holds the key derivation parameters
+ */
+const encryptSecrets = async (webhooks, passphrase) => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveSecretKey(passphrase, salt, SECRET_KEY_ITERATIONS);
+
+  const encrypted = await Promise.all(webhooks.map(async ({ secret, ...webhook }) => {
+    if (!secret) return webhook;
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(secret));
+    return { ...webhook, encryptedSecret: `${toBase64(iv)}.${toBase64(new Uint8Array(data))}` };
+  }));
+
+  return {
+    webhooks: encrypted,
+    encryption: { kdf: 'PBKDF2-SHA256', iterations: SECRET_KEY_ITERATIONS, cipher: 'AES-GCM', salt: toBase64(salt) }
+  };
+};
+
+/**
+ * Turn encrypted webhook secrets back into plain ones
+ * @param {object[]} webhooks - Webhooks from the bundle
+ * @param {object} encryption - Key derivation parameters from the bundle
+ * @param {string} passphrase - Team passphrase
+ * @returns {Promise<object[]>}
+ * @throws {Error} When a secret can't be decrypted
+ */
+const decryptSecrets = async (webhooks, encryption, passphrase) => {
+  if (!webhooks.some(webhook => webhook.encryptedSecret)) return webhooks;
+  // An absurd round count in a crafted file would hang the page
+  if (!encryption?.salt || !(encryption.iterations > 0 && encryption.iterations <= SECRET_KEY_ITERATIONS * 4)) {
+    throw new Error('Bundle has encrypted webhook secrets but no usable key parameters');
+  }
+
+  const key = await deriveSecretKey(passphrase, fromBase64(encryption.salt), encryption.iterations);
+  return Promise.all(webhooks.map(async ({ encryptedSecret, ...webhook }) => {
+    if (!encryptedSecret) return webhook;
+    try {
+      const [iv, data] = encryptedSecret.split('.').map(fromBase64);
+      const secret = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+      return { ...webhook, secret: new TextDecoder().decode(secret) };
+    } catch (error) {
+      throw new Error(`Could not decrypt the secret of webhook '${webhook.name}'`);
+    }
+  }));
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Read the current configuration
+ * @returns {Promise<object>} - Bundle contents
+ */
+export const getCurrentContents = async () => {
+  const [settings, watchRules, extractors, webhooks] = await Promise.all([
+    getSettings(),
+    getWatchRules(),
+    getExtractors(),
+    getWebhooks()
+  ]);
+  const { allowedOrigins, ...rest } = settings;
+
+  return { settings: rest, watchRules, extractors, webhooks, allowedOrigins };
+};
+
+/**
+ * Create a bundle of the current configuration. With a passphrase the bundle is
+ * signed and webhook secrets are encrypted; without one they are left out.
+ * @param {object} [options] - Options
+ * @param {string} [options.passphrase] - Team passphrase to sign with
+ * @returns {Promise<object>} - The bundle, ready for JSON.stringify
+ */
+export const createBundle = async ({ passphrase = '' } = {}) => {
+  const contents = await getCurrentContents();
+  let encryption = null;
+  if (passphrase) {
+    ({ webhooks: contents.webhooks, encryption } = await encryptSecrets(contents.webhooks, passphrase));
+  } else {
+    contents.webhooks = contents.webhooks.map(webhook => omitObjectKeys(webhook, ['secret']));
+  }
+  const exportedAt = new Date().toISOString();
+  const canonical = canonicalJson(contents);
+
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt,
+    extensionVersion: CONFIG.EXTENSION_VERSION,
+    checksum: await sha256(canonical),
+    contents
+  };
+  if (passphrase) {
+    bundle.encryption = encryption;
+    bundle.signature = await signPayload(passphrase, exportedAt, canonical);
+  }
+  return bundle;
+};
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+/**
+ * Bring a version 1 export file into the bundle shape
+ * @param {object} data - Parsed version 1 file
+ * @returns {object} - Bundle contents
+ */
+const upgradeLegacyFile = (data) => {
+  const { allowedOrigins = [], ...settings } = data.settings || {};
+  return {
+    settings,
+    watchRules: data.watchRules,
+    // Files from before extractors existed leave the current ones alone
+    extractors: data.extractors,
+    webhooks: undefined,
+    allowedOrigins
+  };
+};
+
+/**
+ * Check every item in the contents, so nothing is written unless everything is valid
+ * @param {object} contents - Bundle contents
+ * @throws {Error} Naming the first invalid section or item
+ */
+const validateContents = (contents) => {
+  // Version 1 files can lack extractors and webhooks; those sections are then left out
+  const present = Object.fromEntries(Object.entries(CONTENTS_SCHEMA).filter(([key]) => contents[key] !== undefined));
+  const { isValid, errors } = validateSchema(contents, present);
+  if (!isValid || !contents.settings || !contents.watchRules) {
+    throw new Error(`Bundle contents are incomplete: ${errors.join('; ') || 'settings and watch rules are required'}`);
+  }
+
+  const settings = validateSettings(mergeObjects(DEFAULT_SETTINGS, contents.settings));
+  if (!settings.isValid) {
+    throw new Error(`Invalid settings: ${settings.errors.join('; ')}`);
+  }
+
+  Object.entries(LIST_SECTIONS).forEach(([section, { label, create, validate }]) => {
+    (contents[section] || []).map(create).forEach((item) => {
+      const result = validate(item);
+      if (!result.isValid) {
+        throw new Error(`Invalid ${label} '${item.name}': ${result.errors.join('; ')}`);
+      }
+    });
+  });
+
+  const badOrigin = (contents.allowedOrigins || []).find(origin => !isValidOrigin(origin));
+  if (badOrigin !== undefined) {
+    throw new Error(`Invalid origin '${badOrigin}'`);
+  }
+};
+
+/**
+ * Parse and verify a bundle file
+ * @param {string} text - File contents
+ * @param {object} [options] - Options
+ * @param {string} [options.passphrase] - Team passphrase, required for signed bundles;
+ *   when given, unsigned bundles are refused
+ * @returns {Promise<object>} - {contents, exportedAt, version, signed, checksummed}
+ * @throws {Error} When the file isn't a valid, intact bundle
+ */
+export const readBundle = async (text, { passphrase = '' } = {}) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('File is not valid JSON');
+  }
+
+  // Removing the signature and recomputing the checksum must not get a file past the passphrase
+  const unsignedError = new Error('This bundle is not signed - clear the team passphrase to import an unsigned bundle');
+
+  if (data?.version === 1 && !data.format) {
+    if (passphrase) throw unsignedError;
+    const contents = upgradeLegacyFile(data);
+    validateContents(contents);
+    return { contents, exportedAt: data.exportedAt || null, version: 1, signed: false, checksummed: false };
+  }
+
+  const { isValid, errors } = validateSchema(data || {}, ENVELOPE_SCHEMA);
+  if (!isValid || data.format !== BUNDLE_FORMAT) {
+    throw new Error(`Not a configuration bundle: ${errors.join('; ') || `unknown format '${data.format}'`}`);
+  }
+  if (data.version > BUNDLE_VERSION) {
+    throw new Error(`Bundle version ${data.version} is newer than this extension supports`);
+  }
+
+  const canonical = canonicalJson(data.contents);
+  if (await sha256(canonical) !== data.checksum) {
+    throw new Error('Checksum mismatch - the file was modified or damaged');
+  }
+
+  let contents = data.contents;
+  if (data.signature) {
+    if (!passphrase) {
+      throw new Error('This bundle is signed - enter the team passphrase to import it');
+    }
+    if (await signPayload(passphrase, data.exportedAt, canonical) !== data.signature) {
+      throw new Error('The passphrase does not match the bundle signature');
+    }
+    if (contents.webhooks) {
+      contents = { ...contents, webhooks: await decryptSecrets(contents.webhooks, data.encryption, passphrase) };
+    }
+  } else if (passphrase) {
+    throw unsignedError;
+  } else if (contents.webhooks) {
+    // Secrets can't be decrypted without a verified passphrase; the current ones are kept
+    contents = { ...contents, webhooks: contents.webhooks.map(webhook => omitObjectKeys(webhook, ['encryptedSecret'])) };
+  }
+
+  validateContents(contents);
+  return {
+    contents,
+    exportedAt: data.exportedAt,
+    version: data.version,
+    signed: Boolean(data.signature),
+    checksummed: true
+  };
+};
+
+/**
+ * Key a list by item id (origins by themselves)
+ * @param {Array} items - Items
+ * @returns {object}
+ */
+const keyed = items => Object.fromEntries(items.map(item => (typeof item === 'string' ? [item, item] : [item.id, item])));
+
+/**
+ * Work out the configuration an import would produce
+ * @param {object} current - Current contents, from getCurrentContents
+ * @param {object} incoming - Bundle contents
+ * @param {string} mode - 'merge' keeps items the bundle doesn't mention; 'replace' drops them
+ * @returns {object} - Resulting contents
+ */
+export const resolveImport = (current, incoming, mode) => {
+  const replace = mode === 'replace';
+  const next = {
+    settings: mergeObjects(replace ? DEFAULT_SETTINGS : current.settings, incoming.settings),
+    allowedOrigins: replace
+      ? [...incoming.allowedOrigins]
+      : [...new Set([...current.allowedOrigins, ...incoming.allowedOrigins])]
+  };
+  delete next.settings.allowedOrigins;
+
+  Object.entries(LIST_SECTIONS).forEach(([section, { create, retained }]) => {
+    if (!incoming[section]) {
+      next[section] = current[section];
+      return;
+    }
+    const existing = keyed(current[section]);
+    const items = incoming[section].map(item => create({
+      ...filterObjectByKeys(existing[item.id] || {}, retained),
+      ...item
+    }));
+    next[section] = replace ? items : Object.values({ ...existing, ...keyed(items) });
+  });
+
+  return next;
+};
+
+/**
+ * Preview an import
+ * @param {object} incoming - Bundle contents, from readBundle
+ * @param {string} mode - 'merge' or 'replace'
+ * @returns {Promise<object>} - {next, differences}; differences holds, per section,
+ *   findObjectDifferences output keyed by setting name, item id or origin
+ */
+export const previewImport = async (incoming, mode) => {
+  if (!IMPORT_MODES.includes(mode)) {
+    throw new Error(`Import mode must be one of: ${IMPORT_MODES.join(', ')}`);
+  }
+
+  const current = await getCurrentContents();
+  const next = resolveImport(current, incoming, mode);
+
+  const differences = {
+    settings: findObjectDifferences(current.settings, next.settings),
+    allowedOrigins: findObjectDifferences(keyed(current.allowedOrigins), keyed(next.allowedOrigins))
+  };
+  Object.keys(LIST_SECTIONS).forEach((section) => {
+    differences[section] = findObjectDifferences(keyed(current[section]), keyed(next[section]));
+  });
+
+  return { next, differences };
+};
+
+/**
+ * Save the configuration an import produces. Everything is validated before
+ * anything is written, and each storage area is written in one step; when the
+ * settings can't be saved the lists written before them are put back.
+ * @param {object} next - Resulting contents, from previewImport
+ * @returns {Promise<void>}
+ * @throws {Error} When the contents are invalid or can't be saved
+ */
+export const applyImport = async (next) => {
+  validateContents(next);
+
+  const lists = Object.fromEntries(Object.entries(LIST_SECTIONS).map(([section, { create, key }]) => {
+    return [key, next[section].map(create)];
+  }));
+  const settings = {
+    ...mergeObjects(DEFAULT_SETTINGS, filterObjectByKeys(next.settings, Object.keys(DEFAULT_SETTINGS))),
+    allowedOrigins: next.allowedOrigins
+  };
+
+  const previous = await getItems(Object.keys(lists));
+  await setItems(lists);
+
+  try {
+    await setItem(SETTINGS_KEY, settings, 'sync');
+  } catch (error) {
+    try {
+      await setItems(previous);
+      await removeItems(Object.keys(lists).filter(key => !(key in previous)));
+    } catch (rollbackError) {
+      // The caller needs to see why the import failed, not why the cleanup did
+      logger.error('Could not restore the lists after a failed import:', rollbackError);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get the origins of webhooks an import adds or changes, which need host access
+ * @param {object} preview - Result of previewImport
+ * @returns {string[]}
+ */
+export const getImportedWebhookOrigins = ({ next, differences }) => {
+  const changed = next.webhooks.filter(webhook => webhook.id in differences.webhooks);
+  return [...new Set(changed.map(webhook => new URL(webhook.url).origin))];
+};
+
+export default {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  IMPORT_MODES,
+  getCurrentContents,
+  createBundle,
+  readBundle,
+  resolveImport,
+  previewImport,
+  applyImport,
+  getImportedWebhookOrigins
+};
@@ -16,6 +16,21 @@ const CONFIG = {
     TIMEOUT: 30000, // 30 seconds
     RETRY_ATTEMPTS: 3,
     RETRY_DELAY: 1000, // 1 second
+    MAX_RETRY_AFTER: 60000, // A 429 asking for a longer wait fails instead of being retried
+  },
+  
+  // Extension messaging (src/messages.js)
+  MESSAGING: {
+    TIMEOUT: 10000, // Default time to wait for a response; actions can override it
+  },
+  
+  // Email dispatch (handled by the offscreen document)
+  EMAIL: {
+    TRANSPORT: 'http', // 'http' or 'smtp-relay'
+    HTTP_ENDPOINT: '/email/send', // Relative to API.BASE_URL
+    SMTP_RELAY_URL: 'http://localhost:8025/api/v1/send', // HTTP bridge in front of the SMTP server
+    FROM_ADDRESS: 'no-reply@example.com',
+    MAX_RECIPIENTS: 50,
   },
   
   // Storage configuration
@@ -23,14 +38,21 @@ const CONFIG = {
     LOCAL_STORAGE_PREFIX: 'flex_portal_',
     SESSION_STORAGE_PREFIX: 'flex_portal_session_',
     CACHE_DURATION: 3600000, // 1 hour in milliseconds
+    QUOTA_PRESSURE: 0.9, // Share of a storage quota in use before cache entries are evicted
+    MAX_CHANGE_HISTORY: 500, // Change events kept before the oldest are dropped
+    MAX_CHANGES_PER_ENTRY: 50, // Mutations stored with each change event
+    MAX_CHANGE_TEXT_LENGTH: 500, // Characters kept of each text or attribute value in a stored mutation
+    MAX_DIFF_ITEMS: 50, // Items kept of each list (added, removed, text changes...) in a stored diff
+    MAX_NOTIFICATIONS: 100, // Popup notifications kept before the oldest are dropped
   },
   
   // UI Configuration
   UI: {
-    THEME: 'light', // 'light' or 'dark'
+    THEME: 'system', // 'system', 'light' or 'dark'
     ANIMATION_DURATION: 300, // milliseconds
     MODAL_Z_INDEX: 10000,
     NOTIFICATION_DURATION: 5000, // milliseconds
+    NOTIFICATION_COALESCE_WINDOW: 5000, // Bursts within this window share one OS notification
   },
   
   // Feature flags
@@ -45,8 +67,10 @@ const CONFIG = {
   LOGGING: {
     LEVEL: 'info', // 'debug', 'info', 'warn', 'error'
     ENABLE_CONSOLE: true,
-    ENABLE_FILE: false,
-    MAX_LOG_SIZE: 10485760, // 10MB
+    ENABLE_FILE: true, // Keep entries in storage for the log viewer
+    MAX_LOG_SIZE: 1048576, // 1MB; chrome.storage.local holds 10MB for everything
+    FLUSH_DELAY: 2000, // Entries are buffered this long (milliseconds) and written together
+    FLUSH_BATCH_SIZE: 50, // ...or written right away once this many are waiting
   },
   
   // Performance configuration
@@ -57,6 +81,38 @@ const CONFIG = {
     THROTTLE_DELAY: 500, // milliseconds
   },
   
+  // Two-way sync with the backend at API.BASE_URL (src/sync.js)
+  SYNC: {
+    ENDPOINT: '/sync/changes', // GET pulls changes since a cursor, POST pushes local ones
+    INTERVAL: 5, // Minutes between periodic syncs
+    DEBOUNCE_DELAY: 5000, // Local edits are pushed once they have settled this long
+    MAX_PULL_PAGES: 20, // Pages of remote changes fetched per sync
+  },
+  
+  // Outbound webhooks
+  WEBHOOKS: {
+    TIMEOUT: 10000, // Per request
+    RETRY_ATTEMPTS: 3, // Immediate retries per delivery round (retryWithBackoff)
+    RETRY_DELAY: 1000, // First retry delay, doubled on each retry
+    MAX_DELIVERY_ROUNDS: 6, // Rounds before a delivery is given up
+    OUTBOX_ALARM_PERIOD: 1, // Minutes between outbox flushes while deliveries are pending
+    MAX_LOG_ENTRIES: 200,
+  },
+  
+  // Snapshot archive (IndexedDB)
+  SNAPSHOTS: {
+    MAX_BYTES: 52428800, // 50MB of stored (possibly compressed) snapshots
+    MAX_COUNT: 500,
+    AUTO_CAPTURE_INTERVAL: 600000, // At most one automatic snapshot per tab every 10 minutes
+  },
+  
+  // Auto-refresh scheduling
+  REFRESH: {
+    JITTER_RATIO: 0.2, // Each delay is randomly shifted by up to ±20%
+    MAX_BACKOFF: 3600000, // Backoff is capped at 1 hour (before jitter)
+    PAGE_LOAD_TIMEOUT: 30000, // How long a reload may take before it counts as failed
+  },
+  
   // Security configuration
   SECURITY: {
     ENABLE_CSP: true,
@@ -70,3 +126,5 @@ const CONFIG = {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = CONFIG;
 }
+
+export default CONFIG;
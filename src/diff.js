@@ -0,0 +1,300 @@
+/**
+ * Diff utilities - word-level text diffs, added/removed item lists and keyed record diffs
+ * Loaded by content.js (via dynamic import) to describe what changed in watched regions
+ */
+
+import { findObjectDifferences, deepEqual, removeDuplicates } from './utils.js';
+
+// Above this many tokens per side the LCS table gets too large; fall back to a full replace
+const MAX_DIFF_TOKENS = 400;
+
+// Lines are far fewer than words, so whole snapshots can be diffed line by line
+const MAX_DIFF_LINES = 2000;
+
+/**
+ * Collapse whitespace so layout-only changes don't show up as diffs
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+export const normalizeText = (text) => {
+  return (text || '').replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Split text into words
+ * @param {string} text - Text to split
+ * @returns {string[]}
+ */
+export const tokenizeWords = (text) => {
+  const normalized = normalizeText(text);
+  return normalized ? normalized.split(' ') : [];
+};
+
+/**
+ * Split text into whitespace-normalized, non-empty lines
+ * @param {string} text - Text to split
+ * @returns {string[]}
+ */
+export const tokenizeLines = (text) => {
+  return (text || '').split('\n').map(normalizeText).filter(Boolean);
+};
+
+/**
+ * Merge consecutive parts of the same type
+ * @param {object[]} parts - Diff parts with single-token values
+ * @param {string} separator - Joins merged tokens
+ * @returns {object[]}
+ */
+const mergeParts = (parts, separator) => {
+  return parts.reduce((merged, part) => {
+    const last = merged[merged.length - 1];
+    if (last && last.type === part.type) {
+      last.value = `${last.value}${separator}${part.value}`;
+    } else {
+      merged.push({ ...part });
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * Diff two token lists (longest common subsequence)
+ * @param {string[]} a - Tokens before the change
+ * @param {string[]} b - Tokens after the change
+ * @param {number} maxTokens - Larger inputs are reported as a full replace
+ * @param {string} separator - Joins merged tokens
+ * @returns {object[]} - Parts of {type: 'equal'|'added'|'removed', value}
+ */
+const diffTokens = (a, b, maxTokens, separator) => {
+  if (a.length > maxTokens || b.length > maxTokens) {
+    const parts = [];
+    if (a.length) parts.push({ type: 'removed', value: a.join(separator) });
+    if (b.length) parts.push({ type: 'added', value: b.join(separator) });
+    return parts;
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      parts.push({ type: 'equal', value: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      parts.push({ type: 'removed', value: a[i++] });
+    } else {
+      parts.push({ type: 'added', value: b[j++] });
+    }
+  }
+  while (i < a.length) parts.push({ type: 'removed', value: a[i++] });
+  while (j < b.length) parts.push({ type: 'added', value: b[j++] });
+
+  return mergeParts(parts, separator);
+};
+
+/**
+ * Compute a word-level diff between two strings
+ * @param {string} oldText - Text before the change
+ * @param {string} newText - Text after the change
+ * @returns {object[]} - Parts of {type: 'equal'|'added'|'removed', value}
+ */
+export const diffWords = (oldText, newText) => {
+  return diffTokens(tokenizeWords(oldText), tokenizeWords(newText), MAX_DIFF_TOKENS, ' ');
+};
+
+/**
+ * Compute a line-level diff between two multi-line texts (e.g. page snapshots)
+ * @param {string} oldText - Text before the change
+ * @param {string} newText - Text after the change
+ * @returns {object[]} - Parts of {type: 'equal'|'added'|'removed', value} with newline-joined values
+ */
+export const diffLines = (oldText, newText) => {
+  return diffTokens(tokenizeLines(oldText), tokenizeLines(newText), MAX_DIFF_LINES, '\n');
+};
+
+/**
+ * Count occurrences of each item
+ * @param {string[]} items - Item texts
+ * @returns {object} - Map of item text to count
+ */
+const countItems = (items) => {
+  return items.reduce((counts, item) => {
+    counts[item] = (counts[item] || 0) + 1;
+    return counts;
+  }, {});
+};
+
+/**
+ * Compare two lists of item texts (e.g. table rows) as multisets
+ * @param {string[]} oldItems - Items before the change
+ * @param {string[]} newItems - Items after the change
+ * @returns {object} - { added: string[], removed: string[] }
+ */
+export const diffItems = (oldItems, newItems) => {
+  const differences = findObjectDifferences(
+    countItems(oldItems.map(normalizeText).filter(Boolean)),
+    countItems(newItems.map(normalizeText).filter(Boolean))
+  );
+  const added = [];
+  const removed = [];
+
+  Object.keys(differences).forEach((item) => {
+    const delta = (differences[item].new || 0) - (differences[item].old || 0);
+    for (let n = 0; n < Math.abs(delta); n++) {
+      (delta > 0 ? added : removed).push(item);
+    }
+  });
+
+  return { added, removed };
+};
+
+/**
+ * Human-readable noun for an element tag
+ * @param {string} tag - Lowercase tag name
+ * @returns {string}
+ */
+export const describeItemKind = (tag) => {
+  const kinds = { tr: 'Row', li: 'Item', option: 'Option', td: 'Cell', th: 'Cell' };
+  return kinds[tag] || 'Element';
+};
+
+/**
+ * Quote a value for a summary line, truncating long text
+ * @param {string} text - Text to quote
+ * @returns {string}
+ */
+const quote = (text) => {
+  const value = normalizeText(text);
+  return `'${value.length > 80 ? `${value.slice(0, 77)}...` : value}'`;
+};
+
+/**
+ * Build summary lines for a region diff
+ * @param {object} diff - { kind, added, removed, textChanges }
+ * @returns {string[]} - e.g. "Row 'Block 3pm-6pm $72' added"
+ */
+export const summarizeDiff = (diff) => {
+  const kind = diff.kind || 'Element';
+  const lines = [
+    ...diff.added.map(item => `${kind} ${quote(item)} added`),
+    ...diff.removed.map(item => `${kind} ${quote(item)} removed`)
+  ];
+
+  diff.textChanges.forEach((change) => {
+    const removed = change.parts.filter(part => part.type === 'removed').map(part => part.value).join(' ');
+    const added = change.parts.filter(part => part.type === 'added').map(part => part.value).join(' ');
+
+    if (removed && added) {
+      lines.push(`${kind} changed ${quote(removed)} to ${quote(added)}`);
+    } else if (added) {
+      lines.push(`${kind} text ${quote(added)} added`);
+    } else if (removed) {
+      lines.push(`${kind} text ${quote(removed)} removed`);
+    }
+  });
+
+  return lines;
+};
+
+/**
+ * Index records by key. Later duplicates of a key are ignored.
+ * @param {object[]} records - Records of {key, fields}
+ * @returns {object} - Map of key to record
+ */
+const indexRecords = (records) => {
+  return removeDuplicates(records, 'key').reduce((index, record) => {
+    index[record.key] = record;
+    return index;
+  }, {});
+};
+
+/**
+ * Compare two record sets by key
+ * @param {object[]} oldRecords - Records from the previous capture
+ * @param {object[]} newRecords - Records from the current capture
+ * @returns {object} - { added: object[], removed: object[], changed: [{key, fields: {name: {old, new}}}], unchanged: number }
+ */
+export const diffRecords = (oldRecords, newRecords) => {
+  const before = indexRecords(oldRecords);
+  const after = indexRecords(newRecords);
+  const changed = [];
+  let unchanged = 0;
+
+  Object.keys(after).forEach((key) => {
+    if (!(key in before)) return;
+    if (deepEqual(before[key].fields, after[key].fields)) {
+      unchanged++;
+    } else {
+      changed.push({ key, fields: findObjectDifferences(before[key].fields, after[key].fields) });
+    }
+  });
+
+  return {
+    added: Object.keys(after).filter(key => !(key in before)).map(key => after[key]),
+    removed: Object.keys(before).filter(key => !(key in after)).map(key => before[key]),
+    changed,
+    unchanged
+  };
+};
+
+/**
+ * Check whether a record diff contains any change
+ * @param {object} diff - Result of diffRecords
+ * @returns {boolean}
+ */
+export const hasRecordChanges = (diff) => {
+  return diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0;
+};
+
+/**
+ * Format a field value for a summary line
+ * @param {*} value - Typed field value
+ * @returns {string}
+ */
+const formatValue = (value) => {
+  return value === null || value === undefined ? 'empty' : quote(String(value));
+};
+
+/**
+ * Build summary lines for a record diff
+ * @param {object} diff - Result of diffRecords
+ * @returns {string[]} - e.g. "Record 'B2': pay changed '72' to '80'"
+ */
+export const summarizeRecordDiff = (diff) => {
+  return [
+    ...diff.added.map(record => `Record ${quote(record.key)} added`),
+    ...diff.removed.map(record => `Record ${quote(record.key)} removed`),
+    ...diff.changed.map((change) => {
+      const fields = Object.keys(change.fields).map((name) => {
+        const { old: before, new: after } = change.fields[name];
+        return `${name} changed ${formatValue(before)} to ${formatValue(after)}`;
+      });
+      return `Record ${quote(change.key)}: ${fields.join(', ')}`;
+    })
+  ];
+};
+
+export default {
+  normalizeText,
+  tokenizeWords,
+  tokenizeLines,
+  diffWords,
+  diffLines,
+  diffItems,
+  describeItemKind,
+  summarizeDiff,
+  diffRecords,
+  hasRecordChanges,
+  summarizeRecordDiff
+};
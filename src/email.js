@@ -0,0 +1,194 @@
+/**
+ * Email dispatch - address validation, message building and transports
+ * Used by the offscreen document to fulfil sendEmail requests. Offscreen documents
+ * can't reach chrome.storage, so the service worker resolves the settings and sends them along.
+ */
+
+import CONFIG from './config.js';
+import { getFromStorage, generateUniqueId } from './utils.js';
+import { createApiClient } from './api.js';
+
+export const EMAIL_SETTINGS_KEY = 'emailSettings';
+
+// Deliberately loose: one @, no whitespace, a dot in the domain part
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Check whether a string is a plausible email address
+ * @param {string} address - Address to check
+ * @returns {boolean}
+ */
+export const isValidEmail = (address) => {
+  return typeof address === 'string' && EMAIL_PATTERN.test(address.trim());
+};
+
+/**
+ * Normalize a recipient field into a list of trimmed addresses
+ * @param {string|string[]} recipients - Comma/semicolon separated string or array
+ * @returns {string[]}
+ */
+export const normalizeRecipients = (recipients) => {
+  if (!recipients) return [];
+  const list = Array.isArray(recipients) ? recipients : String(recipients).split(/[,;]/);
+  return list.map(address => String(address).trim()).filter(Boolean);
+};
+
+/**
+ * Validate a sendEmail request and build the message to send
+ * @param {object} request - { to, cc, subject, body }
+ * @param {object} settings - Resolved email settings
+ * @returns {object} - { isValid, errors, message }
+ */
+export const buildMessage = (request, settings) => {
+  const errors = [];
+  const to = normalizeRecipients(request.to);
+  const cc = normalizeRecipients(request.cc);
+
+  if (to.length === 0) {
+    errors.push('At least one recipient is required');
+  }
+
+  [...to, ...cc].forEach((address) => {
+    if (!isValidEmail(address)) {
+      errors.push(`Invalid email address '${address}'`);
+    }
+  });
+
+  if (to.length + cc.length > settings.maxRecipients) {
+    errors.push(`Too many recipients (maximum ${settings.maxRecipients})`);
+  }
+
+  if (typeof request.subject !== 'string' || request.subject.trim().length === 0) {
+    errors.push('Subject is required');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    message: {
+      id: generateUniqueId(),
+      from: settings.from,
+      to,
+      cc,
+      subject: (request.subject || '').trim(),
+      body: request.body || ''
+    }
+  };
+};
+
+/**
+ * Resolve email settings from CONFIG.EMAIL, overridden by stored settings
+ * @returns {Promise<object>}
+ */
+export const getEmailSettings = async () => {
+  const stored = await getFromStorage(EMAIL_SETTINGS_KEY, {});
+  return {
+    transport: stored.transport || CONFIG.EMAIL.TRANSPORT,
+    endpoint: stored.endpoint || `${CONFIG.API.BASE_URL}${CONFIG.EMAIL.HTTP_ENDPOINT}`,
+    relayUrl: stored.relayUrl || CONFIG.EMAIL.SMTP_RELAY_URL,
+    from: stored.from || CONFIG.EMAIL.FROM_ADDRESS,
+    maxRecipients: stored.maxRecipients || CONFIG.EMAIL.MAX_RECIPIENTS,
+    timeout: stored.timeout || CONFIG.API.TIMEOUT
+  };
+};
+
+/**
+ * POST a JSON payload with a timeout. Sends aren't retried so a slow
+ * transport can't deliver the same email twice.
+ * @param {string} url - Target URL
+ * @param {object} payload - JSON body
+ * @param {number} timeout - Timeout in milliseconds
+ * @param {function} fetchImpl - fetch implementation
+ * @returns {Promise<object>} - Parsed response body (or {} when empty)
+ */
+const postJson = async (url, payload, timeout, fetchImpl) => {
+  const result = await createApiClient({ timeout, fetch: fetchImpl }).post(url, payload, { retry: false });
+  return result && typeof result === 'object' ? result : {};
+};
+
+/**
+ * Send through the extension's HTTP email endpoint (CONFIG.API)
+ * @param {object} message - Built message
+ * @param {object} settings - Resolved email settings
+ * @param {function} fetchImpl - fetch implementation
+ * @returns {Promise<object>} - Transport result
+ */
+const sendViaHttp = async (message, settings, fetchImpl) => {
+  const result = await postJson(settings.endpoint, message, settings.timeout, fetchImpl);
+  return { messageId: result.messageId || result.id || message.id };
+};
+
+/**
+ * Send through an HTTP-to-SMTP relay (Mailpit style send API)
+ * @param {object} message - Built message
+ * @param {object} settings - Resolved email settings
+ * @param {function} fetchImpl - fetch implementation
+ * @returns {Promise<object>} - Transport result
+ */
+const sendViaSmtpRelay = async (message, settings, fetchImpl) => {
+  const payload = {
+    From: { Email: message.from },
+    To: message.to.map(address => ({ Email: address })),
+    Cc: message.cc.map(address => ({ Email: address })),
+    Subject: message.subject,
+    Text: message.body
+  };
+  const result = await postJson(settings.relayUrl, payload, settings.timeout, fetchImpl);
+  return { messageId: result.ID || result.messageId || message.id };
+};
+
+export const TRANSPORTS = {
+  http: sendViaHttp,
+  'smtp-relay': sendViaSmtpRelay
+};
+
+/**
+ * Validate and send an email
+ * @param {object} request - { to, cc, subject, body }
+ * @param {object} options - Optional overrides
+ * @param {object} [options.settings] - Resolved settings; read from storage when omitted,
+ *   which only works where chrome.storage is available
+ * @param {function} [options.fetch] - fetch implementation (for tests)
+ * @returns {Promise<object>} - { success, transport, messageId, recipients, errors, sentAt }
+ */
+export const sendEmail = async (request, options = {}) => {
+  const settings = options.settings || await getEmailSettings();
+  const fetchImpl = options.fetch || fetch.bind(globalThis);
+  const { isValid, errors, message } = buildMessage(request, settings);
+
+  if (!isValid) {
+    return { success: false, transport: settings.transport, errors };
+  }
+
+  const transport = TRANSPORTS[settings.transport];
+  if (!transport) {
+    return {
+      success: false,
+      transport: settings.transport,
+      errors: [`Unknown email transport '${settings.transport}'`]
+    };
+  }
+
+  try {
+    const result = await transport(message, settings, fetchImpl);
+    return {
+      success: true,
+      transport: settings.transport,
+      messageId: result.messageId,
+      recipients: [...message.to, ...message.cc],
+      sentAt: new Date().toISOString()
+    };
+  } catch (error) {
+    return { success: false, transport: settings.transport, errors: [error.message] };
+  }
+};
+
+export default {
+  EMAIL_SETTINGS_KEY,
+  TRANSPORTS,
+  isValidEmail,
+  normalizeRecipients,
+  buildMessage,
+  getEmailSettings,
+  sendEmail
+};
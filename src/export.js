@@ -0,0 +1,235 @@
+/**
+ * Data export - change history, extracted records, snapshots and logs as CSV, JSON or NDJSON
+ * Exports are built and downloaded by background.js so they survive the popup closing
+ */
+
+import { flattenObject } from './utils.js';
+import { queryChanges } from './history.js';
+import { getRecordBaselines } from './recordTracking.js';
+import { listSnapshots, getSnapshot } from './snapshots.js';
+import { getLogs, filterLogs } from './logger.js';
+
+export const EXPORT_FORMATS = {
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  json: { extension: 'json', mimeType: 'application/json' },
+  ndjson: { extension: 'ndjson', mimeType: 'application/x-ndjson' }
+};
+
+// ============================================================================
+// DATASETS
+// ============================================================================
+
+/**
+ * Check whether a timestamp falls inside the filter's date range
+ * @param {string} timestamp - ISO timestamp
+ * @param {object} filter - {since, until}
+ * @returns {boolean}
+ */
+const inDateRange = (timestamp, { since, until }) => {
+  const time = Date.parse(timestamp);
+  if (since && time < Date.parse(since)) return false;
+  if (until && time > Date.parse(until)) return false;
+  return true;
+};
+
+/**
+ * Each dataset loads its items (used as-is for JSON and NDJSON) and maps
+ * an item to a flat-ish row for CSV
+ */
+export const EXPORT_DATASETS = {
+  history: {
+    label: 'Change history',
+    load: async ({ since, until, ruleId }) => {
+      const entries = await queryChanges({ since, until });
+      return entries.filter(entry => !ruleId || entry.ruleId === ruleId || entry.extractorId === ruleId);
+    },
+    toRow: entry => ({
+      id: entry.id,
+      kind: entry.kind || 'dom',
+      timestamp: entry.timestamp,
+      url: entry.url,
+      rule: entry.ruleName || entry.extractorName,
+      mutationCount: entry.mutationCount,
+      mutationTypes: entry.mutationTypes,
+      summary: entry.summary
+    })
+  },
+
+  records: {
+    label: 'Extracted records',
+    load: async (filter) => {
+      const baselines = Object.values(await getRecordBaselines());
+      return baselines
+        .filter(baseline => !filter.ruleId || baseline.extractorId === filter.ruleId)
+        .filter(baseline => inDateRange(baseline.capturedAt, filter))
+        .flatMap(baseline => baseline.records.map(record => ({
+          extractorId: baseline.extractorId,
+          extractor: baseline.name,
+          url: baseline.url,
+          capturedAt: baseline.capturedAt,
+          key: record.key,
+          fields: record.fields
+        })));
+    },
+    toRow: record => record
+  },
+
+  snapshots: {
+    label: 'Snapshots',
+    load: async (filter) => {
+      const snapshots = (await listSnapshots()).filter(meta => inDateRange(meta.timestamp, filter));
+      return Promise.all(snapshots.map(meta => getSnapshot(meta.id)));
+    },
+    // Page content is too large for spreadsheet cells; CSV gets the metadata only
+    toRow: ({ snapshot, ...meta }) => meta
+  },
+
+  logs: {
+    label: 'Logs',
+    load: async (filter) => {
+      const entries = filterLogs(await getLogs(), filter);
+      return entries.filter(entry => inDateRange(entry.timestamp, filter));
+    },
+    toRow: entry => entry
+  }
+};
+
+// ============================================================================
+// FORMATTERS
+// ============================================================================
+
+/**
+ * Format a single CSV cell. Text that a spreadsheet would run as a formula is
+ * prefixed with a quote.
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (Array.isArray(value)) {
+    text = value.every(item => typeof item !== 'object' || item === null)
+      ? value.join('; ')
+      : JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Convert rows into CSV. Nested fields become dotted columns (fields.pay).
+ * @param {object[]} rows - Rows
+ * @returns {string}
+ */
+export const toCsv = (rows) => {
+  const flattened = rows.map(row => flattenObject(row));
+  const columns = [];
+
+  flattened.forEach((row) => {
+    Object.keys(row).forEach((column) => {
+      if (!columns.includes(column)) columns.push(column);
+    });
+  });
+
+  const lines = [
+    columns.map(toCsvCell).join(','),
+    ...flattened.map(row => columns.map(column => toCsvCell(row[column])).join(','))
+  ];
+  // The byte order mark makes spreadsheet apps read the file as UTF-8
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Convert items into pretty-printed JSON
+ * @param {object[]} items - Items
+ * @returns {string}
+ */
+export const toJson = (items) => {
+  return JSON.stringify(items, null, 2);
+};
+
+/**
+ * Convert items into newline-delimited JSON
+ * @param {object[]} items - Items
+ * @returns {string}
+ */
+export const toNdjson = (items) => {
+  return items.map(item => `${JSON.stringify(item)}\n`).join('');
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Build an export file
+ * @param {object} options - Export options
+ * @param {string} options.dataset - Key of EXPORT_DATASETS
+ * @param {string} options.format - Key of EXPORT_FORMATS
+ * @param {object} [options.filter] - {since, until, ruleId}; logs also take {level, context, search}
+ * @returns {Promise<object>} - {filename, mimeType, content, count}
+ */
+export const buildExport = async ({ dataset, format, filter = {} }) => {
+  const source = EXPORT_DATASETS[dataset];
+  const output = EXPORT_FORMATS[format];
+
+  if (!source) {
+    throw new Error(`Unknown dataset: ${dataset}`);
+  }
+  if (!output) {
+    throw new Error(`Unknown format: ${format}`);
+  }
+
+  const items = await source.load(filter);
+  let content;
+  if (format === 'csv') {
+    content = toCsv(items.map(source.toRow));
+  } else if (format === 'json') {
+    content = toJson(items);
+  } else {
+    content = toNdjson(items);
+  }
+
+  const date = new Date().toISOString().split('T')[0];
+  return {
+    filename: `flex-portal-${dataset}-${date}.${output.extension}`,
+    mimeType: output.mimeType,
+    content,
+    count: items.length
+  };
+};
+
+/**
+ * Build an export and hand it to chrome.downloads. Service workers can't create
+ * object URLs, and data URLs fail past 2 MB, so the caller supplies the blob URL.
+ * @param {object} options - Same as buildExport
+ * @param {function} createObjectUrl - Receives the built file, resolves to a blob: URL for its content
+ * @returns {Promise<object>} - {downloadId, filename, count, url}
+ */
+export const downloadExport = async (options, createObjectUrl) => {
+  const file = await buildExport(options);
+  const url = await createObjectUrl(file);
+  const downloadId = await chrome.downloads.download({
+    url,
+    filename: file.filename,
+    saveAs: true
+  });
+
+  return { downloadId, filename: file.filename, count: file.count, url };
+};
+
+export default {
+  EXPORT_FORMATS,
+  EXPORT_DATASETS,
+  toCsv,
+  toJson,
+  toNdjson,
+  buildExport,
+  downloadExport
+};
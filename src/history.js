@@ -0,0 +1,261 @@
+/**
+ * Change history store - persists changeDetected events reported by content scripts
+ * and record diffs between captures, and answers queries by URL, tab, time range and type
+ */
+
+import CONFIG from './config.js';
+import { getFromStorage, saveToStorage, generateUniqueId } from './utils.js';
+import { getSettings } from './settings.js';
+
+export const CHANGE_HISTORY_KEY = 'changeHistory';
+
+// Writes are serialized so bursts of changeDetected messages don't overwrite each other
+let writeQueue = Promise.resolve();
+
+/**
+ * Create an empty history structure
+ * @returns {object}
+ */
+const createEmptyHistory = () => ({
+  entries: [],
+  index: {
+    byUrl: {},
+    byTab: {}
+  }
+});
+
+/**
+ * Rebuild the per-URL and per-tab indexes from the entry list
+ * @param {object[]} entries - History entries, oldest first
+ * @returns {object} - Index of entry ids keyed by URL and tab id
+ */
+const buildIndex = (entries) => {
+  const index = { byUrl: {}, byTab: {} };
+
+  entries.forEach((entry) => {
+    if (entry.url) {
+      if (!index.byUrl[entry.url]) index.byUrl[entry.url] = [];
+      index.byUrl[entry.url].push(entry.id);
+    }
+    if (entry.tabId != null) {
+      if (!index.byTab[entry.tabId]) index.byTab[entry.tabId] = [];
+      index.byTab[entry.tabId].push(entry.id);
+    }
+  });
+
+  return index;
+};
+
+/**
+ * Load the stored history
+ * @returns {Promise<object>}
+ */
+export const loadHistory = async () => {
+  const history = await getFromStorage(CHANGE_HISTORY_KEY, null);
+  if (!history || !Array.isArray(history.entries)) {
+    return createEmptyHistory();
+  }
+  return history;
+};
+
+/**
+ * Queue a read-modify-write operation on the stored history
+ * @param {function} mutate - Receives the current history and returns the new one
+ * @returns {Promise<object>} - The saved history
+ */
+const updateHistory = (mutate) => {
+  const run = writeQueue.then(async () => {
+    const history = await loadHistory();
+    const next = mutate(history);
+    await saveToStorage(CHANGE_HISTORY_KEY, next);
+    return next;
+  });
+  // Keep the queue alive even if one write fails
+  writeQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Shorten the strings in a reported mutation, so one busy page can't fill the storage quota
+ * @param {*} value - Mutation or part of one
+ * @returns {*}
+ */
+const truncateText = (value) => {
+  const maxLength = CONFIG.STORAGE.MAX_CHANGE_TEXT_LENGTH;
+  if (typeof value === 'string') {
+    return value.length > maxLength ? `${value.slice(0, maxLength)}…` : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(truncateText);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, truncateText(item)]));
+  }
+  return value;
+};
+
+/**
+ * Cap a reported diff before it is stored: each list keeps its first items and every
+ * text value is shortened. The full list lengths are kept in `counts`.
+ * @param {object|null} diff - Region diff from content.js or record diff from recordTracking.js
+ * @returns {object|null}
+ */
+const truncateDiff = (diff) => {
+  if (!diff || typeof diff !== 'object') return null;
+
+  const maxItems = CONFIG.STORAGE.MAX_DIFF_ITEMS;
+  const stored = {};
+  const counts = {};
+  let truncated = false;
+
+  Object.entries(diff).forEach(([key, value]) => {
+    if (Array.isArray(value)) {
+      counts[key] = value.length;
+      truncated = truncated || value.length > maxItems;
+      stored[key] = truncateText(value.slice(0, maxItems));
+    } else {
+      stored[key] = truncateText(value);
+    }
+  });
+
+  return { ...stored, counts, truncated };
+};
+
+/**
+ * Convert a changeDetected payload into a history entry
+ * @param {object} changeDetails - Payload sent by content.js
+ * @param {object} sender - chrome.runtime.MessageSender of the content script
+ * @returns {object}
+ */
+export const createHistoryEntry = (changeDetails, sender = {}) => {
+  const changes = Array.isArray(changeDetails.changes) ? changeDetails.changes : [];
+  // Only the first mutations are kept; mutationCount and mutationTypes still cover all of them
+  const stored = changes.slice(0, CONFIG.STORAGE.MAX_CHANGES_PER_ENTRY).map(truncateText);
+
+  return {
+    id: generateUniqueId(),
+    kind: changeDetails.kind || 'dom', // 'dom' for mutations, 'records' for record diffs
+    tabId: sender.tab?.id ?? null,
+    url: changeDetails.url || sender.tab?.url || sender.url || null,
+    ruleId: changeDetails.ruleId || null,
+    ruleName: changeDetails.ruleName || null,
+    extractorId: changeDetails.extractorId || null,
+    extractorName: changeDetails.extractorName || null,
+    timestamp: changeDetails.timestamp || new Date().toISOString(),
+    receivedAt: new Date().toISOString(),
+    mutationCount: changeDetails.mutationCount ?? changes.length,
+    mutationTypes: [...new Set(changes.map(change => change.type))],
+    summary: Array.isArray(changeDetails.summary) ? changeDetails.summary : [],
+    diff: truncateDiff(changeDetails.diff),
+    changes: stored,
+    changesTruncated: stored.length < changes.length
+  };
+};
+
+/**
+ * Append a change event to the history, dropping the oldest entries past the retention cap
+ * @param {object} changeDetails - Payload sent by content.js
+ * @param {object} sender - chrome.runtime.MessageSender of the content script
+ * @returns {Promise<object>} - The stored entry
+ */
+export const recordChange = async (changeDetails, sender) => {
+  const entry = createHistoryEntry(changeDetails, sender);
+  const { historyLimit: limit } = await getSettings();
+
+  await updateHistory((history) => {
+    const entries = [...history.entries, entry].slice(-limit);
+    return { entries, index: buildIndex(entries) };
+  });
+
+  return entry;
+};
+
+/**
+ * Add entries recorded elsewhere (another device, through sync). Entries whose
+ * id is already stored are skipped; the retention cap still applies.
+ * @param {object[]} incoming - History entries
+ * @returns {Promise<number>} - How many entries were added
+ */
+export const importChanges = async (incoming) => {
+  const { historyLimit: limit } = await getSettings();
+  let added = 0;
+
+  await updateHistory((history) => {
+    const known = new Set(history.entries.map(entry => entry.id));
+    const fresh = incoming.filter(entry => !known.has(entry.id));
+    added = fresh.length;
+
+    const entries = [...history.entries, ...fresh]
+      .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp))
+      .slice(-limit);
+    return { entries, index: buildIndex(entries) };
+  });
+
+  return added;
+};
+
+/**
+ * Query stored change events
+ * @param {object} filter - Query filter
+ * @param {string} [filter.url] - Only events recorded on this URL
+ * @param {number} [filter.tabId] - Only events recorded in this tab
+ * @param {string} [filter.since] - ISO timestamp, inclusive lower bound
+ * @param {string} [filter.until] - ISO timestamp, inclusive upper bound
+ * @param {string} [filter.type] - Only events containing this mutation type
+ * @param {string} [filter.ruleId] - Only events fired by this watch rule
+ * @param {string} [filter.kind] - Only 'dom' or only 'records' events
+ * @param {string} [filter.extractorId] - Only record diffs from this extractor
+ * @param {number} [filter.limit] - Maximum number of events, newest first
+ * @returns {Promise<object[]>} - Matching entries, newest first
+ */
+export const queryChanges = async (filter = {}) => {
+  const history = await loadHistory();
+  let entries = history.entries;
+
+  // Narrow the candidate set through the indexes before scanning
+  const idSets = [];
+  if (filter.url) idSets.push(new Set(history.index.byUrl[filter.url] || []));
+  if (filter.tabId != null) idSets.push(new Set(history.index.byTab[filter.tabId] || []));
+  if (idSets.length > 0) {
+    entries = entries.filter(entry => idSets.every(ids => ids.has(entry.id)));
+  }
+
+  const since = filter.since ? Date.parse(filter.since) : null;
+  const until = filter.until ? Date.parse(filter.until) : null;
+
+  const matches = entries.filter((entry) => {
+    const time = Date.parse(entry.timestamp);
+    if (since !== null && time < since) return false;
+    if (until !== null && time > until) return false;
+    if (filter.type && !entry.mutationTypes.includes(filter.type)) return false;
+    if (filter.ruleId && entry.ruleId !== filter.ruleId) return false;
+    if (filter.kind && (entry.kind || 'dom') !== filter.kind) return false;
+    if (filter.extractorId && entry.extractorId !== filter.extractorId) return false;
+    return true;
+  }).reverse();
+
+  return filter.limit ? matches.slice(0, filter.limit) : matches;
+};
+
+/**
+ * Remove all events recorded for a tab (or everything when no tab is given)
+ * @param {number} [tabId] - Tab whose events should be removed
+ * @returns {Promise<void>}
+ */
+export const clearChanges = async (tabId) => {
+  await updateHistory((history) => {
+    if (tabId == null) return createEmptyHistory();
+    const entries = history.entries.filter(entry => entry.tabId !== tabId);
+    return { entries, index: buildIndex(entries) };
+  });
+};
+
+export default {
+  CHANGE_HISTORY_KEY,
+  loadHistory,
+  createHistoryEntry,
+  recordChange,
+  importChanges,
+  queryChanges,
+  clearChanges
+};
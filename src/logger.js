@@ -0,0 +1,229 @@
+/**
+ * Logger - leveled logging shared by every extension context
+ * Entries below CONFIG.LOGGING.LEVEL are dropped. The rest go to the console and,
+ * with ENABLE_FILE, to a ring buffer in chrome.storage.local capped at MAX_LOG_SIZE.
+ * The service worker owns the buffer; other contexts forward their entries to it
+ * so tabs, the popup and the offscreen document never overwrite each other's writes.
+ * Entries are held in memory for up to FLUSH_DELAY and written in one batch.
+ */
+
+import CONFIG from './config.js';
+import { getFromStorage, saveToStorage, generateUniqueId } from './utils.js';
+import { sendMessage } from './messages.js';
+
+export const LOG_STORAGE_KEY = 'logs';
+
+export const LOG_LEVELS = {
+  debug: 0,
+  info: 1,
+  warn: 2,
+  error: 3
+};
+
+export const LOG_CONTEXTS = {
+  BACKGROUND: 'background',
+  CONTENT: 'content',
+  POPUP: 'popup',
+  OPTIONS: 'options',
+  OFFSCREEN: 'offscreen'
+};
+
+// Longer messages are cut so one huge object can't push everything else out
+const MAX_MESSAGE_LENGTH = 2000;
+
+// Entries waiting for the next write, the scheduled write, and the queue that serializes writes
+let pending = [];
+let scheduledFlush = null;
+let writeQueue = Promise.resolve();
+
+// ============================================================================
+// ENTRIES
+// ============================================================================
+
+/**
+ * Turn one logged value into text
+ * @param {*} value - Logged value
+ * @returns {string}
+ */
+const formatArgument = (value) => {
+  if (typeof value === 'string') return value;
+  if (value instanceof Error) return `${value.name}: ${value.message}`;
+  if (value === undefined) return 'undefined';
+
+  try {
+    return JSON.stringify(value);
+  } catch (error) {
+    return String(value);
+  }
+};
+
+/**
+ * Create a log entry
+ * @param {string} context - One of LOG_CONTEXTS
+ * @param {string} level - Key of LOG_LEVELS
+ * @param {Array} args - Logged values
+ * @returns {object} - {id, timestamp, level, context, message}
+ */
+export const createLogEntry = (context, level, args) => {
+  const message = args.map(formatArgument).join(' ');
+
+  return {
+    id: generateUniqueId(),
+    timestamp: new Date().toISOString(),
+    level,
+    context,
+    message: message.length > MAX_MESSAGE_LENGTH ? `${message.slice(0, MAX_MESSAGE_LENGTH)}…` : message
+  };
+};
+
+/**
+ * Keep the newest entries that fit in the size budget
+ * @param {object[]} entries - Entries, newest first
+ * @param {number} maxSize - Budget in characters of serialized JSON
+ * @returns {object[]}
+ */
+const trimLog = (entries, maxSize) => {
+  let size = 0;
+  const index = entries.findIndex((entry) => {
+    size += JSON.stringify(entry).length;
+    return size > maxSize;
+  });
+  return index === -1 ? entries : entries.slice(0, index);
+};
+
+/**
+ * Check whether an entry passes a log filter
+ * @param {object} entry - Log entry
+ * @param {object} filter - {level: minimum level, context, search}
+ * @returns {boolean}
+ */
+const matchesFilter = (entry, { level, context, search }) => {
+  if (level && LOG_LEVELS[entry.level] < LOG_LEVELS[level]) return false;
+  if (context && entry.context !== context) return false;
+  if (search && !entry.message.toLowerCase().includes(search.toLowerCase())) return false;
+  return true;
+};
+
+/**
+ * Filter log entries
+ * @param {object[]} entries - Log entries
+ * @param {object} [filter] - {level: minimum level, context, search}
+ * @returns {object[]}
+ */
+export const filterLogs = (entries, filter = {}) => {
+  return entries.filter(entry => matchesFilter(entry, filter));
+};
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Get the stored log, newest first
+ * @returns {Promise<object[]>}
+ */
+export const getLogs = async () => {
+  return getFromStorage(LOG_STORAGE_KEY, []);
+};
+
+/**
+ * Write every buffered entry to the stored log
+ * @returns {Promise<void>}
+ */
+const flushLogs = () => {
+  scheduledFlush = null;
+
+  const run = writeQueue.then(async () => {
+    if (pending.length === 0) return;
+
+    const batch = pending.reverse();
+    pending = [];
+    const log = await getLogs();
+    await saveToStorage(LOG_STORAGE_KEY, trimLog([...batch, ...log], CONFIG.LOGGING.MAX_LOG_SIZE));
+  });
+  writeQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Add entries to the stored log. Only the service worker calls this. Entries are
+ * buffered and written together after CONFIG.LOGGING.FLUSH_DELAY, or as soon as
+ * FLUSH_BATCH_SIZE of them are waiting.
+ * @param {object[]} entries - Entries from createLogEntry, oldest first
+ * @returns {Promise<void>} - Settles once the entries are written
+ */
+export const appendLogEntries = (entries) => {
+  pending.push(...entries);
+
+  if (pending.length >= CONFIG.LOGGING.FLUSH_BATCH_SIZE) {
+    return flushLogs();
+  }
+  if (!scheduledFlush) {
+    scheduledFlush = new Promise(resolve => setTimeout(resolve, CONFIG.LOGGING.FLUSH_DELAY)).then(flushLogs);
+  }
+  return scheduledFlush;
+};
+
+/**
+ * Remove every stored entry
+ * @returns {Promise<void>}
+ */
+export const clearLogs = () => {
+  const run = writeQueue.then(() => {
+    pending = [];
+    return saveToStorage(LOG_STORAGE_KEY, []);
+  });
+  writeQueue = run.catch(() => {});
+  return run;
+};
+
+// ============================================================================
+// LOGGER
+// ============================================================================
+
+/**
+ * Log a message from a context
+ * @param {string} context - One of LOG_CONTEXTS
+ * @param {string} level - Key of LOG_LEVELS
+ * @param {Array} args - Logged values
+ */
+const log = (context, level, args) => {
+  if (LOG_LEVELS[level] < LOG_LEVELS[CONFIG.LOGGING.LEVEL]) return;
+
+  if (CONFIG.LOGGING.ENABLE_CONSOLE) {
+    console[level](`[Flex Portal/${context}]`, ...args);
+  }
+  if (!CONFIG.LOGGING.ENABLE_FILE) return;
+
+  const entry = createLogEntry(context, level, args);
+  const stored = context === LOG_CONTEXTS.BACKGROUND
+    ? appendLogEntries([entry])
+    : sendMessage('appendLogs', { entries: [entry] });
+
+  // Nothing to report a failed write to; the console already has the entry
+  stored.catch(() => {});
+};
+
+/**
+ * Create a logger that tags its entries with the context it runs in
+ * @param {string} context - One of LOG_CONTEXTS
+ * @returns {object} - {debug, info, warn, error}, each taking console-style arguments
+ */
+export const createLogger = (context) => ({
+  debug: (...args) => log(context, 'debug', args),
+  info: (...args) => log(context, 'info', args),
+  warn: (...args) => log(context, 'warn', args),
+  error: (...args) => log(context, 'error', args)
+});
+
+export default {
+  LOG_STORAGE_KEY,
+  LOG_LEVELS,
+  LOG_CONTEXTS,
+  createLogEntry,
+  filterLogs,
+  getLogs,
+  appendLogEntries,
+  clearLogs,
+  createLogger
+};
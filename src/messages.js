@@ -0,0 +1,267 @@
+/**
+ * Message bus - the contract between popup, options, background, content and offscreen
+ * Every action is declared once with the context that handles it and the shape of
+ * its payload. Requests and responses travel in envelopes:
+ *   request:  {action, id, target, payload}
+ *   response: {ok: true, id, data} or {ok: false, id, error: {code, message}}
+ */
+
+import CONFIG from './config.js';
+import { generateUniqueId, validateSchema } from './utils.js';
+
+export const MESSAGE_TARGETS = {
+  BACKGROUND: 'background',
+  CONTENT: 'content',
+  OFFSCREEN: 'offscreen',
+  POPUP: 'popup'
+};
+
+export const MESSAGE_ERRORS = {
+  UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  HANDLER_ERROR: 'HANDLER_ERROR',
+  NO_RECEIVER: 'NO_RECEIVER',
+  NO_RESPONSE: 'NO_RESPONSE',
+  TIMEOUT: 'TIMEOUT'
+};
+
+const { BACKGROUND, CONTENT, OFFSCREEN, POPUP } = MESSAGE_TARGETS;
+
+/**
+ * Every action, keyed by name. Payload fields use validateSchema types; a
+ * trailing '?' makes a field optional and '|' allows several types.
+ */
+export const ACTIONS = {
+  // Handled by the background service worker
+  getSettings: { target: BACKGROUND, payload: {} },
+  getWatchRules: { target: BACKGROUND, payload: {} },
+  getExtractors: { target: BACKGROUND, payload: {} },
+  getOffscreenStatus: { target: BACKGROUND, payload: {} },
+  getPopupStatus: { target: BACKGROUND, payload: {} },
+  getMonitoredTabs: { target: BACKGROUND, payload: {} },
+  setTabMonitoring: { target: BACKGROUND, payload: { tabId: 'number', enabled: 'boolean' } },
+  pauseTabMonitoring: { target: BACKGROUND, payload: { tabId: 'number', minutes: 'number' } },
+  appendLogs: { target: BACKGROUND, payload: { entries: 'array' } },
+  clearLogs: { target: BACKGROUND, payload: {} },
+  contentScriptReady: { target: BACKGROUND, payload: { url: 'string', timestamp: 'string' } },
+  changeDetected: { target: BACKGROUND, payload: { url: 'string', timestamp: 'string', mutationCount: 'number', changes: 'array' } },
+  recordsCaptured: { target: BACKGROUND, payload: { url: 'string', timestamp: 'string', results: 'array' } },
+  archiveSnapshot: { target: BACKGROUND, payload: { tabId: 'number' } },
+  exportData: { target: BACKGROUND, payload: { dataset: 'string', format: 'string', filter: 'object?' }, timeout: 120000 },
+  sendEmail: { target: BACKGROUND, payload: { to: 'string|array', cc: 'string|array?', subject: 'string', body: 'string' }, timeout: 60000 },
+  testWebhook: { target: BACKGROUND, payload: { webhookId: 'string' }, timeout: 60000 },
+  flushWebhookOutbox: { target: BACKGROUND, payload: {}, timeout: 120000 },
+  queryChanges: { target: BACKGROUND, payload: { filter: 'object?' } },
+  getNotifications: { target: BACKGROUND, payload: {} },
+  markNotificationRead: { target: BACKGROUND, payload: { id: 'string?' } },
+  dismissNotification: { target: BACKGROUND, payload: { id: 'string' } },
+  getRefreshStatus: { target: BACKGROUND, payload: {} },
+  setRefreshPaused: { target: BACKGROUND, payload: { paused: 'boolean' } },
+  syncNow: { target: BACKGROUND, payload: {} },
+  runMigrations: { target: BACKGROUND, payload: { dryRun: 'boolean?' } },
+
+  // Handled by the content script in a portal tab
+  toggleMonitoring: { target: CONTENT, payload: { enabled: 'boolean' } },
+  getPageInfo: { target: CONTENT, payload: {} },
+  getMonitoringStatus: { target: CONTENT, payload: {} },
+  captureSnapshot: { target: CONTENT, payload: {} },
+  settingsChanged: { target: CONTENT, payload: { settings: 'object' } },
+  updateWatchRules: { target: CONTENT, payload: { rules: 'array' } },
+  updateExtractors: { target: CONTENT, payload: { extractors: 'array' } },
+  extractRecords: { target: CONTENT, payload: { extractors: 'array?', extractorId: 'string?' }, timeout: 30000 },
+  softRefresh: { target: CONTENT, payload: {}, timeout: CONFIG.REFRESH.PAGE_LOAD_TIMEOUT },
+
+  // Handled by the offscreen document
+  dispatchEmail: { target: OFFSCREEN, payload: { to: 'string|array', cc: 'string|array?', subject: 'string', body: 'string', settings: 'object' }, timeout: 60000 },
+  createObjectUrl: { target: OFFSCREEN, payload: { content: 'string', mimeType: 'string' }, timeout: 60000 },
+  revokeObjectUrl: { target: OFFSCREEN, payload: { url: 'string' } },
+
+  // Handled by the popup while it is open
+  updatePopup: { target: POPUP, payload: {} }
+};
+
+/**
+ * Error raised for failed requests. `code` is one of MESSAGE_ERRORS.
+ */
+export class MessageError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'MessageError';
+    this.code = code;
+  }
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validate a payload against an action's declared fields
+ * @param {object} payload - Payload to check
+ * @param {object} schema - Field specs such as 'string', 'array?' or 'string|array'
+ * @returns {object} - Validation result {isValid: boolean, errors: array}
+ */
+export const validatePayload = (payload, schema) => {
+  if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { isValid: false, errors: ['Payload should be an object'] };
+  }
+
+  const errors = [];
+  Object.entries(schema).forEach(([field, spec]) => {
+    const optional = spec.endsWith('?');
+    const types = spec.replace(/\?$/, '').split('|');
+    const value = payload[field];
+
+    if (optional && (value === undefined || value === null)) return;
+    if (types.some(type => validateSchema({ [field]: value }, { [field]: type }).isValid)) return;
+
+    errors.push(`Field '${field}' should be of type '${types.join("' or '")}' but got '${value === null ? 'null' : typeof value}'`);
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Build a request envelope, rejecting unknown actions and invalid payloads
+ * before anything is sent
+ * @param {string} action - Key of ACTIONS
+ * @param {object} payload - Action payload
+ * @returns {object} - Request envelope
+ */
+export const createMessage = (action, payload = {}) => {
+  const definition = ACTIONS[action];
+  if (!definition) {
+    throw new MessageError(MESSAGE_ERRORS.UNKNOWN_ACTION, `Unknown action: ${action}`);
+  }
+
+  const { isValid, errors } = validatePayload(payload, definition.payload);
+  if (!isValid) {
+    throw new MessageError(MESSAGE_ERRORS.INVALID_PAYLOAD, `Invalid ${action} payload: ${errors.join('; ')}`);
+  }
+
+  return { action, id: generateUniqueId(), target: definition.target, payload };
+};
+
+// ============================================================================
+// SENDING
+// ============================================================================
+
+/**
+ * Send a request and resolve with the handler's data. Content script actions
+ * need a tabId; everything else goes through chrome.runtime.
+ * @param {string} action - Key of ACTIONS
+ * @param {object} [payload] - Action payload
+ * @param {object} [options] - {tabId, timeout}
+ * @returns {Promise<*>} - The handler's data
+ * @throws {MessageError}
+ */
+export const sendMessage = async (action, payload = {}, { tabId, timeout } = {}) => {
+  const message = createMessage(action, payload);
+  const limit = timeout || ACTIONS[action].timeout || CONFIG.MESSAGING.TIMEOUT;
+
+  if (message.target === CONTENT && typeof tabId !== 'number') {
+    throw new MessageError(MESSAGE_ERRORS.INVALID_PAYLOAD, `${action} needs a tabId`);
+  }
+
+  const delivery = message.target === CONTENT
+    ? chrome.tabs.sendMessage(tabId, message)
+    : chrome.runtime.sendMessage(message);
+
+  let timer;
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      reject(new MessageError(MESSAGE_ERRORS.TIMEOUT, `${action} timed out after ${limit}ms`));
+    }, limit);
+  });
+
+  let response;
+  try {
+    response = await Promise.race([
+      delivery.catch((error) => {
+        // "Could not establish connection. Receiving end does not exist."
+        throw new MessageError(MESSAGE_ERRORS.NO_RECEIVER, `${action}: ${error.message}`);
+      }),
+      expired
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (!response || response.id !== message.id) {
+    throw new MessageError(MESSAGE_ERRORS.NO_RESPONSE, `${action} was not answered`);
+  }
+  if (!response.ok) {
+    throw new MessageError(response.error?.code || MESSAGE_ERRORS.HANDLER_ERROR, response.error?.message || `${action} failed`);
+  }
+  return response.data;
+};
+
+// ============================================================================
+// RECEIVING
+// ============================================================================
+
+/**
+ * Create a chrome.runtime.onMessage listener for one context. Requests for other
+ * contexts are ignored (runtime messages reach every extension page), payloads
+ * are validated before the handler runs, and whatever the handler returns or
+ * throws is answered in an envelope.
+ * @param {string} target - One of MESSAGE_TARGETS
+ * @param {object} handlers - Map of action to (payload, sender) => data or Promise
+ * @returns {function} - onMessage listener
+ */
+export const createMessageRouter = (target, handlers) => (message, sender, sendResponse) => {
+  if (!message || typeof message.action !== 'string' || typeof message.id !== 'string') return false;
+
+  const definition = ACTIONS[message.action];
+  const respondWithError = (code, text) => {
+    sendResponse({ ok: false, id: message.id, error: { code, message: text } });
+    return false;
+  };
+
+  if (!definition) {
+    // Only the service worker answers, so unknown actions still fail fast
+    return target === BACKGROUND
+      ? respondWithError(MESSAGE_ERRORS.UNKNOWN_ACTION, `Unknown action: ${message.action}`)
+      : false;
+  }
+  if (definition.target !== target) return false;
+
+  const handler = handlers[message.action];
+  if (!handler) {
+    return respondWithError(MESSAGE_ERRORS.UNKNOWN_ACTION, `No ${target} handler for ${message.action}`);
+  }
+
+  const payload = message.payload || {};
+  const { isValid, errors } = validatePayload(payload, definition.payload);
+  if (!isValid) {
+    return respondWithError(MESSAGE_ERRORS.INVALID_PAYLOAD, `Invalid ${message.action} payload: ${errors.join('; ')}`);
+  }
+
+  Promise.resolve()
+    .then(() => handler(payload, sender))
+    .then((data) => {
+      sendResponse({ ok: true, id: message.id, data: data === undefined ? null : data });
+    })
+    .catch((error) => {
+      sendResponse({
+        ok: false,
+        id: message.id,
+        error: { code: error.code || MESSAGE_ERRORS.HANDLER_ERROR, message: error.message }
+      });
+    });
+  return true; // Keep channel open for async response
+};
+
+export default {
+  MESSAGE_TARGETS,
+  MESSAGE_ERRORS,
+  ACTIONS,
+  MessageError,
+  validatePayload,
+  createMessage,
+  sendMessage,
+  createMessageRouter
+};
@@ -0,0 +1,254 @@
+/**
+ * Storage schema migrations - bring stored data up to the shape the current code expects
+ * background.js runs them when the extension is installed or updated. Each migration
+ * is a pure function from one snapshot of local and sync storage to the next, so a
+ * dry run simply skips the write, and nothing is written unless every pending
+ * migration succeeds. A failed write is rolled back to the original values.
+ * Migrations must be idempotent: they can run against data they already migrated.
+ */
+
+import { deepClone, transformObjectKeys, saveToStorage, getFromStorage } from './utils.js';
+import { toStorageKey, getItem } from './storage.js';
+import { SETTINGS_KEY, MIN_REFRESH_INTERVAL } from './settings.js';
+import { CHANGE_HISTORY_KEY } from './history.js';
+import { LOG_CONTEXTS, createLogger } from './logger.js';
+
+export const SCHEMA_VERSION_KEY = 'schemaVersion';
+export const MIGRATION_LOG_KEY = 'migrationLog';
+
+// Migration runs kept in the log
+const MAX_LOG_ENTRIES = 50;
+
+// Areas that outlive an update; session storage is cleared by it
+const MIGRATED_AREAS = ['local', 'sync'];
+
+// Settings the first release kept as loose keys in local storage
+const LOOSE_SETTINGS = ['extensionEnabled', 'autoRefresh', 'refreshInterval', 'notifications', 'theme'];
+
+const logger = createLogger(LOG_CONTEXTS.BACKGROUND);
+
+// ============================================================================
+// MIGRATIONS
+// ============================================================================
+
+/**
+ * Ordered by version. migrate() receives a snapshot {local, sync} of raw storage
+ * (keys as stored) and returns the migrated snapshot; it may change the one it gets.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Move loose settings from local storage into the settings record',
+    migrate: (data) => {
+      const loose = LOOSE_SETTINGS.filter(key => key in data.local);
+      if (loose.length === 0) return data;
+
+      const moved = Object.fromEntries(loose.map(key => [key, data.local[key]]));
+      // The first release refreshed every 5 seconds, below today's minimum
+      if (typeof moved.refreshInterval === 'number') {
+        moved.refreshInterval = Math.max(moved.refreshInterval, MIN_REFRESH_INTERVAL);
+      }
+
+      // Values saved through the settings model since then take precedence
+      data.sync[SETTINGS_KEY] = { ...moved, ...(data.sync[SETTINGS_KEY] || {}) };
+      loose.forEach(key => delete data.local[key]);
+      return data;
+    }
+  },
+
+  {
+    version: 2,
+    description: 'Namespace storage keys with CONFIG.STORAGE prefixes',
+    migrate: (data) => {
+      MIGRATED_AREAS.forEach((area) => {
+        const prefixed = toStorageKey('', area);
+        const keyMap = {};
+
+        Object.keys(data[area]).forEach((key) => {
+          if (key.startsWith(prefixed)) return;
+
+          // A namespaced copy was written after the update, so it is the newer one
+          if (toStorageKey(key, area) in data[area]) {
+            delete data[area][key];
+          } else {
+            keyMap[key] = toStorageKey(key, area);
+          }
+        });
+
+        data[area] = transformObjectKeys(data[area], keyMap);
+      });
+      return data;
+    }
+  },
+
+  {
+    version: 3,
+    description: 'Mark history entries from before record diffs as DOM changes',
+    migrate: (data) => {
+      const key = toStorageKey(CHANGE_HISTORY_KEY);
+      const history = data.local[key];
+      if (!history || !Array.isArray(history.entries)) return data;
+
+      history.entries = history.entries.map(entry => (entry.kind ? entry : { ...entry, kind: 'dom' }));
+      return data;
+    }
+  }
+];
+
+export const LATEST_SCHEMA_VERSION = Math.max(...MIGRATIONS.map(migration => migration.version));
+
+// ============================================================================
+// RUNNER
+// ============================================================================
+
+/**
+ * Get the schema version of the stored data
+ * @returns {Promise<number>} - 0 when no migration has run
+ */
+export const getSchemaVersion = () => getItem(SCHEMA_VERSION_KEY, 0);
+
+/**
+ * Get past migration runs, newest first
+ * @returns {Promise<object[]>}
+ */
+export const getMigrationLog = () => getFromStorage(MIGRATION_LOG_KEY, []);
+
+/**
+ * Read local and sync storage as stored
+ * @returns {Promise<object>} - {local, sync}
+ */
+const readSnapshot = async () => {
+  const [local, sync] = await Promise.all(MIGRATED_AREAS.map(area => chrome.storage[area].get(null)));
+  return { local, sync };
+};
+
+/**
+ * List the keys that differ between two snapshots
+ * @param {object} before - Snapshot before
+ * @param {object} after - Snapshot after
+ * @returns {object} - Per area: {set: string[], removed: string[]}
+ */
+export const diffSnapshots = (before, after) => {
+  return Object.fromEntries(MIGRATED_AREAS.map((area) => {
+    const set = Object.keys(after[area])
+      .filter(key => JSON.stringify(after[area][key]) !== JSON.stringify(before[area][key]));
+    const removed = Object.keys(before[area]).filter(key => !(key in after[area]));
+    return [area, { set, removed }];
+  }));
+};
+
+/**
+ * Write the differences between two snapshots
+ * @param {object} before - Snapshot currently stored
+ * @param {object} after - Snapshot to store
+ * @returns {Promise<void>}
+ */
+const writeSnapshot = async (before, after) => {
+  const changes = diffSnapshots(before, after);
+
+  for (const area of MIGRATED_AREAS) {
+    const { set, removed } = changes[area];
+    if (set.length > 0) {
+      await chrome.storage[area].set(Object.fromEntries(set.map(key => [key, after[area][key]])));
+    }
+    if (removed.length > 0) {
+      await chrome.storage[area].remove(removed);
+    }
+  }
+};
+
+/**
+ * Append a run to the migration log
+ * @param {object} run - Run summary
+ * @returns {Promise<void>}
+ */
+const logRun = async (run) => {
+  const log = await getMigrationLog();
+  await saveToStorage(MIGRATION_LOG_KEY, [run, ...log].slice(0, MAX_LOG_ENTRIES));
+};
+
+/**
+ * Run every migration newer than the stored schema version
+ * @param {object} [options] - Options
+ * @param {boolean} [options.dryRun] - Work out the changes without writing them
+ * @returns {Promise<object>} - The run: {fromVersion, toVersion, dryRun, status, steps, error}
+ */
+export const runMigrations = async ({ dryRun = false } = {}) => {
+  const fromVersion = await getSchemaVersion();
+  const pending = MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .sort((a, b) => a.version - b.version);
+
+  const run = {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    fromVersion,
+    toVersion: fromVersion,
+    dryRun,
+    status: 'current',
+    steps: [],
+    error: null
+  };
+  if (pending.length === 0) return run;
+
+  const original = await readSnapshot();
+  let draft = deepClone(original);
+
+  try {
+    for (const migration of pending) {
+      const before = deepClone(draft);
+      draft = await migration.migrate(draft);
+      run.steps.push({
+        version: migration.version,
+        description: migration.description,
+        changes: diffSnapshots(before, draft)
+      });
+    }
+  } catch (error) {
+    const failed = pending[run.steps.length];
+    run.status = 'failed';
+    run.error = `Migration ${failed.version} (${failed.description}) failed: ${error.message}`;
+  }
+
+  if (run.status !== 'failed') {
+    run.toVersion = pending[pending.length - 1].version;
+    draft.local[toStorageKey(SCHEMA_VERSION_KEY)] = run.toVersion;
+
+    if (dryRun) {
+      run.status = 'dry-run';
+    } else {
+      try {
+        await writeSnapshot(original, draft);
+        run.status = 'applied';
+      } catch (error) {
+        // Put back every key the partial write may have touched
+        await writeSnapshot(draft, original);
+        run.status = 'rolled-back';
+        run.toVersion = fromVersion;
+        run.error = `Could not save migrated data: ${error.message}`;
+      }
+    }
+  }
+
+  run.finishedAt = new Date().toISOString();
+  await logRun(run);
+
+  if (run.error) {
+    logger.error(`Storage migration from v${fromVersion} ${run.status}:`, run.error);
+  } else {
+    logger.info(`Storage migration v${fromVersion} -> v${run.toVersion} ${run.status}:`,
+      run.steps.map(step => step.description).join('; '));
+  }
+  return run;
+};
+
+export default {
+  SCHEMA_VERSION_KEY,
+  MIGRATION_LOG_KEY,
+  MIGRATIONS,
+  LATEST_SCHEMA_VERSION,
+  getSchemaVersion,
+  getMigrationLog,
+  diffSnapshots,
+  runMigrations
+};
@@ -0,0 +1,151 @@
+/**
+ * Notification log - user-facing entries shown in the popup's Notifications tab
+ * Entries are derived from stored change events and kept in chrome.storage.local
+ */
+
+import { getFromStorage, saveToStorage, generateUniqueId, truncateString } from './utils.js';
+import { getSettings } from './settings.js';
+
+export const NOTIFICATIONS_KEY = 'notifications';
+
+export const SEVERITIES = ['success', 'info', 'warning', 'error'];
+
+// Writes are serialized so concurrent updates don't overwrite each other
+let writeQueue = Promise.resolve();
+
+/**
+ * Queue a read-modify-write operation on the stored notifications
+ * @param {function} mutate - Receives the current list and returns the new one
+ * @returns {Promise<object[]>} - The saved list
+ */
+const updateNotifications = (mutate) => {
+  const run = writeQueue.then(async () => {
+    const notifications = await getNotifications();
+    const next = mutate(notifications);
+    await saveToStorage(NOTIFICATIONS_KEY, next);
+    return next;
+  });
+  writeQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Get the host name of a URL for display
+ * @param {string} url - Page URL
+ * @returns {string}
+ */
+const getHost = (url) => {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return url || 'the portal';
+  }
+};
+
+/**
+ * Build a notification from a stored change history entry
+ * @param {object} entry - Entry created by recordChange
+ * @returns {object}
+ */
+export const createNotificationFromChange = (entry) => {
+  const removedCount = entry.diff?.counts?.removed ?? entry.diff?.removed?.length ?? 0;
+  const addedCount = entry.diff?.counts?.added ?? entry.diff?.added?.length ?? 0;
+  const message = entry.summary.length > 0
+    ? entry.summary.join('\n')
+    : `${entry.mutationCount} change${entry.mutationCount === 1 ? '' : 's'} detected on ${getHost(entry.url)}`;
+
+  let severity = 'info';
+  if (removedCount > 0) {
+    severity = 'warning';
+  } else if (addedCount > 0) {
+    severity = 'success';
+  }
+
+  return {
+    id: generateUniqueId(),
+    changeId: entry.id,
+    ruleId: entry.ruleId,
+    tabId: entry.tabId,
+    url: entry.url,
+    title: entry.ruleName || entry.extractorName || 'Page changed',
+    message: truncateString(message, 500),
+    severity,
+    timestamp: entry.timestamp,
+    read: false
+  };
+};
+
+/**
+ * Get stored notifications, newest first
+ * @returns {Promise<object[]>}
+ */
+export const getNotifications = async () => {
+  return getFromStorage(NOTIFICATIONS_KEY, []);
+};
+
+/**
+ * Add a notification, dropping the oldest past the retention cap
+ * @param {object} notification - Notification to add
+ * @returns {Promise<object>} - The stored notification
+ */
+export const addNotification = async (notification) => {
+  const stored = {
+    id: generateUniqueId(),
+    severity: 'info',
+    timestamp: new Date().toISOString(),
+    read: false,
+    ...notification
+  };
+
+  if (!SEVERITIES.includes(stored.severity)) {
+    stored.severity = 'info';
+  }
+
+  const { notificationLimit } = await getSettings();
+  await updateNotifications(notifications =>
+    [stored, ...notifications].slice(0, notificationLimit)
+  );
+  return stored;
+};
+
+/**
+ * Mark one notification (or all when no id is given) as read
+ * @param {string} [id] - Notification id
+ * @returns {Promise<object[]>} - Updated list
+ */
+export const markNotificationRead = async (id) => {
+  return updateNotifications(notifications => notifications.map(notification =>
+    (!id || notification.id === id) ? { ...notification, read: true } : notification
+  ));
+};
+
+/**
+ * Remove a notification
+ * @param {string} id - Notification id
+ * @returns {Promise<object[]>} - Updated list
+ */
+export const dismissNotification = async (id) => {
+  return updateNotifications(notifications =>
+    notifications.filter(notification => notification.id !== id)
+  );
+};
+
+/**
+ * Count unread notifications
+ * @param {object[]} notifications - Notification list
+ * @returns {number}
+ */
+export const countUnread = (notifications) => {
+  return notifications.filter(notification => !notification.read).length;
+};
+
+export default {
+  NOTIFICATIONS_KEY,
+  SEVERITIES,
+  createNotificationFromChange,
+  getNotifications,
+  addNotification,
+  markNotificationRead,
+  dismissNotification,
+  countUnread
+};
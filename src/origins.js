@@ -0,0 +1,147 @@
+/**
+ * Portal origins - which sites the monitor runs on and the host permissions behind them
+ * Built-in origins come from CONFIG.SECURITY.ALLOWED_ORIGINS, user origins from settings
+ */
+
+import CONFIG from './config.js';
+import { removeDuplicates } from './utils.js';
+import { getSettings } from './settings.js';
+import { sendMessage } from './messages.js';
+import { LOG_CONTEXTS, createLogger } from './logger.js';
+
+const logger = createLogger(LOG_CONTEXTS.BACKGROUND);
+
+// Id of the dynamically registered content script
+export const CONTENT_SCRIPT_ID = 'flex-portal-monitor';
+
+/**
+ * Convert an origin into a match pattern. Ports are dropped because match
+ * patterns cover every port of a host.
+ * @param {string} origin - e.g. https://localhost:3000
+ * @returns {string} - e.g. https://localhost/*
+ */
+export const toMatchPattern = (origin) => {
+  const { protocol, hostname } = new URL(origin);
+  return `${protocol}//${hostname}/*`;
+};
+
+/**
+ * Get every configured portal origin (built-in and user-added)
+ * @param {object} [settings] - Settings to read user origins from
+ * @returns {Promise<string[]>}
+ */
+export const getAllowedOrigins = async (settings) => {
+  const { allowedOrigins } = settings || await getSettings();
+  return removeDuplicates([...CONFIG.SECURITY.ALLOWED_ORIGINS, ...allowedOrigins]);
+};
+
+/**
+ * Get the match patterns of configured origins the user has granted access to
+ * @returns {Promise<string[]>}
+ */
+export const getGrantedPatterns = async () => {
+  const patterns = removeDuplicates((await getAllowedOrigins()).map(toMatchPattern));
+  const granted = await Promise.all(patterns.map(pattern =>
+    chrome.permissions.contains({ origins: [pattern] })
+  ));
+  return patterns.filter((pattern, index) => granted[index]);
+};
+
+/**
+ * Ask the user for host access to origins in one prompt (must run inside a user gesture)
+ * @param {string|string[]} origins - Origin(s) to request
+ * @returns {Promise<boolean>} - Whether access was granted to all of them
+ */
+export const requestOriginAccess = (origins) => {
+  return chrome.permissions.request({ origins: [].concat(origins).map(toMatchPattern) });
+};
+
+/**
+ * Give up host access to an origin that is no longer configured. Access is kept
+ * while another configured origin (e.g. the same host on another port) still needs it.
+ * @param {string} origin - Origin to release (already removed from settings)
+ * @returns {Promise<boolean>} - Whether access was removed
+ */
+export const releaseOriginAccess = async (origin) => {
+  const pattern = toMatchPattern(origin);
+  const stillNeeded = (await getAllowedOrigins()).map(toMatchPattern);
+  if (stillNeeded.includes(pattern)) return false;
+
+  try {
+    return await chrome.permissions.remove({ origins: [pattern] });
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Register (or update, or remove) the monitor content script so it matches
+ * exactly the granted portal origins
+ * @returns {Promise<string[]>} - Patterns the monitor is registered for
+ */
+export const syncContentScripts = async () => {
+  const patterns = await getGrantedPatterns();
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [CONTENT_SCRIPT_ID] });
+
+  if (patterns.length === 0) {
+    if (registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: [CONTENT_SCRIPT_ID] });
+    }
+    return [];
+  }
+
+  const script = {
+    id: CONTENT_SCRIPT_ID,
+    matches: patterns,
+    js: ['content.js'],
+    runAt: 'document_idle',
+    persistAcrossSessions: true
+  };
+
+  if (registered.length > 0) {
+    await chrome.scripting.updateContentScripts([script]);
+  } else {
+    await chrome.scripting.registerContentScripts([script]);
+  }
+  return patterns;
+};
+
+/**
+ * Inject the monitor into already-open tabs matching the given patterns.
+ * Tabs that already answer a status ping are skipped.
+ * @param {string[]} patterns - Match patterns
+ * @returns {Promise<number[]>} - Ids of tabs the monitor was injected into
+ */
+export const injectIntoOpenTabs = async (patterns) => {
+  if (patterns.length === 0) return [];
+
+  const tabs = await chrome.tabs.query({ url: patterns });
+  const injected = [];
+
+  await Promise.all(tabs.map(async (tab) => {
+    const running = await sendMessage('getMonitoringStatus', {}, { tabId: tab.id })
+      .then(() => true)
+      .catch(() => false);
+    if (running) return;
+
+    try {
+      await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: ['content.js'] });
+      injected.push(tab.id);
+    } catch (error) {
+      logger.warn('Could not inject monitor into tab', tab.id, error.message);
+    }
+  }));
+
+  return injected;
+};
+
+export default {
+  CONTENT_SCRIPT_ID,
+  toMatchPattern,
+  getAllowedOrigins,
+  getGrantedPatterns,
+  requestOriginAccess,
+  releaseOriginAccess,
+  syncContentScripts,
+  injectIntoOpenTabs
+};
@@ -0,0 +1,104 @@
+/**
+ * Record tracking - remembers the last record set captured per extractor and page,
+ * and stores the keyed differences between two captures in the change history
+ */
+
+import { getFromStorage, saveToStorage } from './utils.js';
+import { diffRecords, hasRecordChanges, summarizeRecordDiff } from './diff.js';
+import { recordChange } from './history.js';
+
+export const RECORD_BASELINES_KEY = 'recordBaselines';
+
+// Baselines for pages that haven't been visited in a while are dropped first
+const MAX_RECORD_BASELINES = 50;
+
+// Writes are serialized so captures from several tabs don't overwrite each other
+let writeQueue = Promise.resolve();
+
+/**
+ * Build the key a baseline is stored under. Query strings and fragments are
+ * ignored so the same portal page is compared with itself across visits.
+ * @param {string} extractorId - Extractor id
+ * @param {string} url - Page URL
+ * @returns {string}
+ */
+export const getBaselineKey = (extractorId, url) => {
+  try {
+    const { origin, pathname } = new URL(url);
+    return `${extractorId}@${origin}${pathname}`;
+  } catch (error) {
+    return `${extractorId}@${url}`;
+  }
+};
+
+/**
+ * Get all stored baselines
+ * @returns {Promise<object>} - Map of baseline key to {extractorId, name, url, records, capturedAt}
+ */
+export const getRecordBaselines = async () => {
+  return getFromStorage(RECORD_BASELINES_KEY, {});
+};
+
+/**
+ * Replace the baseline for a capture and return the one it replaced
+ * @param {string} key - Baseline key
+ * @param {object} baseline - New baseline
+ * @returns {Promise<object|null>} - Previous baseline
+ */
+const swapBaseline = (key, baseline) => {
+  const run = writeQueue.then(async () => {
+    const baselines = await getRecordBaselines();
+    const previous = baselines[key] || null;
+
+    baselines[key] = baseline;
+    Object.keys(baselines)
+      .sort((a, b) => Date.parse(baselines[b].capturedAt) - Date.parse(baselines[a].capturedAt))
+      .slice(MAX_RECORD_BASELINES)
+      .forEach((staleKey) => delete baselines[staleKey]);
+
+    await saveToStorage(RECORD_BASELINES_KEY, baselines);
+    return previous;
+  });
+  writeQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Compare a record capture with the previous one for the same extractor and page.
+ * The first capture only establishes the baseline.
+ * @param {object} capture - {extractorId, name, records, url, timestamp}
+ * @param {object} sender - chrome.runtime.MessageSender of the content script
+ * @returns {Promise<object|null>} - The stored history entry, null when nothing changed
+ */
+export const trackRecords = async (capture, sender) => {
+  const previous = await swapBaseline(getBaselineKey(capture.extractorId, capture.url), {
+    extractorId: capture.extractorId,
+    name: capture.name,
+    url: capture.url,
+    records: capture.records,
+    capturedAt: capture.timestamp
+  });
+
+  if (!previous) return null;
+
+  const diff = diffRecords(previous.records, capture.records);
+  if (!hasRecordChanges(diff)) return null;
+
+  return recordChange({
+    kind: 'records',
+    extractorId: capture.extractorId,
+    extractorName: capture.name,
+    url: capture.url,
+    timestamp: capture.timestamp,
+    mutationCount: diff.added.length + diff.removed.length + diff.changed.length,
+    summary: summarizeRecordDiff(diff),
+    diff
+  }, sender);
+};
+
+export default {
+  RECORD_BASELINES_KEY,
+  getBaselineKey,
+  getRecordBaselines,
+  trackRecords
+};
@@ -0,0 +1,383 @@
+/**
+ * Record extraction - turns portal tables and card lists into typed records
+ * Extractors are stored in chrome.storage.local; content.js loads this module via dynamic import
+ */
+
+import { getFromStorage, saveToStorage, generateUniqueId, validateSchema, toCamelCase } from './utils.js';
+
+export const EXTRACTORS_KEY = 'recordExtractors';
+
+// How a column's text is converted into a value
+export const FIELD_TYPES = ['text', 'number', 'currency', 'date'];
+
+// Order of day and month in numeric dates like 03/04/2026
+export const DATE_FORMATS = ['MDY', 'DMY'];
+
+const EXTRACTOR_SCHEMA = {
+  id: 'string',
+  name: 'string',
+  rowSelector: 'string',
+  columns: 'array',
+  keyFields: 'array',
+  enabled: 'boolean'
+};
+
+const COLUMN_SCHEMA = {
+  name: 'string',
+  type: 'string'
+};
+
+// ============================================================================
+// VALUE PARSING
+// ============================================================================
+
+/**
+ * Parse a number written with either thousands/decimal convention
+ * ("1,234.50", "1.234,50", "(12)", "-7 %")
+ * @param {string} text - Raw text
+ * @returns {number|null}
+ */
+export const parseNumber = (text) => {
+  const raw = String(text ?? '').trim();
+  const negative = /^\(.*\)$/.test(raw) || /^[-−]/.test(raw.replace(/^[^\d\-−]*/, ''));
+  let digits = raw.replace(/[^\d.,]/g, '');
+
+  if (!/\d/.test(digits)) return null;
+
+  const lastComma = digits.lastIndexOf(',');
+  const lastDot = digits.lastIndexOf('.');
+
+  if (lastComma !== -1 && lastDot !== -1) {
+    // Whichever separator comes last is the decimal point
+    digits = lastComma > lastDot
+      ? digits.replace(/\./g, '').replace(',', '.')
+      : digits.replace(/,/g, '');
+  } else if (lastComma !== -1) {
+    digits = /^\d{1,3}(,\d{3})+$/.test(digits) ? digits.replace(/,/g, '') : digits.replace(',', '.');
+  } else if (/^\d{1,3}(\.\d{3}){2,}$/.test(digits)) {
+    digits = digits.replace(/\./g, '');
+  }
+
+  const value = Number(digits);
+  if (!Number.isFinite(value)) return null;
+  return negative ? -value : value;
+};
+
+/**
+ * Parse a money amount ("$1,234.56", "EUR 12,50"), rounded to cents
+ * @param {string} text - Raw text
+ * @returns {number|null}
+ */
+export const parseCurrency = (text) => {
+  const value = parseNumber(text);
+  return value === null ? null : Math.round(value * 100) / 100;
+};
+
+/**
+ * Parse a date. Dates without a time come back as YYYY-MM-DD, everything else as an ISO timestamp.
+ * @param {string} text - Raw text
+ * @param {string} dateFormat - 'MDY' or 'DMY' for numeric dates
+ * @returns {string|null}
+ */
+export const parseDate = (text, dateFormat = 'MDY') => {
+  const raw = String(text ?? '').trim();
+  if (!raw) return null;
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) return raw;
+
+  const numeric = raw.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{4})$/);
+  if (numeric) {
+    const [first, second, year] = numeric.slice(1).map(Number);
+    const [month, day] = dateFormat === 'DMY' ? [second, first] : [first, second];
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return date.toISOString().split('T')[0];
+  }
+
+  const timestamp = Date.parse(raw);
+  return Number.isNaN(timestamp) ? null : new Date(timestamp).toISOString();
+};
+
+/**
+ * Convert raw text into a typed value
+ * @param {string} text - Raw text
+ * @param {string} type - One of FIELD_TYPES
+ * @param {object} options - {dateFormat}
+ * @returns {*} - Typed value, null when the text can't be parsed
+ */
+export const parseValue = (text, type, { dateFormat } = {}) => {
+  switch (type) {
+    case 'number':
+      return parseNumber(text);
+    case 'currency':
+      return parseCurrency(text);
+    case 'date':
+      return parseDate(text, dateFormat);
+    default:
+      return text;
+  }
+};
+
+// ============================================================================
+// EXTRACTOR CONFIGURATION
+// ============================================================================
+
+/**
+ * Create an extractor with defaults filled in
+ * @param {object} data - Partial extractor
+ * @returns {object}
+ */
+export const createExtractor = (data = {}) => ({
+  id: data.id || generateUniqueId(),
+  name: data.name || data.rowSelector || 'Untitled extractor',
+  urlPattern: data.urlPattern || '', // Regular expression, empty matches every page
+  rowSelector: data.rowSelector || '',
+  columns: (data.columns || []).map(column => ({
+    name: column.name,
+    type: column.type || 'text',
+    header: column.header || null, // Table header text to find the cell by
+    index: Number.isInteger(column.index) ? column.index : null, // Cell position in the row
+    selector: column.selector || null, // CSS selector inside the row (cards)
+    attribute: column.attribute || null // Read an attribute instead of the text
+  })),
+  keyFields: data.keyFields || [],
+  dateFormat: data.dateFormat || 'MDY',
+  enabled: data.enabled !== false,
+  createdAt: data.createdAt || new Date().toISOString()
+});
+
+/**
+ * Validate an extractor's shape and values
+ * @param {object} extractor - Extractor to validate
+ * @returns {object} - Validation result {isValid: boolean, errors: array}
+ */
+export const validateExtractor = (extractor) => {
+  const { errors } = validateSchema(extractor, EXTRACTOR_SCHEMA);
+
+  if (typeof extractor.rowSelector === 'string' && extractor.rowSelector.trim().length === 0) {
+    errors.push('Row selector is required');
+  }
+
+  if (extractor.urlPattern) {
+    try {
+      new RegExp(extractor.urlPattern);
+    } catch (error) {
+      errors.push(`Invalid URL pattern: ${error.message}`);
+    }
+  }
+
+  if (!DATE_FORMATS.includes(extractor.dateFormat)) {
+    errors.push(`Date format must be one of: ${DATE_FORMATS.join(', ')}`);
+  }
+
+  const names = [];
+  (Array.isArray(extractor.columns) ? extractor.columns : []).forEach((column, index) => {
+    errors.push(...validateSchema(column, COLUMN_SCHEMA).errors.map(error => `Column ${index + 1}: ${error}`));
+
+    if (!FIELD_TYPES.includes(column.type)) {
+      errors.push(`Column ${index + 1}: type must be one of: ${FIELD_TYPES.join(', ')}`);
+    }
+    if (column.header === null && column.index === null && column.selector === null) {
+      errors.push(`Column ${index + 1}: needs a header, index or selector`);
+    }
+    names.push(column.name);
+  });
+
+  if (Array.isArray(extractor.keyFields) && names.length > 0) {
+    extractor.keyFields
+      .filter(field => !names.includes(field))
+      .forEach(field => errors.push(`Key field '${field}' is not a column`));
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Get all stored extractors
+ * @returns {Promise<object[]>}
+ */
+export const getExtractors = async () => {
+  return getFromStorage(EXTRACTORS_KEY, []);
+};
+
+/**
+ * Replace the stored extractors, rejecting the whole set if any extractor is invalid
+ * @param {object[]} extractors - Extractors to store
+ * @returns {Promise<object[]>} - The stored extractors
+ */
+export const saveExtractors = async (extractors) => {
+  const normalized = extractors.map(createExtractor);
+
+  normalized.forEach((extractor) => {
+    const { isValid, errors } = validateExtractor(extractor);
+    if (!isValid) {
+      throw new Error(`Invalid extractor '${extractor.name}': ${errors.join('; ')}`);
+    }
+  });
+
+  await saveToStorage(EXTRACTORS_KEY, normalized);
+  return normalized;
+};
+
+/**
+ * Check whether an extractor applies to a page
+ * @param {object} extractor - Extractor
+ * @param {string} url - Page URL
+ * @returns {boolean}
+ */
+export const extractorMatchesUrl = (extractor, url) => {
+  if (!extractor.urlPattern) return true;
+  try {
+    return new RegExp(extractor.urlPattern).test(url);
+  } catch (error) {
+    return false;
+  }
+};
+
+// ============================================================================
+// EXTRACTION
+// ============================================================================
+
+/**
+ * Get whitespace-collapsed text with separate text nodes kept apart
+ * @param {Node} node - Element
+ * @returns {string}
+ */
+const getText = (node) => {
+  const walker = node.ownerDocument.createTreeWalker(node, 4); // NodeFilter.SHOW_TEXT
+  const parts = [];
+  while (walker.nextNode()) {
+    parts.push(walker.currentNode.nodeValue);
+  }
+  return parts.join(' ').replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Get the cells of a table row (or the direct children of a card)
+ * @param {Element} row - Row element
+ * @returns {Element[]}
+ */
+const getCells = (row) => [...row.children];
+
+/**
+ * Read the header texts of the table a row belongs to
+ * @param {Element} row - Row element
+ * @returns {string[]} - Header texts, empty when the row isn't in a table with headers
+ */
+const getHeaders = (row) => {
+  const table = row.closest('table');
+  if (!table) return [];
+
+  const headerRow = table.tHead?.rows[table.tHead.rows.length - 1] ||
+    [...table.rows].find(candidate => candidate.querySelector('th') && !candidate.querySelector('td'));
+  return headerRow ? getCells(headerRow).map(getText) : [];
+};
+
+/**
+ * Derive column definitions from table headers when an extractor has none
+ * @param {string[]} headers - Header texts
+ * @returns {object[]}
+ */
+const inferColumns = (headers) => {
+  return headers.map((header, index) => ({
+    name: toCamelCase(header.replace(/[^a-z0-9]+/gi, ' ').trim()) || `column${index + 1}`,
+    type: 'text',
+    header: null,
+    index,
+    selector: null,
+    attribute: null
+  }));
+};
+
+/**
+ * Find the element holding a column's value inside a row
+ * @param {Element} row - Row element
+ * @param {object} column - Column definition
+ * @param {string[]} headers - Header texts of the row's table
+ * @returns {Element|null}
+ */
+const findCell = (row, column, headers) => {
+  if (column.selector) {
+    return row.querySelector(column.selector);
+  }
+
+  let index = column.index;
+  if (index === null && column.header) {
+    const wanted = column.header.trim().toLowerCase();
+    index = headers.findIndex(header => header.toLowerCase() === wanted);
+  }
+
+  return index !== null && index >= 0 ? getCells(row)[index] || null : null;
+};
+
+/**
+ * Extract typed records from a page
+ * @param {Document|Element} root - Where to look for rows
+ * @param {object} extractor - Extractor configuration
+ * @returns {object} - {records: [{key, fields}], warnings: string[]}
+ */
+export const extractRecords = (root, extractor) => {
+  const config = createExtractor(extractor);
+  // Header rows (only <th> cells) are not records
+  const rows = [...root.querySelectorAll(config.rowSelector)]
+    .filter(row => !(row.matches('tr') && !row.querySelector('td')));
+  const records = [];
+  const warnings = [];
+  const keyCounts = {};
+
+  rows.forEach((row, rowIndex) => {
+    const headers = getHeaders(row);
+    const columns = config.columns.length > 0 ? config.columns : inferColumns(headers);
+    const fields = {};
+
+    columns.forEach((column) => {
+      const cell = findCell(row, column, headers);
+      if (!cell || (column.attribute && !cell.hasAttribute(column.attribute))) {
+        fields[column.name] = null;
+        return;
+      }
+
+      const text = column.attribute ? cell.getAttribute(column.attribute) : getText(cell);
+      const value = parseValue(text, column.type, config);
+
+      if (value === null && text !== '') {
+        warnings.push(`Row ${rowIndex + 1}: '${text}' is not a valid ${column.type} for '${column.name}'`);
+      }
+      fields[column.name] = value;
+    });
+
+    // Rows without a key field fall back to their position
+    let key = config.keyFields.length > 0
+      ? config.keyFields.map(field => String(fields[field] ?? '')).join('|')
+      : `#${rowIndex + 1}`;
+
+    keyCounts[key] = (keyCounts[key] || 0) + 1;
+    if (keyCounts[key] > 1) {
+      warnings.push(`Row ${rowIndex + 1}: duplicate key '${key}'`);
+      key = `${key}#${keyCounts[key]}`;
+    }
+
+    records.push({ key, fields });
+  });
+
+  return { records, warnings };
+};
+
+export default {
+  EXTRACTORS_KEY,
+  FIELD_TYPES,
+  DATE_FORMATS,
+  parseNumber,
+  parseCurrency,
+  parseDate,
+  parseValue,
+  createExtractor,
+  validateExtractor,
+  getExtractors,
+  saveExtractors,
+  extractorMatchesUrl,
+  extractRecords
+};
@@ -0,0 +1,158 @@
+/**
+ * Watch rules - user-defined definitions of which portal elements to alert on
+ * Rules are stored in chrome.storage.local and pushed to content scripts by background.js
+ */
+
+import { getFromStorage, saveToStorage, generateUniqueId, validateSchema } from './utils.js';
+
+export const WATCH_RULES_KEY = 'watchRules';
+
+// Which kind of change a rule reacts to
+export const RULE_EVENTS = ['any', 'added', 'removed', 'text', 'attribute'];
+
+// Optional checks applied to the matched element after a change
+export const PREDICATE_TYPES = [
+  'textContains',
+  'textMatches',
+  'numberBelow',
+  'numberAbove',
+  'attributeEquals'
+];
+
+const RULE_SCHEMA = {
+  id: 'string',
+  name: 'string',
+  selector: 'string',
+  event: 'string',
+  enabled: 'boolean'
+};
+
+const PREDICATE_SCHEMA = {
+  type: 'string'
+};
+
+/**
+ * Create a rule with defaults filled in
+ * @param {object} data - Partial rule
+ * @returns {object}
+ */
+export const createRule = (data = {}) => ({
+  id: data.id || generateUniqueId(),
+  name: data.name || data.selector || 'Untitled rule',
+  selector: data.selector || '',
+  event: data.event || 'any',
+  attribute: data.attribute || null,
+  predicate: data.predicate || null,
+  enabled: data.enabled !== false,
+  createdAt: data.createdAt || new Date().toISOString()
+});
+
+/**
+ * Validate a rule's shape and values
+ * @param {object} rule - Rule to validate
+ * @returns {object} - Validation result {isValid: boolean, errors: array}
+ */
+export const validateRule = (rule) => {
+  const { errors } = validateSchema(rule, RULE_SCHEMA);
+
+  if (typeof rule.selector === 'string' && rule.selector.trim().length === 0) {
+    errors.push('Selector is required');
+  }
+
+  if (!RULE_EVENTS.includes(rule.event)) {
+    errors.push(`Event must be one of: ${RULE_EVENTS.join(', ')}`);
+  }
+
+  if (rule.predicate) {
+    errors.push(...validateSchema(rule.predicate, PREDICATE_SCHEMA).errors);
+
+    if (!PREDICATE_TYPES.includes(rule.predicate.type)) {
+      errors.push(`Predicate type must be one of: ${PREDICATE_TYPES.join(', ')}`);
+    }
+    if ((rule.predicate.type === 'numberBelow' || rule.predicate.type === 'numberAbove') &&
+        !Number.isFinite(Number(rule.predicate.value))) {
+      errors.push('Numeric predicates need a numeric value');
+    }
+    if (rule.predicate.type === 'textMatches') {
+      try {
+        new RegExp(rule.predicate.value);
+      } catch (error) {
+        errors.push(`Invalid pattern: ${error.message}`);
+      }
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Get all stored watch rules
+ * @returns {Promise<object[]>}
+ */
+export const getWatchRules = async () => {
+  return getFromStorage(WATCH_RULES_KEY, []);
+};
+
+/**
+ * Replace the stored watch rules, rejecting the whole set if any rule is invalid
+ * @param {object[]} rules - Rules to store
+ * @returns {Promise<object[]>} - The stored rules
+ */
+export const saveWatchRules = async (rules) => {
+  const normalized = rules.map(createRule);
+
+  normalized.forEach((rule) => {
+    const { isValid, errors } = validateRule(rule);
+    if (!isValid) {
+      throw new Error(`Invalid rule '${rule.name}': ${errors.join('; ')}`);
+    }
+  });
+
+  await saveToStorage(WATCH_RULES_KEY, normalized);
+  return normalized;
+};
+
+/**
+ * Add or update a single rule (matched by id)
+ * @param {object} data - Rule data
+ * @returns {Promise<object>} - The stored rule
+ */
+export const upsertRule = async (data) => {
+  const rule = createRule(data);
+  const rules = await getWatchRules();
+  const index = rules.findIndex(existing => existing.id === rule.id);
+
+  if (index === -1) {
+    rules.push(rule);
+  } else {
+    rules[index] = rule;
+  }
+
+  await saveWatchRules(rules);
+  return rule;
+};
+
+/**
+ * Remove a rule by id
+ * @param {string} ruleId - Rule id
+ * @returns {Promise<void>}
+ */
+export const removeRule = async (ruleId) => {
+  const rules = await getWatchRules();
+  await saveWatchRules(rules.filter(rule => rule.id !== ruleId));
+};
+
+export default {
+  WATCH_RULES_KEY,
+  RULE_EVENTS,
+  PREDICATE_TYPES,
+  createRule,
+  validateRule,
+  getWatchRules,
+  saveWatchRules,
+  upsertRule,
+  removeRule
+};
@@ -0,0 +1,239 @@
+/**
+ * Auto-refresh scheduler - periodically reloads (or soft re-queries) portal tabs
+ * Driven by chrome.alarms with random jitter, exponential backoff on errors and quiet hours
+ */
+
+import CONFIG from './config.js';
+import { getFromStorage, saveToStorage, retryWithBackoff } from './utils.js';
+import { getSettings } from './settings.js';
+import { getGrantedPatterns } from './origins.js';
+import { sendMessage } from './messages.js';
+
+export const REFRESH_ALARM = 'autoRefresh';
+export const REFRESH_STATE_KEY = 'refreshState';
+
+const DEFAULT_STATE = {
+  paused: false,
+  failures: 0,
+  interval: null,
+  nextRunAt: null,
+  lastRunAt: null,
+  lastError: null
+};
+
+/**
+ * Get the scheduler state
+ * @returns {Promise<object>}
+ */
+export const getRefreshState = async () => {
+  return { ...DEFAULT_STATE, ...(await getFromStorage(REFRESH_STATE_KEY, {})) };
+};
+
+/**
+ * Merge changes into the scheduler state
+ * @param {object} changes - State fields to change
+ * @returns {Promise<object>} - The new state
+ */
+const updateRefreshState = async (changes) => {
+  const state = { ...(await getRefreshState()), ...changes };
+  await saveToStorage(REFRESH_STATE_KEY, state);
+  return state;
+};
+
+/**
+ * Compute the delay before the next refresh. Failures double the interval the
+ * same way retryWithBackoff doubles its delay, capped at CONFIG.REFRESH.MAX_BACKOFF.
+ * @param {number} interval - Configured refresh interval in milliseconds
+ * @param {number} failures - Consecutive failed refreshes
+ * @param {function} random - Random source (for tests)
+ * @returns {number} - Delay in milliseconds
+ */
+export const computeRefreshDelay = (interval, failures = 0, random = Math.random) => {
+  const backoff = Math.min(interval * Math.pow(2, failures), Math.max(interval, CONFIG.REFRESH.MAX_BACKOFF));
+  const jitter = backoff * CONFIG.REFRESH.JITTER_RATIO * (random() * 2 - 1);
+  return Math.round(backoff + jitter);
+};
+
+/**
+ * Convert HH:MM into minutes since midnight
+ * @param {string} time - 24-hour time
+ * @returns {number}
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Check whether a moment falls inside quiet hours (ranges may wrap past midnight)
+ * @param {Date} date - Moment to check (local time)
+ * @param {string} start - HH:MM, empty to disable
+ * @param {string} end - HH:MM, empty to disable
+ * @returns {boolean}
+ */
+export const isQuietHours = (date, start, end) => {
+  if (!start || !end || start === end) return false;
+
+  const now = date.getHours() * 60 + date.getMinutes();
+  const from = toMinutes(start);
+  const to = toMinutes(end);
+
+  return from < to ? now >= from && now < to : now >= from || now < to;
+};
+
+/**
+ * (Re)create the refresh alarm from the current settings and state
+ * @returns {Promise<object>} - The scheduler state
+ */
+export const scheduleNextRefresh = async () => {
+  const settings = await getSettings();
+  const state = await getRefreshState();
+
+  if (!settings.extensionEnabled || !settings.autoRefresh || state.paused) {
+    await chrome.alarms.clear(REFRESH_ALARM);
+    return updateRefreshState({ nextRunAt: null });
+  }
+
+  const nextRunAt = Date.now() + computeRefreshDelay(settings.refreshInterval, state.failures);
+  await chrome.alarms.create(REFRESH_ALARM, { when: nextRunAt });
+  return updateRefreshState({ nextRunAt, interval: settings.refreshInterval });
+};
+
+/**
+ * Make sure the refresh alarm matches the settings without pushing back a
+ * pending refresh. Unrelated settings changes and service worker restarts keep
+ * the existing alarm; a new interval or toggling auto-refresh reschedules.
+ * @returns {Promise<object>} - The scheduler state
+ */
+export const ensureRefreshScheduled = async () => {
+  const settings = await getSettings();
+  const state = await getRefreshState();
+  const alarm = await chrome.alarms.get(REFRESH_ALARM);
+  const enabled = settings.extensionEnabled && settings.autoRefresh && !state.paused;
+
+  if (enabled && alarm && state.interval === settings.refreshInterval) {
+    return state;
+  }
+  if (!enabled && !alarm) {
+    return state.nextRunAt === null ? state : updateRefreshState({ nextRunAt: null });
+  }
+  return scheduleNextRefresh();
+};
+
+/**
+ * Wait until a tab finishes loading
+ * @param {number} tabId - Tab id
+ * @param {number} timeout - Maximum wait in milliseconds
+ * @returns {Promise<void>}
+ */
+const waitForTabComplete = (tabId, timeout) => {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(listener);
+      reject(new Error(`Tab ${tabId} did not finish loading within ${timeout}ms`));
+    }, timeout);
+
+    function listener(updatedTabId, changeInfo) {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve();
+      }
+    }
+
+    chrome.tabs.onUpdated.addListener(listener);
+  });
+};
+
+/**
+ * Turn an HTTP status reported by the page into an error when it means the
+ * portal is failing or rate-limiting us
+ * @param {number} status - HTTP status (0 when unknown)
+ */
+const assertHealthyStatus = (status) => {
+  if (status === 429) {
+    throw new Error('Portal is rate-limiting requests (429)');
+  }
+  if (status >= 500) {
+    throw new Error(`Portal responded with ${status}`);
+  }
+};
+
+/**
+ * Refresh a single portal tab
+ * @param {object} tab - chrome.tabs.Tab
+ * @param {string} mode - 'reload' or 'soft' (falls back to a reload when needed)
+ * @returns {Promise<void>}
+ */
+const refreshTab = async (tab, mode) => {
+  if (mode === 'soft') {
+    const result = await sendMessage('softRefresh', {}, { tabId: tab.id });
+    assertHealthyStatus(result.status);
+    // The portal served new content for the watched regions - only a reload shows it
+    if (!result.needsReload) return;
+  }
+
+  const loaded = waitForTabComplete(tab.id, CONFIG.REFRESH.PAGE_LOAD_TIMEOUT);
+  await chrome.tabs.reload(tab.id);
+  await loaded;
+
+  // The monitor needs a moment to start after the reload
+  const pageInfo = await retryWithBackoff(
+    () => sendMessage('getPageInfo', {}, { tabId: tab.id }),
+    3,
+    500
+  );
+  assertHealthyStatus(pageInfo.responseStatus);
+};
+
+/**
+ * Run one refresh pass over every open portal tab, then schedule the next one
+ * @returns {Promise<object>} - The scheduler state
+ */
+export const runRefresh = async () => {
+  const settings = await getSettings();
+  const state = await getRefreshState();
+
+  if (!settings.extensionEnabled || !settings.autoRefresh || state.paused) {
+    return scheduleNextRefresh();
+  }
+
+  if (isQuietHours(new Date(), settings.quietHoursStart, settings.quietHoursEnd)) {
+    return scheduleNextRefresh();
+  }
+
+  const patterns = await getGrantedPatterns();
+  const tabs = patterns.length > 0 ? await chrome.tabs.query({ url: patterns }) : [];
+  const results = await Promise.allSettled(tabs.map(tab => refreshTab(tab, settings.refreshMode)));
+  const failed = results.filter(result => result.status === 'rejected');
+
+  await updateRefreshState({
+    lastRunAt: Date.now(),
+    failures: failed.length > 0 ? state.failures + 1 : 0,
+    lastError: failed.length > 0 ? failed[0].reason.message : null
+  });
+
+  return scheduleNextRefresh();
+};
+
+/**
+ * Pause or resume scheduled refreshes. Resuming also clears the backoff.
+ * @param {boolean} paused - Whether to pause
+ * @returns {Promise<object>} - The scheduler state
+ */
+export const setRefreshPaused = async (paused) => {
+  await updateRefreshState(paused ? { paused: true } : { paused: false, failures: 0, lastError: null });
+  return scheduleNextRefresh();
+};
+
+export default {
+  REFRESH_ALARM,
+  REFRESH_STATE_KEY,
+  getRefreshState,
+  computeRefreshDelay,
+  isQuietHours,
+  scheduleNextRefresh,
+  ensureRefreshScheduled,
+  runRefresh,
+  setRefreshPaused
+};
@@ -0,0 +1,191 @@
+/**
+ * Settings model - user preferences stored in chrome.storage.sync
+ * Defaults come from src/config.js; every write is validated before it is saved
+ */
+
+import CONFIG from './config.js';
+import { getFromSyncStorage, saveToSyncStorage, mergeObjects, filterObjectByKeys, validateSchema } from './utils.js';
+import { onStorageChanged } from './storage.js';
+
+export const SETTINGS_KEY = 'settings';
+
+// 'system' follows the browser's light/dark preference
+export const THEMES = ['system', 'light', 'dark'];
+
+// Scheduled reloads faster than this would hammer the portal
+export const MIN_REFRESH_INTERVAL = 60000; // 1 minute
+
+// Bounds for the user-adjustable retention limits
+export const RETENTION_LIMITS = { min: 10, max: 5000 };
+
+export const REFRESH_MODES = ['reload', 'soft'];
+
+// 24-hour HH:MM, or empty to disable quiet hours
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Scheme, host and optional port - no path, no wildcards
+const ORIGIN_PATTERN = /^https?:\/\/[a-z0-9.-]+(:\d{1,5})?$/i;
+
+export const DEFAULT_SETTINGS = {
+  extensionEnabled: true,
+  autoSync: false, // Opt-in: uploads rules, settings and change history to CONFIG.API.BASE_URL
+  notifications: CONFIG.FEATURES.ENABLE_NOTIFICATIONS,
+  theme: CONFIG.UI.THEME,
+  checkForUpdates: true,
+  autoRefresh: false,
+  refreshInterval: 300000, // 5 minutes
+  refreshMode: 'reload', // 'reload' reloads portal tabs, 'soft' only re-queries the page
+  quietHoursStart: '', // HH:MM, no refreshes between start and end
+  quietHoursEnd: '',
+  historyLimit: CONFIG.STORAGE.MAX_CHANGE_HISTORY,
+  notificationLimit: CONFIG.STORAGE.MAX_NOTIFICATIONS,
+  allowedOrigins: [], // Added on top of CONFIG.SECURITY.ALLOWED_ORIGINS
+  emailAlerts: false,
+  emailRecipients: ''
+};
+
+const SETTINGS_SCHEMA = {
+  extensionEnabled: 'boolean',
+  autoSync: 'boolean',
+  notifications: 'boolean',
+  theme: 'string',
+  checkForUpdates: 'boolean',
+  autoRefresh: 'boolean',
+  refreshInterval: 'number',
+  refreshMode: 'string',
+  quietHoursStart: 'string',
+  quietHoursEnd: 'string',
+  historyLimit: 'number',
+  notificationLimit: 'number',
+  allowedOrigins: 'array',
+  emailAlerts: 'boolean',
+  emailRecipients: 'string'
+};
+
+/**
+ * Check whether a string is a bare origin such as https://portal.example.com
+ * @param {string} origin - Origin to check
+ * @returns {boolean}
+ */
+export const isValidOrigin = (origin) => {
+  return typeof origin === 'string' && ORIGIN_PATTERN.test(origin);
+};
+
+/**
+ * Validate a complete settings object
+ * @param {object} settings - Settings to validate
+ * @returns {object} - Validation result {isValid: boolean, errors: array}
+ */
+export const validateSettings = (settings) => {
+  const { errors } = validateSchema(settings, SETTINGS_SCHEMA);
+
+  if (typeof settings.theme === 'string' && !THEMES.includes(settings.theme)) {
+    errors.push(`Theme must be one of: ${THEMES.join(', ')}`);
+  }
+
+  if (typeof settings.refreshInterval === 'number' && settings.refreshInterval < MIN_REFRESH_INTERVAL) {
+    errors.push(`Refresh interval must be at least ${MIN_REFRESH_INTERVAL}ms`);
+  }
+
+  if (typeof settings.refreshMode === 'string' && !REFRESH_MODES.includes(settings.refreshMode)) {
+    errors.push(`Refresh mode must be one of: ${REFRESH_MODES.join(', ')}`);
+  }
+
+  ['quietHoursStart', 'quietHoursEnd'].forEach((key) => {
+    const value = settings[key];
+    if (typeof value === 'string' && value !== '' && !TIME_PATTERN.test(value)) {
+      errors.push(`Field '${key}' must be a time like 22:00`);
+    }
+  });
+
+  ['historyLimit', 'notificationLimit'].forEach((key) => {
+    const value = settings[key];
+    if (typeof value === 'number' &&
+        (!Number.isInteger(value) || value < RETENTION_LIMITS.min || value > RETENTION_LIMITS.max)) {
+      errors.push(`Field '${key}' must be a whole number between ${RETENTION_LIMITS.min} and ${RETENTION_LIMITS.max}`);
+    }
+  });
+
+  if (Array.isArray(settings.allowedOrigins)) {
+    settings.allowedOrigins.filter(origin => !isValidOrigin(origin)).forEach((origin) => {
+      errors.push(`Invalid origin '${origin}' (expected e.g. https://portal.example.com)`);
+    });
+  }
+
+  if (settings.emailAlerts && typeof settings.emailRecipients === 'string' &&
+      settings.emailRecipients.trim().length === 0) {
+    errors.push('Email alerts need at least one recipient');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Get the current settings, with defaults for anything not stored yet
+ * @returns {Promise<object>}
+ */
+export const getSettings = async () => {
+  const stored = await getFromSyncStorage(SETTINGS_KEY, {});
+  return mergeObjects(DEFAULT_SETTINGS, filterObjectByKeys(stored || {}, Object.keys(DEFAULT_SETTINGS)));
+};
+
+/**
+ * Update one or more settings
+ * @param {object} changes - Settings to change
+ * @returns {Promise<object>} - The complete saved settings
+ * @throws {Error} When the resulting settings are invalid
+ */
+export const saveSettings = async (changes) => {
+  const current = await getSettings();
+  const next = mergeObjects(current, filterObjectByKeys(changes, Object.keys(DEFAULT_SETTINGS)));
+  const { isValid, errors } = validateSettings(next);
+
+  if (!isValid) {
+    throw new Error(errors.join('; '));
+  }
+
+  await saveToSyncStorage(SETTINGS_KEY, next);
+  return next;
+};
+
+/**
+ * Restore the default settings
+ * @returns {Promise<object>} - The default settings
+ */
+export const resetSettings = async () => {
+  await saveToSyncStorage(SETTINGS_KEY, { ...DEFAULT_SETTINGS });
+  return { ...DEFAULT_SETTINGS };
+};
+
+/**
+ * Listen for settings changes made in any extension context
+ * @param {function} callback - Receives the complete new settings
+ * @returns {function} - Call to stop listening
+ */
+export const onSettingsChanged = (callback) => {
+  const listener = (changes, areaName) => {
+    if (areaName === 'sync' && changes[SETTINGS_KEY]) {
+      callback(mergeObjects(DEFAULT_SETTINGS, changes[SETTINGS_KEY].newValue || {}));
+    }
+  };
+
+  return onStorageChanged(listener);
+};
+
+export default {
+  SETTINGS_KEY,
+  THEMES,
+  MIN_REFRESH_INTERVAL,
+  REFRESH_MODES,
+  RETENTION_LIMITS,
+  DEFAULT_SETTINGS,
+  isValidOrigin,
+  validateSettings,
+  getSettings,
+  saveSettings,
+  resetSettings,
+  onSettingsChanged
+};
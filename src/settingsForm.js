@@ -0,0 +1,84 @@
+/**
+ * Settings form binding - two-way binds form controls marked with data-setting
+ * Shared by the popup Settings tab and the options page
+ */
+
+import { getSettings, saveSettings, onSettingsChanged } from './settings.js';
+
+/**
+ * Read the setting value from a bound form control
+ * @param {HTMLElement} control - Input element with data-setting
+ * @returns {*}
+ */
+export const readControlValue = (control) => {
+  if (control.type === 'checkbox') {
+    const checkedValue = control.getAttribute('data-checked-value');
+    if (checkedValue !== null) {
+      return control.checked ? checkedValue : control.getAttribute('data-unchecked-value');
+    }
+    return control.checked;
+  }
+  if (control.type === 'number' || control.getAttribute('data-type') === 'number') {
+    return Number(control.value);
+  }
+  return control.value;
+};
+
+/**
+ * Reflect settings in the bound form controls
+ * @param {object} settings - Complete settings
+ * @param {HTMLElement|Document} root - Element containing the controls
+ */
+export const applySettingsToForm = (settings, root = document) => {
+  root.querySelectorAll('[data-setting]').forEach((control) => {
+    const value = settings[control.getAttribute('data-setting')];
+
+    if (control.type === 'checkbox') {
+      const checkedValue = control.getAttribute('data-checked-value');
+      control.checked = checkedValue !== null ? value === checkedValue : Boolean(value);
+    } else {
+      control.value = value;
+    }
+  });
+};
+
+/**
+ * Load settings into the controls, save on change and follow changes made elsewhere
+ * @param {object} options - Binding options
+ * @param {HTMLElement|Document} [options.root] - Element containing the controls
+ * @param {function} [options.onSaved] - Called with the saved settings
+ * @param {function} [options.onError] - Called with the save error
+ * @param {function} [options.onChange] - Called with settings whenever they change
+ * @returns {Promise<object>} - The settings loaded into the form
+ */
+export const bindSettingsForm = async ({ root = document, onSaved, onError, onChange } = {}) => {
+  const apply = (settings) => {
+    applySettingsToForm(settings, root);
+    if (onChange) onChange(settings);
+  };
+
+  root.querySelectorAll('[data-setting]').forEach((control) => {
+    control.addEventListener('change', () => {
+      const key = control.getAttribute('data-setting');
+
+      saveSettings({ [key]: readControlValue(control) }).then((settings) => {
+        if (onSaved) onSaved(settings);
+      }).catch((error) => {
+        if (onError) onError(error);
+        getSettings().then(apply);
+      });
+    });
+  });
+
+  onSettingsChanged(apply);
+
+  const settings = await getSettings();
+  apply(settings);
+  return settings;
+};
+
+export default {
+  readControlValue,
+  applySettingsToForm,
+  bindSettingsForm
+};
@@ -0,0 +1,248 @@
+/**
+ * Snapshot archive - stores captured page snapshots in IndexedDB within a size budget
+ * Metadata and payloads live in separate stores so the timeline can list snapshots cheaply
+ */
+
+import CONFIG from './config.js';
+import { generateUniqueId } from './utils.js';
+
+const DB_NAME = 'flexPortalSnapshots';
+const DB_VERSION = 1;
+const META_STORE = 'snapshots';
+const PAYLOAD_STORE = 'payloads';
+
+let dbPromise = null;
+
+// ============================================================================
+// INDEXEDDB HELPERS
+// ============================================================================
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<*>}
+ */
+const promisifyRequest = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Open (and create on first use) the snapshot database
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDatabase = () => {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      const meta = db.createObjectStore(META_STORE, { keyPath: 'id' });
+      meta.createIndex('timestamp', 'timestamp');
+      meta.createIndex('url', 'url');
+      db.createObjectStore(PAYLOAD_STORE, { keyPath: 'id' });
+    };
+
+    dbPromise = promisifyRequest(request).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Run a transaction over both stores and wait for it to complete
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {function} work - Receives {meta, payloads} object stores, may return a promise
+ * @returns {Promise<*>} - Whatever work resolved to
+ */
+const withStores = async (mode, work) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([META_STORE, PAYLOAD_STORE], mode);
+  const done = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+  const result = await work({
+    meta: transaction.objectStore(META_STORE),
+    payloads: transaction.objectStore(PAYLOAD_STORE)
+  });
+  await done;
+  return result;
+};
+
+// ============================================================================
+// COMPRESSION
+// ============================================================================
+
+/**
+ * Serialize a value to JSON, gzip-compressed when compression is enabled
+ * @param {*} value - Value to encode
+ * @returns {Promise<object>} - {data: ArrayBuffer|string, compressed: boolean, size: number}
+ */
+export const encodePayload = async (value) => {
+  const json = JSON.stringify(value);
+
+  if (!CONFIG.PERFORMANCE.ENABLE_COMPRESSION || typeof CompressionStream === 'undefined') {
+    return { data: json, compressed: false, size: new Blob([json]).size };
+  }
+
+  const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('gzip'));
+  const data = await new Response(stream).arrayBuffer();
+  return { data, compressed: true, size: data.byteLength };
+};
+
+/**
+ * Reverse encodePayload
+ * @param {object} payload - {data, compressed}
+ * @returns {Promise<*>}
+ */
+export const decodePayload = async ({ data, compressed }) => {
+  if (!compressed) return JSON.parse(data);
+
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return JSON.parse(await new Response(stream).text());
+};
+
+// ============================================================================
+// ARCHIVE
+// ============================================================================
+
+/**
+ * Delete the oldest snapshots until the archive fits CONFIG.SNAPSHOTS limits
+ * @returns {Promise<number>} - Number of snapshots deleted
+ */
+export const enforceSnapshotBudget = () => {
+  return withStores('readwrite', async ({ meta, payloads }) => {
+    const all = await promisifyRequest(meta.index('timestamp').getAll());
+    let totalBytes = all.reduce((sum, snapshot) => sum + snapshot.size, 0);
+    let count = all.length;
+    let deleted = 0;
+
+    for (const snapshot of all) {
+      if (totalBytes <= CONFIG.SNAPSHOTS.MAX_BYTES && count <= CONFIG.SNAPSHOTS.MAX_COUNT) break;
+      meta.delete(snapshot.id);
+      payloads.delete(snapshot.id);
+      totalBytes -= snapshot.size;
+      count--;
+      deleted++;
+    }
+
+    return deleted;
+  });
+};
+
+/**
+ * Store a snapshot returned by the content script's captureSnapshot action
+ * @param {object} snapshot - Snapshot data
+ * @param {object} context - {tabId, reason}
+ * @returns {Promise<object>} - The stored metadata
+ */
+export const saveSnapshot = async (snapshot, { tabId = null, reason = 'manual' } = {}) => {
+  const payload = await encodePayload(snapshot);
+  const meta = {
+    id: generateUniqueId(),
+    url: snapshot.url,
+    title: snapshot.title || snapshot.url,
+    tabId,
+    reason, // 'manual' or 'auto'
+    timestamp: snapshot.timestamp || new Date().toISOString(),
+    size: payload.size,
+    compressed: payload.compressed
+  };
+
+  await withStores('readwrite', ({ meta: metaStore, payloads }) => {
+    metaStore.put(meta);
+    payloads.put({ id: meta.id, data: payload.data, compressed: payload.compressed });
+  });
+  await enforceSnapshotBudget();
+  return meta;
+};
+
+/**
+ * List snapshot metadata, newest first
+ * @param {object} filter - Query filter
+ * @param {string} [filter.url] - Only snapshots of this URL
+ * @param {number} [filter.limit] - Maximum number of snapshots
+ * @returns {Promise<object[]>}
+ */
+export const listSnapshots = async (filter = {}) => {
+  const snapshots = await withStores('readonly', ({ meta }) => {
+    return filter.url
+      ? promisifyRequest(meta.index('url').getAll(filter.url))
+      : promisifyRequest(meta.index('timestamp').getAll());
+  });
+
+  snapshots.sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+  return filter.limit ? snapshots.slice(0, filter.limit) : snapshots;
+};
+
+/**
+ * Load a snapshot with its decoded content
+ * @param {string} id - Snapshot id
+ * @returns {Promise<object|null>} - Metadata plus {snapshot}
+ */
+export const getSnapshot = async (id) => {
+  const [meta, payload] = await withStores('readonly', ({ meta: metaStore, payloads }) => {
+    return Promise.all([
+      promisifyRequest(metaStore.get(id)),
+      promisifyRequest(payloads.get(id))
+    ]);
+  });
+
+  if (!meta || !payload) return null;
+  return { ...meta, snapshot: await decodePayload(payload) };
+};
+
+/**
+ * Delete a snapshot
+ * @param {string} id - Snapshot id
+ * @returns {Promise<void>}
+ */
+export const deleteSnapshot = (id) => {
+  return withStores('readwrite', ({ meta, payloads }) => {
+    meta.delete(id);
+    payloads.delete(id);
+  });
+};
+
+/**
+ * Delete every snapshot
+ * @returns {Promise<void>}
+ */
+export const clearSnapshots = () => {
+  return withStores('readwrite', ({ meta, payloads }) => {
+    meta.clear();
+    payloads.clear();
+  });
+};
+
+/**
+ * Get archive usage
+ * @returns {Promise<object>} - {count, bytes, maxBytes}
+ */
+export const getSnapshotUsage = async () => {
+  const snapshots = await listSnapshots();
+  return {
+    count: snapshots.length,
+    bytes: snapshots.reduce((sum, snapshot) => sum + snapshot.size, 0),
+    maxBytes: CONFIG.SNAPSHOTS.MAX_BYTES
+  };
+};
+
+export default {
+  encodePayload,
+  decodePayload,
+  enforceSnapshotBudget,
+  saveSnapshot,
+  listSnapshots,
+  getSnapshot,
+  deleteSnapshot,
+  clearSnapshots,
+  getSnapshotUsage
+};
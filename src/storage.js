@@ -0,0 +1,348 @@
+/**
+ * Storage layer - namespaced access to chrome.storage with a TTL cache and quota management
+ * Every key is stored under CONFIG.STORAGE's prefix for its area, so the extension's
+ * data can be told apart from anything else in the area (data from before the
+ * prefix is moved over by migrations.js). Cache entries expire and may be evicted
+ * at any time; everything else is durable and never evicted here.
+ */
+
+import CONFIG from './config.js';
+
+export const STORAGE_AREAS = ['local', 'sync', 'session'];
+
+// Cache entries live in local storage under this marker, after the prefix
+const CACHE_MARKER = 'cache:';
+
+const PREFIXES = {
+  local: CONFIG.STORAGE.LOCAL_STORAGE_PREFIX,
+  sync: CONFIG.STORAGE.LOCAL_STORAGE_PREFIX,
+  session: CONFIG.STORAGE.SESSION_STORAGE_PREFIX
+};
+
+/**
+ * A write didn't fit in the area's quota, even after evicting the cache
+ */
+export class StorageQuotaError extends Error {
+  constructor(area, message) {
+    super(`Storage quota exceeded in ${area}: ${message}`);
+    this.name = 'StorageQuotaError';
+    this.area = area;
+  }
+}
+
+/**
+ * Get a chrome.storage area
+ * @param {string} area - local, sync or session
+ * @returns {chrome.storage.StorageArea}
+ */
+const getArea = (area) => {
+  if (!STORAGE_AREAS.includes(area)) {
+    throw new Error(`Unknown storage area: ${area}`);
+  }
+  return chrome.storage[area];
+};
+
+/**
+ * Namespace a key for an area
+ * @param {string} key - Key as the rest of the extension knows it
+ * @param {string} [area] - Storage area
+ * @returns {string}
+ */
+export const toStorageKey = (key, area = 'local') => `${PREFIXES[area]}${key}`;
+
+/**
+ * Strip the namespace from a stored key
+ * @param {string} storageKey - Key as stored
+ * @param {string} [area] - Storage area
+ * @returns {string|null} - The key, or null when it isn't ours
+ */
+export const fromStorageKey = (storageKey, area = 'local') => {
+  const prefix = PREFIXES[area];
+  return storageKey.startsWith(prefix) ? storageKey.slice(prefix.length) : null;
+};
+
+/**
+ * Whether a failed write was rejected for lack of space
+ * @param {Error} error - Error from chrome.storage
+ * @returns {boolean}
+ */
+const isQuotaError = error => /QUOTA_BYTES|quota/i.test(error?.message || '');
+
+// ============================================================================
+// DURABLE DATA
+// ============================================================================
+
+/**
+ * Read a value
+ * @param {string} key - Storage key
+ * @param {*} [defaultValue] - Returned when nothing is stored
+ * @param {string} [area] - Storage area
+ * @returns {Promise<*>}
+ */
+export const getItem = async (key, defaultValue = null, area = 'local') => {
+  const storageKey = toStorageKey(key, area);
+  const result = await getArea(area).get(storageKey);
+  return storageKey in result ? result[storageKey] : defaultValue;
+};
+
+/**
+ * Read several values
+ * @param {string[]} keys - Storage keys
+ * @param {string} [area] - Storage area
+ * @returns {Promise<object>} - Values by key; keys with nothing stored are left out
+ */
+export const getItems = async (keys, area = 'local') => {
+  const result = await getArea(area).get(keys.map(key => toStorageKey(key, area)));
+  return Object.fromEntries(Object.entries(result).map(([storageKey, value]) => [fromStorageKey(storageKey, area), value]));
+};
+
+/**
+ * Write a value. In local storage, cache entries are evicted first when the
+ * write would take usage past CONFIG.STORAGE.QUOTA_PRESSURE.
+ * @param {string} key - Storage key
+ * @param {*} value - JSON-serializable value
+ * @param {string} [area] - Storage area
+ * @returns {Promise<void>}
+ * @throws {StorageQuotaError} When the value doesn't fit
+ */
+export const setItem = (key, value, area = 'local') => setItems({ [key]: value }, area);
+
+/**
+ * Write several values in one chrome.storage call, so they are saved together or
+ * not at all. Space is made the same way as for setItem.
+ * @param {object} items - Values by storage key
+ * @param {string} [area] - Storage area
+ * @returns {Promise<void>}
+ * @throws {StorageQuotaError} When the values don't fit
+ */
+export const setItems = async (items, area = 'local') => {
+  const entry = Object.fromEntries(Object.entries(items).map(([key, value]) => [toStorageKey(key, area), value]));
+
+  if (area === 'local') {
+    await ensureSpace(estimateBytes(entry));
+  }
+
+  try {
+    await getArea(area).set(entry);
+  } catch (error) {
+    if (!isQuotaError(error)) throw error;
+    if (area !== 'local') throw new StorageQuotaError(area, error.message);
+
+    // Usage can change between the check and the write; free what we can and retry once
+    await evictCache(Infinity);
+    try {
+      await getArea(area).set(entry);
+    } catch (retryError) {
+      throw isQuotaError(retryError) ? new StorageQuotaError(area, retryError.message) : retryError;
+    }
+  }
+};
+
+/**
+ * Remove values
+ * @param {string|string[]} keys - Storage key(s)
+ * @param {string} [area] - Storage area
+ * @returns {Promise<void>}
+ */
+export const removeItems = (keys, area = 'local') => {
+  const keyArray = Array.isArray(keys) ? keys : [keys];
+  return getArea(area).remove(keyArray.map(key => toStorageKey(key, area)));
+};
+
+/**
+ * Remove everything in an area, namespaced or not
+ * @param {string} [area] - Storage area
+ * @param {object} [options] - Options
+ * @param {string[]} [options.keep] - Keys to leave in place
+ * @returns {Promise<void>}
+ */
+export const clearArea = async (area = 'local', { keep = [] } = {}) => {
+  if (keep.length === 0) {
+    return getArea(area).clear();
+  }
+
+  const kept = keep.map(key => toStorageKey(key, area));
+  const stored = Object.keys(await getArea(area).get(null));
+  await getArea(area).remove(stored.filter(storageKey => !kept.includes(storageKey)));
+};
+
+/**
+ * Listen for changes to the extension's keys. Same contract as
+ * chrome.storage.onChanged, but with the namespace stripped from the keys.
+ * @param {function} callback - Receives (changes, areaName)
+ * @returns {function} - Call to stop listening
+ */
+export const onStorageChanged = (callback) => {
+  const listener = (changes, areaName) => {
+    const own = {};
+    Object.entries(changes).forEach(([storageKey, change]) => {
+      const key = fromStorageKey(storageKey, areaName);
+      if (key !== null) own[key] = change;
+    });
+
+    if (Object.keys(own).length > 0) {
+      callback(own, areaName);
+    }
+  };
+
+  chrome.storage.onChanged.addListener(listener);
+  return () => chrome.storage.onChanged.removeListener(listener);
+};
+
+// ============================================================================
+// CACHE
+// ============================================================================
+
+/**
+ * Read a cached value
+ * @param {string} key - Cache key
+ * @returns {Promise<*>} - The value, or undefined when missing or expired
+ */
+export const getCached = async (key) => {
+  const cacheKey = `${CACHE_MARKER}${key}`;
+  const entry = await getItem(cacheKey);
+  if (!entry) return undefined;
+
+  if (entry.expiresAt <= Date.now()) {
+    await removeItems(cacheKey);
+    return undefined;
+  }
+  return entry.value;
+};
+
+/**
+ * Cache a value
+ * @param {string} key - Cache key
+ * @param {*} value - JSON-serializable value
+ * @param {number} [ttl] - Milliseconds until it expires
+ * @returns {Promise<void>}
+ */
+export const setCached = (key, value, ttl = CONFIG.STORAGE.CACHE_DURATION) => {
+  const storedAt = Date.now();
+  return setItem(`${CACHE_MARKER}${key}`, { value, storedAt, expiresAt: storedAt + ttl });
+};
+
+/**
+ * Read every cache entry
+ * @returns {Promise<object[]>} - {storageKey, storedAt, expiresAt, bytes}
+ */
+const getCacheEntries = async () => {
+  const all = await chrome.storage.local.get(null);
+  const prefix = toStorageKey(CACHE_MARKER);
+
+  return Object.entries(all)
+    .filter(([storageKey]) => storageKey.startsWith(prefix))
+    .map(([storageKey, entry]) => ({
+      storageKey,
+      storedAt: entry?.storedAt || 0,
+      expiresAt: entry?.expiresAt || 0,
+      bytes: estimateBytes({ [storageKey]: entry })
+    }));
+};
+
+/**
+ * Remove every cache entry. Durable data is left alone.
+ * @returns {Promise<number>} - Entries removed
+ */
+export const clearCache = async () => {
+  const entries = await getCacheEntries();
+  await chrome.storage.local.remove(entries.map(entry => entry.storageKey));
+  return entries.length;
+};
+
+/**
+ * Remove expired cache entries
+ * @returns {Promise<number>} - Entries removed
+ */
+export const purgeExpiredCache = async () => {
+  const now = Date.now();
+  const expired = (await getCacheEntries()).filter(entry => entry.expiresAt <= now);
+  await chrome.storage.local.remove(expired.map(entry => entry.storageKey));
+  return expired.length;
+};
+
+/**
+ * Remove cache entries, expired ones first and then the oldest, until enough is freed
+ * @param {number} bytesNeeded - Bytes to free
+ * @returns {Promise<number>} - Bytes freed (estimated)
+ */
+const evictCache = async (bytesNeeded) => {
+  const now = Date.now();
+  const entries = (await getCacheEntries()).sort((a, b) => {
+    const aExpired = a.expiresAt <= now;
+    const bExpired = b.expiresAt <= now;
+    if (aExpired !== bExpired) return aExpired ? -1 : 1;
+    return a.storedAt - b.storedAt;
+  });
+
+  const evicted = [];
+  let freed = 0;
+  for (const entry of entries) {
+    if (freed >= bytesNeeded) break;
+    evicted.push(entry.storageKey);
+    freed += entry.bytes;
+  }
+
+  await chrome.storage.local.remove(evicted);
+  return freed;
+};
+
+// ============================================================================
+// QUOTA
+// ============================================================================
+
+/**
+ * Estimate the bytes chrome.storage counts for some entries (key plus JSON value)
+ * @param {object} entries - Key -> value
+ * @returns {number}
+ */
+const estimateBytes = (entries) => {
+  return Object.entries(entries).reduce((total, [key, value]) => {
+    return total + key.length + (JSON.stringify(value)?.length || 0);
+  }, 0);
+};
+
+/**
+ * Get how much of an area's quota is in use
+ * @param {string} [area] - Storage area
+ * @returns {Promise<object>} - {area, bytesInUse, quota, ratio}
+ */
+export const getStorageUsage = async (area = 'local') => {
+  const storage = getArea(area);
+  const bytesInUse = await storage.getBytesInUse(null);
+  const quota = storage.QUOTA_BYTES;
+  return { area, bytesInUse, quota, ratio: quota ? bytesInUse / quota : 0 };
+};
+
+/**
+ * Make room in local storage for a write by evicting cache entries
+ * @param {number} bytes - Size of the upcoming write
+ * @returns {Promise<void>}
+ */
+const ensureSpace = async (bytes) => {
+  const { bytesInUse, quota } = await getStorageUsage('local');
+  const limit = quota * CONFIG.STORAGE.QUOTA_PRESSURE;
+
+  if (bytesInUse + bytes > limit) {
+    await evictCache(bytesInUse + bytes - limit);
+  }
+};
+
+export default {
+  STORAGE_AREAS,
+  StorageQuotaError,
+  toStorageKey,
+  fromStorageKey,
+  getItem,
+  getItems,
+  setItem,
+  setItems,
+  removeItems,
+  clearArea,
+  onStorageChanged,
+  getCached,
+  setCached,
+  clearCache,
+  purgeExpiredCache,
+  getStorageUsage
+};
@@ -0,0 +1,462 @@
+/**
+ * Sync engine - two-way sync of watch rules, settings and change history with the backend
+ * Local edits are detected by comparing each record with the version last synced
+ * and wait in a persistent queue until a push succeeds, so nothing is lost offline.
+ * Records edited on both sides are merged with deepMerge, the newer edit winning
+ * on fields both changed. background.js runs syncs from an alarm and after edits.
+ *
+ * Backend contract (CONFIG.SYNC.ENDPOINT, relative to CONFIG.API.BASE_URL):
+ *   GET  ?since=<cursor>&deviceId=<id> -> {changes: [change], cursor, hasMore}
+ *   POST {changes: [change]}
+ *   change: {collection, id, deviceId, updatedAt, deleted, data}
+ */
+
+import CONFIG from './config.js';
+import { getFromStorage, saveToStorage, generateUniqueId, deepMerge, mergeObjects, omitObjectKeys } from './utils.js';
+import { createApiClient, ApiError } from './api.js';
+import { getSettings, saveSettings, validateSettings } from './settings.js';
+import { getWatchRules, saveWatchRules, createRule, validateRule } from './rules.js';
+import { loadHistory, importChanges } from './history.js';
+import { toMatchPattern } from './origins.js';
+
+export const SYNC_STATE_KEY = 'syncState';
+export const SYNC_ALARM = 'sync';
+
+export const SYNC_STATUS = {
+  DISABLED: 'disabled', // Sync is off in the settings or by feature flag
+  IDLE: 'idle', // Enabled, not synced yet
+  SYNCING: 'syncing',
+  SYNCED: 'synced',
+  OFFLINE: 'offline', // Backend unreachable; local changes are queued
+  ERROR: 'error' // Backend refused the sync (e.g. expired login)
+};
+
+// Settings that only make sense on this device: host permissions are granted
+// per browser, and turning sync off here shouldn't turn it off everywhere
+const LOCAL_ONLY_SETTINGS = ['allowedOrigins', 'autoSync'];
+
+// Refused remote changes kept in the state
+const MAX_CONFLICTS = 50;
+
+const DEFAULT_STATE = {
+  deviceId: null,
+  status: SYNC_STATUS.IDLE,
+  cursor: null, // Backend position after the last pull
+  baseline: {}, // "collection:id" -> serialized record as last synced or queued
+  pending: {}, // "collection:id" -> change waiting to be pushed
+  historyPushedAt: null, // receivedAt of the newest history entry pushed
+  conflicts: [], // Remote changes refused by local validation, newest first
+  lastSyncAt: null,
+  lastError: null
+};
+
+// The sync currently in progress, so overlapping triggers share one run
+let activeSync = null;
+
+/**
+ * Get the sync state
+ * @returns {Promise<object>}
+ */
+export const getSyncState = async () => {
+  return { ...DEFAULT_STATE, ...(await getFromStorage(SYNC_STATE_KEY, {})) };
+};
+
+/**
+ * Merge changes into the sync state
+ * @param {object} changes - State fields to change
+ * @returns {Promise<object>} - The new state
+ */
+const updateSyncState = async (changes) => {
+  const state = { ...(await getSyncState()), ...changes };
+  await saveToStorage(SYNC_STATE_KEY, state);
+  return state;
+};
+
+/**
+ * Whether the user granted host access to the backend. It is an optional
+ * permission, requested when sync is turned on.
+ * @returns {Promise<boolean>}
+ */
+export const hasBackendAccess = () => {
+  return chrome.permissions.contains({ origins: [toMatchPattern(CONFIG.API.BASE_URL)] });
+};
+
+/**
+ * Whether sync is turned on
+ * @param {object} settings - Current settings
+ * @returns {boolean}
+ */
+export const isSyncEnabled = (settings) => {
+  return CONFIG.FEATURES.ENABLE_SYNC && settings.extensionEnabled && settings.autoSync;
+};
+
+// ============================================================================
+// COLLECTIONS
+// ============================================================================
+
+/**
+ * Collections stored as a set of records. Each reads its local records keyed by
+ * id and writes a complete set back, and checks incoming records first:
+ * sanitize(data) returns the part of a remote record that may be written (null
+ * for none) and the errors for what was refused. History is append-only and
+ * synced separately.
+ */
+const COLLECTIONS = {
+  rules: {
+    read: async () => Object.fromEntries((await getWatchRules()).map(rule => [rule.id, rule])),
+    write: records => saveWatchRules(Object.values(records)),
+    // An invalid rule is refused whole
+    sanitize: async (data) => {
+      const { isValid, errors } = validateRule(createRule(data));
+      return isValid ? { data, errors: [] } : { data: null, errors };
+    }
+  },
+
+  settings: {
+    read: async () => ({ settings: omitObjectKeys(await getSettings(), LOCAL_ONLY_SETTINGS) }),
+    write: ({ settings }) => saveSettings(omitObjectKeys(settings || {}, LOCAL_ONLY_SETTINGS)),
+    // Invalid fields are refused one by one; the valid ones still apply
+    sanitize: async (settings) => {
+      const current = await getSettings();
+      const accepted = {};
+      const errors = [];
+
+      Object.entries(omitObjectKeys(settings || {}, LOCAL_ONLY_SETTINGS)).forEach(([key, value]) => {
+        const result = validateSettings(mergeObjects(current, { [key]: value }));
+        if (result.isValid) {
+          accepted[key] = value;
+        } else {
+          errors.push(...result.errors);
+        }
+      });
+      return { data: accepted, errors };
+    }
+  }
+};
+
+/**
+ * Key of a record in the baseline and queue
+ * @param {string} collection - Collection name
+ * @param {string} id - Record id
+ * @returns {string}
+ */
+const recordKey = (collection, id) => `${collection}:${id}`;
+
+/**
+ * Read every local record
+ * @returns {Promise<object>} - "collection:id" -> record
+ */
+const readLocalRecords = async () => {
+  const records = {};
+  for (const [collection, { read }] of Object.entries(COLLECTIONS)) {
+    Object.entries(await read()).forEach(([id, data]) => {
+      records[recordKey(collection, id)] = data;
+    });
+  }
+  return records;
+};
+
+/**
+ * Compare local records with the baseline and queue every difference. Repeated
+ * edits to a record collapse into one queued change.
+ * @param {object} state - Sync state
+ * @returns {Promise<object>} - {baseline, pending} to save
+ */
+const queueLocalChanges = async (state) => {
+  const records = await readLocalRecords();
+  const baseline = { ...state.baseline };
+  const pending = { ...state.pending };
+  const updatedAt = new Date().toISOString();
+
+  const queue = (key, data, deleted) => {
+    const [collection, id] = [key.slice(0, key.indexOf(':')), key.slice(key.indexOf(':') + 1)];
+    pending[key] = { collection, id, deviceId: state.deviceId, updatedAt, deleted, data };
+  };
+
+  Object.entries(records).forEach(([key, data]) => {
+    const serialized = JSON.stringify(data);
+    if (baseline[key] !== serialized) {
+      queue(key, data, false);
+      baseline[key] = serialized;
+    }
+  });
+
+  Object.keys(baseline).forEach((key) => {
+    if (!(key in records)) {
+      queue(key, null, true);
+      delete baseline[key];
+    }
+  });
+
+  return { baseline, pending };
+};
+
+/**
+ * Resolve a record edited both here and remotely. Fields only one side set are
+ * kept; where both set a field, the newer edit wins. A deletion loses to an edit.
+ * @param {object} local - Queued local change
+ * @param {object} remote - Remote change
+ * @returns {object} - Change to apply locally and push
+ */
+export const resolveConflict = (local, remote) => {
+  if (local.deleted && remote.deleted) return local;
+  if (local.deleted) return { ...remote, deviceId: local.deviceId };
+  if (remote.deleted) return local;
+
+  const localIsNewer = Date.parse(local.updatedAt) >= Date.parse(remote.updatedAt);
+  const data = localIsNewer ? deepMerge(remote.data, local.data) : deepMerge(local.data, remote.data);
+  return { ...local, data, updatedAt: new Date().toISOString() };
+};
+
+/**
+ * Take out of remote changes whatever local validation refuses, so a bad record
+ * from another device is reported instead of failing every run
+ * @param {object[]} changes - Resolved changes for COLLECTIONS
+ * @returns {Promise<object>} - {changes: what may be applied, conflicts: what was refused}
+ */
+const sanitizeChanges = async (changes) => {
+  const accepted = [];
+  const conflicts = [];
+
+  for (const change of changes) {
+    if (change.deleted) {
+      accepted.push(change);
+      continue;
+    }
+
+    const { data, errors } = await COLLECTIONS[change.collection].sanitize(change.data);
+    if (errors.length > 0) {
+      const { collection, id, deviceId, updatedAt } = change;
+      conflicts.push({ collection, id, deviceId, updatedAt, errors, refusedAt: new Date().toISOString() });
+    }
+    if (data) {
+      accepted.push({ ...change, data });
+    }
+  }
+
+  return { changes: accepted, conflicts };
+};
+
+/**
+ * Apply remote record changes to local storage
+ * @param {object[]} changes - Resolved changes for COLLECTIONS
+ * @returns {Promise<void>}
+ */
+const applyRecordChanges = async (changes) => {
+  for (const [collection, { read, write }] of Object.entries(COLLECTIONS)) {
+    const relevant = changes.filter(change => change.collection === collection);
+    if (relevant.length === 0) continue;
+
+    const records = await read();
+    relevant.forEach((change) => {
+      if (change.deleted) {
+        delete records[change.id];
+      } else {
+        records[change.id] = change.data;
+      }
+    });
+    await write(records);
+  }
+};
+
+// ============================================================================
+// SYNC
+// ============================================================================
+
+/**
+ * Pull remote changes since the cursor
+ * @param {object} api - Client from createApiClient
+ * @param {object} state - Sync state
+ * @returns {Promise<object>} - {changes, cursor}
+ */
+const pullChanges = async (api, state) => {
+  const changes = [];
+  let { cursor } = state;
+
+  for (let page = 0; page < CONFIG.SYNC.MAX_PULL_PAGES; page++) {
+    const params = new URLSearchParams({ deviceId: state.deviceId });
+    if (cursor) params.set('since', cursor);
+
+    const response = await api.get(`${CONFIG.SYNC.ENDPOINT}?${params}`) || {};
+    changes.push(...(response.changes || []).filter(change => change.deviceId !== state.deviceId));
+    cursor = response.cursor || cursor;
+    if (!response.hasMore) break;
+  }
+
+  return { changes, cursor };
+};
+
+/**
+ * Get local history entries that haven't been pushed. Entries that came from
+ * another device are never pushed back.
+ * @param {object} state - Sync state
+ * @returns {Promise<object[]>} - Changes for the history collection
+ */
+const getUnpushedHistory = async (state) => {
+  const { entries } = await loadHistory();
+  const since = state.historyPushedAt ? Date.parse(state.historyPushedAt) : -Infinity;
+
+  return entries
+    .filter(entry => !entry.deviceId && Date.parse(entry.receivedAt) > since)
+    .map(entry => ({
+      collection: 'history',
+      id: entry.id,
+      deviceId: state.deviceId,
+      updatedAt: entry.receivedAt,
+      deleted: false,
+      data: entry
+    }));
+};
+
+/**
+ * Run one sync: queue local edits, pull and merge remote ones, push the queue
+ * @param {object} state - Sync state with a deviceId
+ * @param {object} api - Client from createApiClient
+ * @returns {Promise<object>} - State fields to save
+ */
+const syncOnce = async (state, api) => {
+  const local = await queueLocalChanges(state);
+  await updateSyncState(local);
+
+  const pending = { ...local.pending };
+  const { changes, cursor } = await pullChanges(api, state);
+
+  // Records: apply remote changes, merging the ones also edited here
+  const recordChanges = changes
+    .filter(change => COLLECTIONS[change.collection])
+    .map((change) => {
+      const key = recordKey(change.collection, change.id);
+      if (!pending[key]) return change;
+
+      pending[key] = resolveConflict(pending[key], change);
+      return pending[key];
+    });
+  const { changes: validChanges, conflicts } = await sanitizeChanges(recordChanges);
+  await applyRecordChanges(validChanges);
+
+  // History: add entries recorded on other devices
+  const remoteHistory = changes
+    .filter(change => change.collection === 'history' && !change.deleted)
+    .map(change => ({ ...change.data, tabId: null, deviceId: change.deviceId }));
+  if (remoteHistory.length > 0) {
+    await importChanges(remoteHistory);
+  }
+
+  // What was just written is the new baseline, so it isn't queued again. Merged
+  // changes push what was actually stored, without any refused part.
+  const baseline = { ...local.baseline };
+  const records = await readLocalRecords();
+  recordChanges.forEach(({ collection, id }) => {
+    const key = recordKey(collection, id);
+    if (key in records) {
+      baseline[key] = JSON.stringify(records[key]);
+    } else {
+      delete baseline[key];
+    }
+    if (pending[key]) {
+      pending[key] = { ...pending[key], data: records[key] ?? null, deleted: !(key in records) };
+    }
+  });
+  const allConflicts = [...conflicts, ...state.conflicts].slice(0, MAX_CONFLICTS);
+  await updateSyncState({ baseline, pending, cursor, conflicts: allConflicts });
+
+  const history = await getUnpushedHistory(state);
+  const outgoing = [...Object.values(pending), ...history];
+  if (outgoing.length > 0) {
+    await api.batch(CONFIG.SYNC.ENDPOINT, outgoing, { field: 'changes' });
+  }
+
+  // History is kept in timestamp order, so the last entry isn't necessarily the last one received
+  const latestPushed = Math.max(...history.map(change => Date.parse(change.updatedAt)));
+
+  return {
+    pending: {},
+    historyPushedAt: history.length > 0 ? new Date(latestPushed).toISOString() : state.historyPushedAt,
+    pulled: changes.length,
+    pushed: outgoing.length,
+    refused: conflicts.length
+  };
+};
+
+/**
+ * Sync now. Concurrent calls share the same run. Failures are recorded in the
+ * state rather than thrown; queued changes stay queued for the next run.
+ * @param {object} [options] - {fetch} implementation override (for tests)
+ * @returns {Promise<object>} - The sync state after the run
+ */
+export const runSync = ({ fetch: fetchImpl } = {}) => {
+  if (activeSync) return activeSync;
+
+  activeSync = (async () => {
+    const settings = await getSettings();
+    if (!isSyncEnabled(settings)) {
+      return updateSyncState({ status: SYNC_STATUS.DISABLED });
+    }
+    if (!(await hasBackendAccess())) {
+      return updateSyncState({ status: SYNC_STATUS.ERROR, lastError: `No access to ${CONFIG.API.BASE_URL}` });
+    }
+
+    let state = await getSyncState();
+    if (!state.deviceId) {
+      state = await updateSyncState({ deviceId: generateUniqueId() });
+    }
+
+    if (globalThis.navigator?.onLine === false) {
+      // Still queue local edits so the status shows what is waiting
+      return updateSyncState({ ...(await queueLocalChanges(state)), status: SYNC_STATUS.OFFLINE });
+    }
+
+    await updateSyncState({ status: SYNC_STATUS.SYNCING });
+    const api = createApiClient(fetchImpl ? { fetch: fetchImpl } : {});
+
+    try {
+      const { pulled, pushed, refused, ...result } = await syncOnce(state, api);
+      return updateSyncState({
+        ...result,
+        status: SYNC_STATUS.SYNCED,
+        lastSyncAt: new Date().toISOString(),
+        lastError: null,
+        lastRun: { pulled, pushed, refused }
+      });
+    } catch (error) {
+      const offline = error instanceof ApiError && error.retryable;
+      return updateSyncState({
+        status: offline ? SYNC_STATUS.OFFLINE : SYNC_STATUS.ERROR,
+        lastError: error.message
+      });
+    }
+  })().finally(() => {
+    activeSync = null;
+  });
+
+  return activeSync;
+};
+
+/**
+ * Create or clear the periodic sync alarm to match the settings
+ * @returns {Promise<boolean>} - Whether sync is enabled
+ */
+export const scheduleSync = async () => {
+  const enabled = isSyncEnabled(await getSettings());
+  const alarm = await chrome.alarms.get(SYNC_ALARM);
+
+  if (enabled && !alarm) {
+    await chrome.alarms.create(SYNC_ALARM, { periodInMinutes: CONFIG.SYNC.INTERVAL });
+  } else if (!enabled) {
+    await chrome.alarms.clear(SYNC_ALARM);
+    await updateSyncState({ status: SYNC_STATUS.DISABLED });
+  }
+  return enabled;
+};
+
+export default {
+  SYNC_STATE_KEY,
+  SYNC_ALARM,
+  SYNC_STATUS,
+  getSyncState,
+  hasBackendAccess,
+  isSyncEnabled,
+  resolveConflict,
+  runSync,
+  scheduleSync
+};
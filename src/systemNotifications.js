@@ -0,0 +1,223 @@
+/**
+ * System notifications - raises OS notifications (chrome.notifications) for change events
+ * Bursts from the same tab are coalesced into a single notification with a list of changes
+ */
+
+import CONFIG from './config.js';
+import { getFromStorage, saveToStorage } from './utils.js';
+import { getItem, setItem } from './storage.js';
+import { getSettings } from './settings.js';
+import { LOG_CONTEXTS, createLogger } from './logger.js';
+
+const logger = createLogger(LOG_CONTEXTS.BACKGROUND);
+
+export const SNOOZE_KEY = 'notificationsSnoozedUntil';
+
+// Notification id -> { tabId, url }, kept in session storage so button clicks
+// still work after the service worker has been suspended
+const TARGETS_KEY = 'systemNotificationTargets';
+
+const NOTIFICATION_PREFIX = 'flex-portal-';
+const BUTTON_OPEN_TAB = 0;
+const BUTTON_SNOOZE = 1;
+const SNOOZE_DURATION = 3600000; // 1 hour
+const MAX_LIST_ITEMS = 5;
+
+// Events waiting for the coalescing window to close, keyed by notification id
+const pendingBursts = new Map();
+
+// Target updates are serialized so a new burst and a closed notification don't overwrite each other
+let targetsQueue = Promise.resolve();
+
+/**
+ * Read the target map from session storage
+ * @returns {Promise<object>}
+ */
+const getTargets = async () => {
+  return getItem(TARGETS_KEY, {}, 'session');
+};
+
+/**
+ * Queue a read-modify-write of the target map
+ * @param {function} mutate - Receives the target map to change in place
+ * @returns {Promise<void>}
+ */
+const updateTargets = (mutate) => {
+  const run = targetsQueue.then(async () => {
+    const targets = await getTargets();
+    mutate(targets);
+    await setItem(TARGETS_KEY, targets, 'session');
+  });
+  // Keep the queue alive even if one write fails
+  targetsQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Check whether OS notifications should currently be shown
+ * @returns {Promise<boolean>}
+ */
+export const shouldNotify = async () => {
+  if (!CONFIG.FEATURES.ENABLE_NOTIFICATIONS) return false;
+
+  const { extensionEnabled, notifications } = await getSettings();
+  if (!extensionEnabled || !notifications) return false;
+
+  const snoozedUntil = await getFromStorage(SNOOZE_KEY, 0);
+  return Date.now() >= snoozedUntil;
+};
+
+/**
+ * Snooze OS notifications
+ * @param {number} duration - Snooze duration in milliseconds
+ * @returns {Promise<number>} - Timestamp the snooze ends at
+ */
+export const snoozeNotifications = async (duration = SNOOZE_DURATION) => {
+  const until = Date.now() + duration;
+  await saveToStorage(SNOOZE_KEY, until);
+  return until;
+};
+
+/**
+ * Build the notification id used for a tab, so repeat events replace the
+ * notification that is already on screen instead of stacking up
+ * @param {object} notification - Popup notification entry
+ * @returns {string}
+ */
+const getNotificationId = (notification) => {
+  return `${NOTIFICATION_PREFIX}${notification.tabId ?? notification.url ?? 'general'}`;
+};
+
+/**
+ * Queue a popup notification entry to be raised as an OS notification
+ * @param {object} notification - Entry created by createNotificationFromChange
+ */
+export const queueSystemNotification = (notification) => {
+  const id = getNotificationId(notification);
+  const burst = pendingBursts.get(id);
+
+  if (burst) {
+    burst.events.push(notification);
+    return;
+  }
+
+  pendingBursts.set(id, {
+    events: [notification],
+    timer: setTimeout(() => flushBurst(id), CONFIG.UI.NOTIFICATION_COALESCE_WINDOW)
+  });
+};
+
+/**
+ * Raise the OS notification for a finished burst
+ * @param {string} id - Notification id
+ * @returns {Promise<void>}
+ */
+const flushBurst = async (id) => {
+  const burst = pendingBursts.get(id);
+  pendingBursts.delete(id);
+  if (!burst) return;
+
+  try {
+    if (!(await shouldNotify())) return;
+
+    const [latest] = burst.events.slice(-1);
+    const options = {
+      // chrome.notifications only accepts raster images
+      iconUrl: chrome.runtime.getURL('images/icon-128.png'),
+      priority: latest.severity === 'warning' || latest.severity === 'error' ? 2 : 0,
+      buttons: [{ title: 'Open tab' }, { title: 'Snooze 1h' }]
+    };
+
+    if (burst.events.length === 1) {
+      options.type = 'basic';
+      options.title = latest.title;
+      options.message = latest.message;
+    } else {
+      options.type = 'list';
+      options.title = `${burst.events.length} changes detected`;
+      options.message = latest.url || '';
+      options.items = burst.events.slice(-MAX_LIST_ITEMS).reverse().map(event => ({
+        title: event.title,
+        message: event.message.split('\n')[0]
+      }));
+    }
+
+    await updateTargets((targets) => {
+      targets[id] = { tabId: latest.tabId, url: latest.url };
+    });
+
+    await chrome.notifications.create(id, options);
+  } catch (error) {
+    logger.error('Error raising system notification:', error);
+  }
+};
+
+/**
+ * Focus the tab a notification refers to, reopening its URL if the tab is gone
+ * @param {string} id - Notification id
+ * @returns {Promise<void>}
+ */
+const openTarget = async (id) => {
+  const targets = await getTargets();
+  const target = targets[id];
+  if (!target) return;
+
+  try {
+    const tab = await chrome.tabs.update(target.tabId, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+  } catch (error) {
+    if (target.url) {
+      await chrome.tabs.create({ url: target.url });
+    }
+  }
+};
+
+/**
+ * Forget a notification's target once it is gone
+ * @param {string} id - Notification id
+ * @returns {Promise<void>}
+ */
+const forgetTarget = (id) => {
+  return updateTargets((targets) => {
+    delete targets[id];
+  });
+};
+
+/**
+ * Register the chrome.notifications listeners (call once from the service worker)
+ */
+export const registerNotificationListeners = () => {
+  chrome.notifications.onClicked.addListener((id) => {
+    if (!id.startsWith(NOTIFICATION_PREFIX)) return;
+    openTarget(id)
+      .then(() => chrome.notifications.clear(id))
+      .catch(error => logger.error('Error opening notification target:', error));
+  });
+
+  chrome.notifications.onButtonClicked.addListener((id, buttonIndex) => {
+    if (!id.startsWith(NOTIFICATION_PREFIX)) return;
+
+    if (buttonIndex === BUTTON_OPEN_TAB) {
+      openTarget(id)
+        .then(() => chrome.notifications.clear(id))
+        .catch(error => logger.error('Error opening notification target:', error));
+    } else if (buttonIndex === BUTTON_SNOOZE) {
+      snoozeNotifications()
+        .then(() => chrome.notifications.clear(id))
+        .catch(error => logger.error('Error snoozing notifications:', error));
+    }
+  });
+
+  chrome.notifications.onClosed.addListener((id) => {
+    if (!id.startsWith(NOTIFICATION_PREFIX)) return;
+    forgetTarget(id).catch(error => logger.error('Error forgetting notification target:', error));
+  });
+};
+
+export default {
+  SNOOZE_KEY,
+  shouldNotify,
+  snoozeNotifications,
+  queueSystemNotification,
+  registerNotificationListeners
+};
@@ -0,0 +1,221 @@
+/**
+ * Tab registry - which tabs run the monitor content script and how each one is doing
+ * Kept in chrome.storage.session so it survives service worker suspension but not
+ * a browser restart (when every tab announces itself again anyway)
+ */
+
+import { sendMessage } from './messages.js';
+import { toMatchPattern } from './origins.js';
+import { getItem, setItem } from './storage.js';
+
+export const TAB_REGISTRY_KEY = 'tabRegistry';
+
+// Alarms that end a timed pause are named with this prefix and the tab id
+export const TAB_RESUME_ALARM_PREFIX = 'resumeTab:';
+
+export const TAB_HEALTH = {
+  OK: 'ok', // Content script answered recently
+  LOADING: 'loading', // Page is (re)loading; the content script will announce itself again
+  UNRESPONSIVE: 'unresponsive' // Content script did not answer a status probe
+};
+
+// How long a status probe may take before the tab counts as unresponsive
+const PROBE_TIMEOUT = 2000;
+
+// Read-modify-write updates are serialized so tab events don't overwrite each other
+let writeQueue = Promise.resolve();
+
+/**
+ * Get the registry
+ * @returns {Promise<object>} - Map of tab id to entry
+ */
+export const getTabRegistry = async () => {
+  return getItem(TAB_REGISTRY_KEY, {}, 'session');
+};
+
+/**
+ * Queue an update of the registry
+ * @param {function} mutate - Receives the registry and changes it in place
+ * @returns {Promise<object>} - The saved registry
+ */
+const updateRegistry = (mutate) => {
+  const run = writeQueue.then(async () => {
+    const registry = await getTabRegistry();
+    mutate(registry);
+    await setItem(TAB_REGISTRY_KEY, registry, 'session');
+    return registry;
+  });
+  writeQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Update the entry of a tab that is already registered
+ * @param {number} tabId - Tab id
+ * @param {object} changes - Fields to change
+ * @returns {Promise<object>}
+ */
+const updateEntry = (tabId, changes) => {
+  return updateRegistry((registry) => {
+    if (registry[tabId]) {
+      Object.assign(registry[tabId], changes);
+    }
+  });
+};
+
+/**
+ * Register a tab whose content script just started. Monitoring that was turned
+ * off in the tab stays off across reloads, unless a timed pause has run out.
+ * @param {object} tab - chrome.tabs.Tab of the sender
+ * @param {string} url - Page URL reported by the content script
+ * @returns {Promise<object>} - The tab's entry
+ */
+export const registerTab = async (tab, url) => {
+  const now = new Date().toISOString();
+
+  const registry = await updateRegistry((current) => {
+    const previous = current[tab.id];
+    const stillOff = previous?.monitoring === false && !(previous.pausedUntil && previous.pausedUntil <= Date.now());
+
+    current[tab.id] = {
+      tabId: tab.id,
+      windowId: tab.windowId,
+      url,
+      title: tab.title || url,
+      monitoring: !stillOff,
+      pausedUntil: stillOff ? previous.pausedUntil : null,
+      health: TAB_HEALTH.OK,
+      lastError: null,
+      lastSeenAt: now,
+      lastChangeAt: previous?.lastChangeAt || null,
+      registeredAt: previous?.registeredAt || now
+    };
+  });
+  return registry[tab.id];
+};
+
+/**
+ * Forget a tab (closed, or navigated away from the portal)
+ * @param {number} tabId - Tab id
+ * @returns {Promise<object>}
+ */
+export const unregisterTab = (tabId) => {
+  return updateRegistry((registry) => {
+    delete registry[tabId];
+  });
+};
+
+/**
+ * Record that a change was detected in a tab
+ * @param {number} tabId - Tab id
+ * @param {string} timestamp - When the change happened
+ * @returns {Promise<object>}
+ */
+export const markTabChanged = (tabId, timestamp) => {
+  const now = new Date().toISOString();
+  return updateEntry(tabId, { lastChangeAt: timestamp || now, lastSeenAt: now, health: TAB_HEALTH.OK });
+};
+
+/**
+ * Record a tab's monitoring state as reported by toggleMonitoring
+ * @param {number} tabId - Tab id
+ * @param {boolean} active - Whether the content script is monitoring
+ * @param {number|null} [pausedUntil] - When a timed pause ends (ms since epoch)
+ * @returns {Promise<object>}
+ */
+export const setTabMonitoring = (tabId, active, pausedUntil = null) => {
+  return updateEntry(tabId, {
+    monitoring: active,
+    pausedUntil: active ? null : pausedUntil,
+    health: TAB_HEALTH.OK,
+    lastError: null,
+    lastSeenAt: new Date().toISOString()
+  });
+};
+
+/**
+ * Follow tab updates: a reload means the content script restarts, and a
+ * navigation away from the portal means it is gone
+ * @param {number} tabId - Tab id
+ * @param {object} changeInfo - chrome.tabs.onUpdated change info
+ * @param {string[]} patterns - Granted portal match patterns
+ * @returns {Promise<object>} - The registry
+ */
+export const handleTabUpdated = async (tabId, changeInfo, patterns) => {
+  const registry = await getTabRegistry();
+  if (!registry[tabId]) return registry;
+
+  if (changeInfo.url && !patterns.includes(toMatchPattern(changeInfo.url))) {
+    return unregisterTab(tabId);
+  }
+  if (changeInfo.status === 'loading') {
+    return updateEntry(tabId, { health: TAB_HEALTH.LOADING });
+  }
+  if (changeInfo.title) {
+    return updateEntry(tabId, { title: changeInfo.title });
+  }
+  return registry;
+};
+
+/**
+ * Ask every registered tab for its monitoring status and record the answers.
+ * Tabs that were closed while the service worker was suspended are dropped.
+ * @returns {Promise<object[]>} - Registry entries, most recently seen first
+ */
+export const probeTabs = async () => {
+  const registry = await getTabRegistry();
+  const openTabIds = new Set((await chrome.tabs.query({})).map(tab => tab.id));
+
+  const results = await Promise.all(Object.values(registry).map(async (entry) => {
+    if (!openTabIds.has(entry.tabId)) return { tabId: entry.tabId, closed: true };
+
+    try {
+      const status = await sendMessage('getMonitoringStatus', {}, { tabId: entry.tabId, timeout: PROBE_TIMEOUT });
+      return { tabId: entry.tabId, active: status.active };
+    } catch (error) {
+      return { tabId: entry.tabId, error: error.message };
+    }
+  }));
+
+  const updated = await updateRegistry((current) => {
+    const now = new Date().toISOString();
+
+    results.forEach((result) => {
+      const entry = current[result.tabId];
+      if (!entry) return;
+
+      if (result.closed) {
+        delete current[result.tabId];
+      } else if (result.error) {
+        // A loading page has no content script yet; that isn't a failure
+        if (entry.health !== TAB_HEALTH.LOADING) {
+          entry.health = TAB_HEALTH.UNRESPONSIVE;
+          entry.lastError = result.error;
+        }
+      } else {
+        Object.assign(entry, {
+          monitoring: result.active,
+          pausedUntil: result.active ? null : entry.pausedUntil,
+          health: TAB_HEALTH.OK,
+          lastError: null,
+          lastSeenAt: now
+        });
+      }
+    });
+  });
+
+  return Object.values(updated).sort((a, b) => Date.parse(b.lastSeenAt) - Date.parse(a.lastSeenAt));
+};
+
+export default {
+  TAB_REGISTRY_KEY,
+  TAB_RESUME_ALARM_PREFIX,
+  TAB_HEALTH,
+  getTabRegistry,
+  registerTab,
+  unregisterTab,
+  markTabChanged,
+  setTabMonitoring,
+  handleTabUpdated,
+  probeTabs
+};
@@ -0,0 +1,33 @@
+/**
+ * Theme - applies the theme setting to extension pages
+ * Colors are tokens in styles/theme.css; this only marks <html> with the chosen
+ * theme so the stylesheet can pin light or dark. 'system' is left to the browser.
+ */
+
+import { getSettings, onSettingsChanged } from './settings.js';
+
+/**
+ * Apply a theme to a page
+ * @param {string} theme - One of THEMES
+ * @param {HTMLElement} [root] - Element carrying data-theme
+ */
+export const applyTheme = (theme, root = document.documentElement) => {
+  root.dataset.theme = theme || 'system';
+};
+
+/**
+ * Apply the stored theme and follow changes made in any other page
+ * @returns {Promise<string>} - The applied theme
+ */
+export const initTheme = async () => {
+  onSettingsChanged(settings => applyTheme(settings.theme));
+
+  const { theme } = await getSettings();
+  applyTheme(theme);
+  return theme;
+};
+
+export default {
+  applyTheme,
+  initTheme
+};
@@ -3,8 +3,11 @@
  * Created: 2026-01-09 19:24:11 UTC
  */
 
+import { getItem, setItem, removeItems, clearArea } from './storage.js';
+
 // ============================================================================
 // STORAGE UTILITIES
+// Shorthands for the storage layer in storage.js, which namespaces the keys
 // ============================================================================
 
 /**
@@ -13,21 +16,7 @@
  * @param {*} value - Value to store (will be serialized to JSON)
  * @returns {Promise<void>}
  */
-export const saveToStorage = (key, value) => {
-  return new Promise((resolve, reject) => {
-    try {
-      chrome.storage.local.set({ [key]: value }, () => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else {
-          resolve();
-        }
-      });
-    } catch (error) {
-      reject(error);
-    }
-  });
-};
+export const saveToStorage = (key, value) => setItem(key, value, 'local');
 
 /**
  * Retrieve data from Chrome storage (local)
@@ -35,63 +24,20 @@ export const saveToStorage = (key, value) => {
  * @param {*} defaultValue - Default value if key doesn't exist
  * @returns {Promise<*>}
  */
-export const getFromStorage = (key, defaultValue = null) => {
-  return new Promise((resolve, reject) => {
-    try {
-      chrome.storage.local.get([key], (result) => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else {
-          resolve(key in result ? result[key] : defaultValue);
-        }
-      });
-    } catch (error) {
-      reject(error);
-    }
-  });
-};
+export const getFromStorage = (key, defaultValue = null) => getItem(key, defaultValue, 'local');
 
 /**
  * Remove data from Chrome storage (local)
  * @param {string|string[]} keys - Storage key(s) to remove
  * @returns {Promise<void>}
  */
-export const removeFromStorage = (keys) => {
-  const keyArray = Array.isArray(keys) ? keys : [keys];
-  return new Promise((resolve, reject) => {
-    try {
-      chrome.storage.local.remove(keyArray, () => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else {
-          resolve();
-        }
-      });
-    } catch (error) {
-      reject(error);
-    }
-  });
-};
+export const removeFromStorage = keys => removeItems(keys, 'local');
 
 /**
- * Clear all data from Chrome storage (local)
+ * Clear all data from Chrome storage (local), cache included
  * @returns {Promise<void>}
  */
-export const clearStorage = () => {
-  return new Promise((resolve, reject) => {
-    try {
-      chrome.storage.local.clear(() => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else {
-          resolve();
-        }
-      });
-    } catch (error) {
-      reject(error);
-    }
-  });
-};
+export const clearStorage = () => clearArea('local');
 
 /**
  * Save data to Chrome sync storage
@@ -99,21 +45,7 @@ export const clearStorage = () => {
  * @param {*} value - Value to store
  * @returns {Promise<void>}
  */
-export const saveToSyncStorage = (key, value) => {
-  return new Promise((resolve, reject) => {
-    try {
-      chrome.storage.sync.set({ [key]: value }, () => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else {
-          resolve();
-        }
-      });
-    } catch (error) {
-      reject(error);
-    }
-  });
-};
+export const saveToSyncStorage = (key, value) => setItem(key, value, 'sync');
 
 /**
  * Retrieve data from Chrome sync storage
@@ -121,21 +53,7 @@ export const saveToSyncStorage = (key, value) => {
  * @param {*} defaultValue - Default value if key doesn't exist
  * @returns {Promise<*>}
  */
-export const getFromSyncStorage = (key, defaultValue = null) => {
-  return new Promise((resolve, reject) => {
-    try {
-      chrome.storage.sync.get([key], (result) => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else {
-          resolve(key in result ? result[key] : defaultValue);
-        }
-      });
-    } catch (error) {
-      reject(error);
-    }
-  });
-};
+export const getFromSyncStorage = (key, defaultValue = null) => getItem(key, defaultValue, 'sync');
 
 // ============================================================================
 // COMPARISON UTILITIES
@@ -267,6 +185,9 @@ export const mergeObjects = (...objects) => {
   }, {});
 };
 
+// Values deepMerge recurses into. null is typeof 'object' too, but replaces like any other value.
+const isMergeable = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
 /**
  * Deep merge multiple objects
  * @param {...object} objects - Objects to merge
@@ -278,7 +199,7 @@ export const deepMerge = (...objects) => {
     
     for (const key in obj) {
       if (obj.hasOwnProperty(key)) {
-        if (typeof acc[key] === 'object' && typeof obj[key] === 'object' && !Array.isArray(acc[key]) && !Array.isArray(obj[key])) {
+        if (isMergeable(acc[key]) && isMergeable(obj[key])) {
           acc[key] = deepMerge(acc[key], obj[key]);
         } else {
           acc[key] = deepClone(obj[key]);
@@ -619,19 +540,21 @@ export const setNestedValue = (obj, path, value) => {
 };
 
 /**
- * Retry a function with exponential backoff
+ * Retry a function with exponential backoff. An error carrying `retryAfter`
+ * (milliseconds, e.g. from a 429 response) waits at least that long.
  * @param {function} fn - Async function to retry
  * @param {number} maxAttempts - Maximum number of attempts
  * @param {number} delay - Initial delay in milliseconds
+ * @param {function} [shouldRetry] - Receives the error; false rethrows it right away
  * @returns {Promise}
  */
-export const retryWithBackoff = async (fn, maxAttempts = 3, delay = 1000) => {
+export const retryWithBackoff = async (fn, maxAttempts = 3, delay = 1000, shouldRetry = () => true) => {
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
     try {
       return await fn();
     } catch (error) {
-      if (attempt === maxAttempts) throw error;
-      const waitTime = delay * Math.pow(2, attempt - 1);
+      if (attempt === maxAttempts || !shouldRetry(error)) throw error;
+      const waitTime = Math.max(delay * Math.pow(2, attempt - 1), error?.retryAfter || 0);
       await new Promise(resolve => setTimeout(resolve, waitTime));
     }
   }
@@ -0,0 +1,376 @@
+/**
+ * Webhook channel - POSTs change events to user-configured endpoints
+ * Deliveries go through a persistent outbox (chrome.storage.local) so they survive
+ * service worker restarts; background.js flushes it on events and from an alarm.
+ */
+
+import CONFIG from './config.js';
+import {
+  getFromStorage,
+  saveToStorage,
+  generateUniqueId,
+  retryWithBackoff,
+  validateSchema
+} from './utils.js';
+
+export const WEBHOOKS_KEY = 'webhooks';
+export const WEBHOOK_OUTBOX_KEY = 'webhookOutbox';
+export const WEBHOOK_LOG_KEY = 'webhookDeliveryLog';
+export const WEBHOOK_ALARM = 'webhookOutbox';
+
+const WEBHOOK_SCHEMA = {
+  id: 'string',
+  name: 'string',
+  url: 'string',
+  secret: 'string',
+  enabled: 'boolean'
+};
+
+// Read-modify-write updates per storage key are serialized
+const writeQueues = {};
+
+// The flush currently in progress, so overlapping triggers share one run
+let activeFlush = null;
+
+/**
+ * Queue a read-modify-write operation on a stored list
+ * @param {string} key - Storage key
+ * @param {function} mutate - Receives the current list and returns the new one
+ * @returns {Promise<object[]>} - The saved list
+ */
+const updateList = (key, mutate) => {
+  const run = (writeQueues[key] || Promise.resolve()).then(async () => {
+    const next = mutate(await getFromStorage(key, []));
+    await saveToStorage(key, next);
+    return next;
+  });
+  writeQueues[key] = run.catch(() => {});
+  return run;
+};
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Create a webhook with defaults filled in
+ * @param {object} data - Partial webhook
+ * @returns {object}
+ */
+export const createWebhook = (data = {}) => ({
+  id: data.id || generateUniqueId(),
+  name: data.name || data.url || 'Untitled webhook',
+  url: (data.url || '').trim(),
+  secret: data.secret || '', // Empty disables signing
+  ruleId: data.ruleId || null, // Only events from this rule or extractor, null for all
+  enabled: data.enabled !== false,
+  createdAt: data.createdAt || new Date().toISOString()
+});
+
+/**
+ * Validate a webhook's shape and values
+ * @param {object} webhook - Webhook to validate
+ * @returns {object} - Validation result {isValid: boolean, errors: array}
+ */
+export const validateWebhook = (webhook) => {
+  const { errors } = validateSchema(webhook, WEBHOOK_SCHEMA);
+
+  try {
+    const { protocol } = new URL(webhook.url);
+    if (protocol !== 'https:' && protocol !== 'http:') {
+      errors.push('Webhook URL must use http or https');
+    }
+  } catch (error) {
+    errors.push('Webhook URL is not a valid URL');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Get all configured webhooks
+ * @returns {Promise<object[]>}
+ */
+export const getWebhooks = async () => {
+  return getFromStorage(WEBHOOKS_KEY, []);
+};
+
+/**
+ * Replace the configured webhooks, rejecting the whole set if any webhook is invalid
+ * @param {object[]} webhooks - Webhooks to store
+ * @returns {Promise<object[]>} - The stored webhooks
+ */
+export const saveWebhooks = async (webhooks) => {
+  const normalized = webhooks.map(createWebhook);
+
+  normalized.forEach((webhook) => {
+    const { isValid, errors } = validateWebhook(webhook);
+    if (!isValid) {
+      throw new Error(`Invalid webhook '${webhook.name}': ${errors.join('; ')}`);
+    }
+  });
+
+  await saveToStorage(WEBHOOKS_KEY, normalized);
+  return normalized;
+};
+
+// ============================================================================
+// SIGNING & DELIVERY
+// ============================================================================
+
+/**
+ * Sign a request body with HMAC-SHA256. The timestamp is part of the signed
+ * message so receivers can reject replays: HMAC(secret, `${timestamp}.${body}`).
+ * @param {string} secret - Shared secret
+ * @param {string} timestamp - Value of the X-Flex-Timestamp header
+ * @param {string} body - Raw request body
+ * @returns {Promise<string>} - Hex digest
+ */
+export const signPayload = async (secret, timestamp, body) => {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`));
+  return [...new Uint8Array(signature)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Whether a failed response is worth retrying (server errors, timeouts, rate limits)
+ * @param {number} status - HTTP status
+ * @returns {boolean}
+ */
+const isRetryableStatus = (status) => status >= 500 || status === 408 || status === 429;
+
+/**
+ * POST one delivery to its endpoint. Network errors and retryable statuses
+ * throw; other responses are returned so the caller can log them.
+ * @param {object} webhook - Webhook configuration
+ * @param {object} delivery - Outbox item
+ * @param {function} fetchImpl - fetch implementation
+ * @returns {Promise<object>} - {status, ok}
+ */
+const postDelivery = async (webhook, delivery, fetchImpl) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Flex-Event': delivery.payload.event,
+    'X-Flex-Delivery': delivery.id,
+    'X-Flex-Timestamp': timestamp
+  };
+
+  if (webhook.secret) {
+    headers['X-Flex-Signature'] = `sha256=${await signPayload(webhook.secret, timestamp, body)}`;
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), CONFIG.WEBHOOKS.TIMEOUT);
+
+  try {
+    const response = await fetchImpl(webhook.url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: controller.signal
+    });
+
+    if (!response.ok && isRetryableStatus(response.status)) {
+      throw new Error(`Endpoint responded with ${response.status}`);
+    }
+    return { status: response.status, ok: response.ok };
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`Endpoint timed out after ${CONFIG.WEBHOOKS.TIMEOUT}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// ============================================================================
+// OUTBOX
+// ============================================================================
+
+/**
+ * Build the JSON payload for a change history entry
+ * @param {object} entry - Entry created by recordChange
+ * @returns {object}
+ */
+export const createChangePayload = (entry) => ({
+  event: entry.kind === 'records' ? 'records.changed' : 'change.detected',
+  changeId: entry.id,
+  ruleId: entry.ruleId || entry.extractorId || null,
+  ruleName: entry.ruleName || entry.extractorName || null,
+  url: entry.url,
+  timestamp: entry.timestamp,
+  summary: entry.summary,
+  diff: entry.diff
+});
+
+/**
+ * Get pending deliveries
+ * @returns {Promise<object[]>}
+ */
+export const getOutbox = async () => {
+  return getFromStorage(WEBHOOK_OUTBOX_KEY, []);
+};
+
+/**
+ * Get the delivery log, newest first
+ * @returns {Promise<object[]>}
+ */
+export const getDeliveryLog = async () => {
+  return getFromStorage(WEBHOOK_LOG_KEY, []);
+};
+
+/**
+ * Add an attempt to the delivery log
+ * @param {object} entry - Log entry
+ * @returns {Promise<object[]>}
+ */
+const logDelivery = (entry) => {
+  return updateList(WEBHOOK_LOG_KEY, log => [
+    { id: generateUniqueId(), timestamp: new Date().toISOString(), ...entry },
+    ...log
+  ].slice(0, CONFIG.WEBHOOKS.MAX_LOG_ENTRIES));
+};
+
+/**
+ * Queue a payload for every enabled webhook that wants it
+ * @param {object} payload - Payload from createChangePayload
+ * @param {object} options - {webhookId} to target a single webhook regardless of filters
+ * @returns {Promise<object[]>} - Queued deliveries
+ */
+export const enqueueWebhookPayload = async (payload, { webhookId } = {}) => {
+  const webhooks = await getWebhooks();
+  const targets = webhookId
+    ? webhooks.filter(webhook => webhook.id === webhookId)
+    : webhooks.filter(webhook => webhook.enabled && (!webhook.ruleId || webhook.ruleId === payload.ruleId));
+
+  const deliveries = targets.map(webhook => ({
+    id: generateUniqueId(),
+    webhookId: webhook.id,
+    payload: { ...payload, deliveredVia: webhook.name },
+    rounds: 0,
+    nextAttemptAt: Date.now(),
+    createdAt: new Date().toISOString(),
+    lastError: null
+  }));
+
+  if (deliveries.length > 0) {
+    await updateList(WEBHOOK_OUTBOX_KEY, outbox => [...outbox, ...deliveries]);
+  }
+  return deliveries;
+};
+
+/**
+ * Attempt one delivery round
+ * @param {object} delivery - Outbox item
+ * @param {object} webhook - Its webhook, undefined when it was deleted
+ * @param {function} fetchImpl - fetch implementation
+ * @returns {Promise<object|null>} - Updated item to keep in the outbox, null when done
+ */
+const attemptDelivery = async (delivery, webhook, fetchImpl) => {
+  if (!webhook) {
+    await logDelivery({ deliveryId: delivery.id, webhookId: delivery.webhookId, event: delivery.payload.event, outcome: 'dropped', error: 'Webhook was removed' });
+    return null;
+  }
+
+  const startedAt = Date.now();
+  const base = { deliveryId: delivery.id, webhookId: webhook.id, webhookName: webhook.name, url: webhook.url, event: delivery.payload.event };
+
+  try {
+    const { status, ok } = await retryWithBackoff(
+      () => postDelivery(webhook, delivery, fetchImpl),
+      CONFIG.WEBHOOKS.RETRY_ATTEMPTS,
+      CONFIG.WEBHOOKS.RETRY_DELAY
+    );
+
+    await logDelivery({
+      ...base,
+      status,
+      outcome: ok ? 'delivered' : 'rejected',
+      error: ok ? null : `Endpoint responded with ${status}`,
+      durationMs: Date.now() - startedAt
+    });
+    return null;
+  } catch (error) {
+    const rounds = delivery.rounds + 1;
+    const givingUp = rounds >= CONFIG.WEBHOOKS.MAX_DELIVERY_ROUNDS;
+
+    await logDelivery({
+      ...base,
+      status: null,
+      outcome: givingUp ? 'failed' : 'retrying',
+      error: error.message,
+      durationMs: Date.now() - startedAt
+    });
+
+    if (givingUp) return null;
+    return {
+      ...delivery,
+      rounds,
+      lastError: error.message,
+      // Later rounds wait longer: 1, 2, 4, 8... alarm periods
+      nextAttemptAt: Date.now() + CONFIG.WEBHOOKS.OUTBOX_ALARM_PERIOD * 60000 * Math.pow(2, rounds - 1)
+    };
+  }
+};
+
+/**
+ * Deliver every due outbox item. Concurrent calls share the same run.
+ * @param {object} options - {fetch} implementation override (for tests), {force} to ignore nextAttemptAt
+ * @returns {Promise<object>} - {attempted, remaining}
+ */
+export const flushWebhookOutbox = ({ fetch: fetchImpl = fetch, force = false } = {}) => {
+  if (activeFlush) return activeFlush;
+
+  activeFlush = (async () => {
+    const [outbox, webhooks] = await Promise.all([getOutbox(), getWebhooks()]);
+    const now = Date.now();
+    const due = outbox.filter(delivery => force || delivery.nextAttemptAt <= now);
+    const results = {};
+
+    for (const delivery of due) {
+      const webhook = webhooks.find(candidate => candidate.id === delivery.webhookId);
+      results[delivery.id] = await attemptDelivery(delivery, webhook, fetchImpl);
+    }
+
+    // Items queued while this flush ran are kept untouched
+    const remaining = await updateList(WEBHOOK_OUTBOX_KEY, current => current
+      .map(delivery => (delivery.id in results ? results[delivery.id] : delivery))
+      .filter(Boolean));
+
+    return { attempted: due.length, remaining: remaining.length };
+  })().finally(() => {
+    activeFlush = null;
+  });
+
+  return activeFlush;
+};
+
+export default {
+  WEBHOOKS_KEY,
+  WEBHOOK_OUTBOX_KEY,
+  WEBHOOK_LOG_KEY,
+  WEBHOOK_ALARM,
+  createWebhook,
+  validateWebhook,
+  getWebhooks,
+  saveWebhooks,
+  signPayload,
+  createChangePayload,
+  getOutbox,
+  getDeliveryLog,
+  enqueueWebhookPayload,
+  flushWebhookOutbox
+};
@@ -0,0 +1,89 @@
+/**
+ * In-memory stand-in for the chrome.* APIs the extension modules use at run time
+ * Import it before any module under test: it installs globalThis.chrome.
+ */
+
+/**
+ * Create a storage area backed by a plain object
+ * @returns {object} - chrome.storage.StorageArea subset, plus `data` for assertions
+ */
+const createStorageArea = () => {
+  const data = {};
+  return {
+    data,
+    QUOTA_BYTES: 10485760,
+    get: async (keys) => {
+      if (keys === null || keys === undefined) return structuredClone(data);
+      const list = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+      const result = {};
+      list.forEach((key) => {
+        if (key in data) {
+          result[key] = structuredClone(data[key]);
+        } else if (!Array.isArray(keys) && typeof keys === 'object') {
+          result[key] = keys[key];
+        }
+      });
+      return result;
+    },
+    set: async (items) => {
+      Object.assign(data, structuredClone(items));
+    },
+    remove: async (keys) => {
+      [].concat(keys).forEach(key => delete data[key]);
+    },
+    clear: async () => {
+      Object.keys(data).forEach(key => delete data[key]);
+    },
+    getBytesInUse: async () => JSON.stringify(data).length
+  };
+};
+
+/**
+ * Create an event with addListener/removeListener
+ * @returns {object}
+ */
+const createEvent = () => {
+  const listeners = new Set();
+  return {
+    addListener: listener => listeners.add(listener),
+    removeListener: listener => listeners.delete(listener),
+    hasListener: listener => listeners.has(listener)
+  };
+};
+
+globalThis.chrome = {
+  runtime: {
+    id: 'test-extension',
+    getURL: path => `chrome-extension://test-extension/${path}`,
+    getManifest: () => ({ version: '1.0.0' }),
+    sendMessage: async () => undefined,
+    onMessage: createEvent()
+  },
+  storage: {
+    local: createStorageArea(),
+    sync: createStorageArea(),
+    session: createStorageArea(),
+    onChanged: createEvent()
+  },
+  permissions: {
+    contains: async () => true,
+    request: async () => true
+  },
+  alarms: {
+    create: async () => {},
+    clear: async () => true,
+    get: async () => undefined,
+    onAlarm: createEvent()
+  }
+};
+
+/**
+ * Empty every storage area between tests
+ */
+export const resetStorage = () => {
+  ['local', 'sync', 'session'].forEach(area => chrome.storage[area].clear());
+};
+
+export default {
+  resetStorage
+};
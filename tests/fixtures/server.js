@@ -0,0 +1,28 @@
+/**
+ * Local HTTP stub for the transport tests (API client, email, webhooks)
+ */
+
+import { createServer } from 'node:http';
+
+/**
+ * Start an HTTP server on a free local port
+ * @param {function} handler - Receives (req, res, body) once the request body is read in full
+ * @returns {Promise<object>} - {baseUrl, close}
+ */
+export const startStubServer = async (handler) => {
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => handler(req, res, body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+export default {
+  startStubServer
+};
@@ -0,0 +1,136 @@
+/**
+ * API client against a local fake server
+ * Run with: node --test tests/
+ */
+
+import { describe, test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStubServer } from '../fixtures/server.js';
+import { createApiClient, ApiAuthError, ApiRateLimitError, ApiServerError, ApiTimeoutError } from '../../src/api.js';
+
+// Requests per path, with the time each arrived
+let hits = {};
+
+// Path -> handler(req, res, body, count)
+const routes = {
+  '/ok': (req, res) => {
+    setTimeout(() => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end('{"a":1}');
+    }, 20);
+  },
+  '/flaky': (req, res, body, count) => {
+    if (count < 3) {
+      res.statusCode = 503;
+      res.end('busy');
+    } else {
+      res.end('{"done":true}');
+    }
+  },
+  '/auth': (req, res) => {
+    res.statusCode = 401;
+    res.end();
+  },
+  '/limit': (req, res, body, count) => {
+    if (count === 1) {
+      res.statusCode = 429;
+      res.setHeader('Retry-After', '1');
+      res.end();
+    } else {
+      res.end('{"limited":false}');
+    }
+  },
+  '/limit-long': (req, res) => {
+    res.statusCode = 429;
+    res.setHeader('Retry-After', '3600');
+    res.end();
+  },
+  '/slow': (req, res) => {
+    setTimeout(() => res.end('{}'), 300);
+  },
+  '/bad': (req, res) => {
+    res.statusCode = 400;
+    res.end('{"error":"nope"}');
+  },
+  '/batch': (req, res, body) => {
+    res.end(JSON.stringify({ received: JSON.parse(body).items }));
+  },
+  '/fail': (req, res) => {
+    res.statusCode = 500;
+    res.end();
+  }
+};
+
+let server;
+let api;
+
+before(async () => {
+  server = await startStubServer((req, res, body) => {
+    hits[req.url] = [...(hits[req.url] || []), Date.now()];
+    routes[req.url](req, res, body, hits[req.url].length);
+  });
+  api = createApiClient({
+    baseUrl: server.baseUrl,
+    retryDelay: 10,
+    timeout: 150,
+    batchSize: 3
+  });
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  hits = {};
+});
+
+describe('createApiClient', () => {
+  test('should coalesce identical GET requests in flight', async () => {
+    const [first, second] = await Promise.all([api.get('/ok'), api.get('/ok')]);
+    assert.deepEqual(first, { a: 1 });
+    assert.equal(first, second);
+    assert.equal(hits['/ok'].length, 1);
+  });
+
+  test('should retry server errors with backoff', async () => {
+    assert.deepEqual(await api.get('/flaky'), { done: true });
+    assert.equal(hits['/flaky'].length, 3);
+  });
+
+  test('should not retry a POST unless asked to', async () => {
+    await assert.rejects(api.post('/fail', {}), ApiServerError);
+    assert.equal(hits['/fail'].length, 1);
+  });
+
+  test('should fail auth errors without retrying', async () => {
+    await assert.rejects(api.get('/auth'), ApiAuthError);
+    assert.equal(hits['/auth'].length, 1);
+  });
+
+  test('should wait for the Retry-After of a 429 before retrying', async () => {
+    assert.deepEqual(await api.get('/limit'), { limited: false });
+    const [first, second] = hits['/limit'];
+    assert.ok(second - first >= 950, `retried after ${second - first}ms`);
+  });
+
+  test('should give up when Retry-After is longer than the client waits', async () => {
+    await assert.rejects(api.get('/limit-long'), (error) => {
+      assert.ok(error instanceof ApiRateLimitError);
+      assert.equal(error.retryAfter, 3600000);
+      return true;
+    });
+    assert.equal(hits['/limit-long'].length, 1);
+  });
+
+  test('should time out slow attempts', async () => {
+    await assert.rejects(api.get('/slow'), ApiTimeoutError);
+  });
+
+  test('should quote the body of other client errors', async () => {
+    await assert.rejects(api.get('/bad'), /Request failed with 400: {"error":"nope"}/);
+  });
+
+  test('should send batches in chunks of batchSize', async () => {
+    await api.batch('/batch', [1, 2, 3, 4, 5, 6, 7]);
+    assert.equal(hits['/batch'].length, 3);
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Configuration bundles: checksums, signatures, secret encryption and import modes
+ * Run with: node --test tests/
+ */
+
+import { resetStorage } from '../fixtures/chrome.js';
+import { describe, test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import CONFIG from '../../src/config.js';
+import { getSettings, saveSettings } from '../../src/settings.js';
+import { getWatchRules, saveWatchRules } from '../../src/rules.js';
+import { getWebhooks, saveWebhooks } from '../../src/webhooks.js';
+import { createBundle, readBundle, previewImport, applyImport, getCurrentContents } from '../../src/bundle.js';
+
+const PASSPHRASE = 'correct horse';
+
+const hook = { id: 'hook-1', name: 'Ops', url: 'https://hooks.example.com/ops', secret: 'hook-secret' };
+
+/**
+ * Export the current configuration as bundle file text
+ * @param {object} [options] - createBundle options
+ * @returns {Promise<string>}
+ */
+const exportText = async options => JSON.stringify(await createBundle(options));
+
+before(() => {
+  CONFIG.LOGGING.ENABLE_FILE = false;
+  CONFIG.LOGGING.ENABLE_CONSOLE = false;
+});
+
+beforeEach(async () => {
+  resetStorage();
+  await saveSettings({ theme: 'dark' });
+  await saveWatchRules([{ id: 'rule-1', name: 'Offers', selector: '#offers' }]);
+  await saveWebhooks([hook]);
+});
+
+describe('createBundle and readBundle', () => {
+  test('should read back a signed bundle with the webhook secret encrypted in the file', async () => {
+    const text = await exportText({ passphrase: PASSPHRASE });
+
+    assert.ok(!text.includes(hook.secret));
+    const bundle = await readBundle(text, { passphrase: PASSPHRASE });
+    assert.equal(bundle.signed, true);
+    assert.equal(bundle.contents.webhooks[0].secret, hook.secret);
+    assert.equal(bundle.contents.settings.theme, 'dark');
+  });
+
+  test('should leave secrets out of an unsigned bundle', async () => {
+    const text = await exportText();
+
+    assert.ok(!text.includes(hook.secret));
+    const bundle = await readBundle(text);
+    assert.equal(bundle.signed, false);
+    assert.equal(bundle.checksummed, true);
+    assert.equal(bundle.contents.webhooks[0].secret, undefined);
+  });
+
+  test('should accept the same contents with the keys in another order', async () => {
+    const data = JSON.parse(await exportText());
+    const [rule] = data.contents.watchRules;
+    data.contents.watchRules = [Object.fromEntries(Object.entries(rule).reverse())];
+
+    const bundle = await readBundle(JSON.stringify(data));
+    assert.equal(bundle.contents.watchRules[0].selector, '#offers');
+  });
+
+  test('should refuse a bundle whose contents were edited', async () => {
+    const data = JSON.parse(await exportText({ passphrase: PASSPHRASE }));
+    data.contents.webhooks[0].url = 'https://attacker.example.com/collect';
+
+    await assert.rejects(readBundle(JSON.stringify(data), { passphrase: PASSPHRASE }), /Checksum mismatch/);
+  });
+
+  test('should refuse a signed bundle with the wrong passphrase or none', async () => {
+    const text = await exportText({ passphrase: PASSPHRASE });
+
+    await assert.rejects(readBundle(text, { passphrase: 'wrong' }), /does not match the bundle signature/);
+    await assert.rejects(readBundle(text), /enter the team passphrase/);
+  });
+
+  test('should refuse a bundle with its signature stripped when a passphrase is entered', async () => {
+    const data = JSON.parse(await exportText({ passphrase: PASSPHRASE }));
+    delete data.signature;
+    const text = JSON.stringify(data);
+
+    await assert.rejects(readBundle(text, { passphrase: PASSPHRASE }), /not signed/);
+
+    // Without a passphrase it reads as unsigned, and the encrypted secrets are dropped
+    const bundle = await readBundle(text);
+    assert.equal(bundle.signed, false);
+    assert.equal(bundle.contents.webhooks[0].secret, undefined);
+    assert.equal(bundle.contents.webhooks[0].encryptedSecret, undefined);
+  });
+
+  test('should refuse a bundle whose encrypted secret was swapped', async () => {
+    const data = JSON.parse(await exportText({ passphrase: PASSPHRASE }));
+    const [iv] = data.contents.webhooks[0].encryptedSecret.split('.');
+    data.contents.webhooks[0].encryptedSecret = `${iv}.${Buffer.from('forged secret').toString('base64')}`;
+
+    // The checksum and signature cover the secret, so a forger has to know the passphrase
+    await assert.rejects(readBundle(JSON.stringify(data), { passphrase: PASSPHRASE }), /Checksum mismatch/);
+  });
+});
+
+describe('previewImport and applyImport', () => {
+  /**
+   * Read a bundle exported from a browser set up differently
+   * @returns {Promise<object>} - Bundle contents
+   */
+  const readOtherBundle = async () => {
+    const current = await getCurrentContents();
+    await saveWatchRules([{ id: 'rule-2', name: 'Prices', selector: '.price' }]);
+    await saveWebhooks([{ ...hook, name: 'Ops channel' }]);
+    await saveSettings({ theme: 'light' });
+    const { contents } = await readBundle(await exportText());
+
+    // Back to this browser's own setup
+    resetStorage();
+    await saveSettings(current.settings);
+    await saveWatchRules(current.watchRules);
+    await saveWebhooks(current.webhooks);
+    return contents;
+  };
+
+  test('should keep items the bundle does not mention in merge mode', async () => {
+    const incoming = await readOtherBundle();
+
+    const { next, differences } = await previewImport(incoming, 'merge');
+
+    assert.deepEqual(next.watchRules.map(rule => rule.id).sort(), ['rule-1', 'rule-2']);
+    assert.equal(next.settings.theme, 'light');
+    assert.deepEqual(Object.keys(differences.watchRules), ['rule-2']);
+  });
+
+  test('should drop items the bundle does not mention in replace mode', async () => {
+    const incoming = await readOtherBundle();
+
+    const { next } = await previewImport(incoming, 'replace');
+
+    assert.deepEqual(next.watchRules.map(rule => rule.id), ['rule-2']);
+  });
+
+  test('should keep the existing webhook secret when the bundle has none', async () => {
+    const incoming = await readOtherBundle();
+
+    const { next } = await previewImport(incoming, 'replace');
+    await applyImport(next);
+
+    const [webhook] = await getWebhooks();
+    assert.equal(webhook.name, 'Ops channel');
+    assert.equal(webhook.secret, hook.secret);
+    assert.deepEqual((await getWatchRules()).map(rule => rule.id), ['rule-2']);
+    assert.equal((await getSettings()).theme, 'light');
+  });
+
+  test('should put the lists back when the settings cannot be saved', async () => {
+    const incoming = await readOtherBundle();
+    const { next } = await previewImport(incoming, 'replace');
+
+    const { set } = chrome.storage.sync;
+    chrome.storage.sync.set = async () => { throw new Error('MAX_WRITE_OPERATIONS_PER_MINUTE'); };
+    try {
+      await assert.rejects(applyImport(next), /MAX_WRITE_OPERATIONS_PER_MINUTE/);
+    } finally {
+      chrome.storage.sync.set = set;
+    }
+
+    assert.deepEqual((await getWatchRules()).map(rule => rule.id), ['rule-1']);
+    assert.equal((await getWebhooks())[0].name, 'Ops');
+  });
+
+  test('should report the original error when the rollback fails too', async () => {
+    const incoming = await readOtherBundle();
+    const { next } = await previewImport(incoming, 'replace');
+
+    const { set: syncSet } = chrome.storage.sync;
+    const { set: localSet } = chrome.storage.local;
+    let localWrites = 0;
+    chrome.storage.sync.set = async () => { throw new Error('sync unavailable'); };
+    chrome.storage.local.set = async (items) => {
+      if (++localWrites > 1) throw new Error('local unavailable');
+      return localSet(items);
+    };
+    try {
+      await assert.rejects(applyImport(next), /sync unavailable/);
+    } finally {
+      chrome.storage.sync.set = syncSet;
+      chrome.storage.local.set = localSet;
+    }
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Email transports against a local mock mail server
+ * Run with: node --test tests/
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStubServer } from '../fixtures/server.js';
+import { sendEmail } from '../../src/email.js';
+
+// Mock mail server: records every request and answers like the Mailpit send API
+const received = [];
+const accept = (res) => {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ ID: 'mock-message-1' }));
+};
+let respond = accept;
+
+let server;
+let baseUrl;
+
+const settingsFor = transport => ({
+  transport,
+  endpoint: `${baseUrl}/email/send`,
+  relayUrl: `${baseUrl}/api/v1/send`,
+  from: 'alerts@example.com',
+  maxRecipients: 3,
+  timeout: 2000
+});
+
+before(async () => {
+  server = await startStubServer((req, res, body) => {
+    received.push({ method: req.method, url: req.url, body: body ? JSON.parse(body) : null });
+    respond(res);
+  });
+  ({ baseUrl } = server);
+});
+
+after(() => server.close());
+
+describe('sendEmail', () => {
+  test('should deliver through the SMTP relay in its send API format', async () => {
+    received.length = 0;
+    const result = await sendEmail(
+      { to: 'ops@example.com; lead@example.com', subject: ' Portal changed ', body: 'Details' },
+      { settings: settingsFor('smtp-relay') }
+    );
+
+    assert.equal(result.success, true);
+    assert.equal(result.messageId, 'mock-message-1');
+    assert.deepEqual(result.recipients, ['ops@example.com', 'lead@example.com']);
+    assert.equal(received.length, 1);
+    assert.equal(received[0].url, '/api/v1/send');
+    assert.deepEqual(received[0].body, {
+      From: { Email: 'alerts@example.com' },
+      To: [{ Email: 'ops@example.com' }, { Email: 'lead@example.com' }],
+      Cc: [],
+      Subject: 'Portal changed',
+      Text: 'Details'
+    });
+  });
+
+  test('should deliver through the HTTP endpoint', async () => {
+    received.length = 0;
+    const result = await sendEmail(
+      { to: ['ops@example.com'], cc: 'lead@example.com', subject: 'Portal changed', body: '' },
+      { settings: settingsFor('http') }
+    );
+
+    assert.equal(result.success, true);
+    assert.equal(received[0].url, '/email/send');
+    assert.equal(received[0].body.from, 'alerts@example.com');
+    assert.deepEqual(received[0].body.cc, ['lead@example.com']);
+  });
+
+  test('should reject invalid requests without contacting the server', async () => {
+    received.length = 0;
+    const result = await sendEmail(
+      { to: 'not-an-address, a@example.com, b@example.com, c@example.com', subject: '' },
+      { settings: settingsFor('smtp-relay') }
+    );
+
+    assert.equal(result.success, false);
+    assert.equal(received.length, 0);
+    assert.ok(result.errors.includes("Invalid email address 'not-an-address'"));
+    assert.ok(result.errors.includes('Too many recipients (maximum 3)'));
+    assert.ok(result.errors.includes('Subject is required'));
+  });
+
+  test('should report a server error without retrying', async () => {
+    received.length = 0;
+    respond = (res) => {
+      res.writeHead(503);
+      res.end();
+    };
+
+    try {
+      const result = await sendEmail(
+        { to: 'ops@example.com', subject: 'Portal changed' },
+        { settings: settingsFor('smtp-relay') }
+      );
+      assert.equal(result.success, false);
+      assert.equal(result.transport, 'smtp-relay');
+      assert.equal(received.length, 1);
+    } finally {
+      respond = accept;
+    }
+  });
+});
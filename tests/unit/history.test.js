@@ -0,0 +1,70 @@
+/**
+ * Change history entries stay within the storage caps
+ * Run with: node --test tests/
+ */
+
+import { resetStorage } from '../fixtures/chrome.js';
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import CONFIG from '../../src/config.js';
+import { createHistoryEntry, recordChange, loadHistory } from '../../src/history.js';
+
+const { MAX_DIFF_ITEMS, MAX_CHANGE_TEXT_LENGTH } = CONFIG.STORAGE;
+
+const longText = 'Block 3pm-6pm $72 '.repeat(100);
+
+// A region diff as buildRuleDiff in content.js reports it for a large watched table
+const createTableDiff = (rows) => ({
+  kind: 'Row',
+  added: Array.from({ length: rows }, (_, i) => `${i} ${longText}`),
+  removed: Array.from({ length: rows }, (_, i) => `${i} removed`),
+  textChanges: Array.from({ length: rows }, (_, i) => ({
+    target: { tagName: 'TR' },
+    before: longText,
+    after: `${longText} ${i}`,
+    parts: [{ type: 'equal', value: longText }, { type: 'added', value: String(i) }]
+  })),
+  summary: [`${rows} rows changed`]
+});
+
+beforeEach(() => {
+  resetStorage();
+});
+
+describe('createHistoryEntry', () => {
+  test('caps the number of diff items and keeps the full counts', () => {
+    const entry = createHistoryEntry({ ruleId: 'rule-1', diff: createTableDiff(500) });
+
+    assert.equal(entry.diff.added.length, MAX_DIFF_ITEMS);
+    assert.equal(entry.diff.removed.length, MAX_DIFF_ITEMS);
+    assert.equal(entry.diff.textChanges.length, MAX_DIFF_ITEMS);
+    assert.deepEqual(entry.diff.counts, { added: 500, removed: 500, textChanges: 500, summary: 1 });
+    assert.equal(entry.diff.truncated, true);
+    assert.equal(entry.diff.kind, 'Row');
+  });
+
+  test('shortens the text of every diff item', () => {
+    const entry = createHistoryEntry({ ruleId: 'rule-1', diff: createTableDiff(1) });
+    const [change] = entry.diff.textChanges;
+
+    assert.ok(entry.diff.added[0].length <= MAX_CHANGE_TEXT_LENGTH + 1);
+    assert.ok(change.before.length <= MAX_CHANGE_TEXT_LENGTH + 1);
+    assert.ok(change.after.length <= MAX_CHANGE_TEXT_LENGTH + 1);
+    assert.ok(change.parts[0].value.length <= MAX_CHANGE_TEXT_LENGTH + 1);
+    assert.equal(entry.diff.truncated, false);
+  });
+
+  test('stores no diff when none was reported', () => {
+    assert.equal(createHistoryEntry({ ruleId: 'rule-1' }).diff, null);
+  });
+});
+
+describe('recordChange', () => {
+  test('keeps a large table diff well below the local storage quota', async () => {
+    await recordChange({ ruleId: 'rule-1', diff: createTableDiff(2000) }, { tab: { id: 1 } });
+
+    const history = await loadHistory();
+    assert.equal(history.entries.length, 1);
+    assert.ok(JSON.stringify(history).length < 200000);
+  });
+});
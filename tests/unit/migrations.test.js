@@ -0,0 +1,161 @@
+/**
+ * Storage schema migrations from the first release's layout to the current one
+ * Run with: node --test tests/
+ */
+
+import { resetStorage } from '../fixtures/chrome.js';
+import { describe, test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import CONFIG from '../../src/config.js';
+import { toStorageKey } from '../../src/storage.js';
+import { MIN_REFRESH_INTERVAL } from '../../src/settings.js';
+import {
+  MIGRATIONS,
+  LATEST_SCHEMA_VERSION,
+  getSchemaVersion,
+  getMigrationLog,
+  runMigrations
+} from '../../src/migrations.js';
+
+// Storage as the first release (schema v0) left it: loose settings, no prefixes
+const seedVersion0 = async () => {
+  await chrome.storage.local.set({
+    extensionEnabled: false,
+    refreshInterval: 5000,
+    changeHistory: {
+      entries: [{ id: 'old-1', timestamp: '2026-01-01T00:00:00.000Z' }],
+      index: { byUrl: {}, byTab: {} }
+    }
+  });
+  await chrome.storage.sync.set({ settings: { theme: 'dark' } });
+};
+
+/**
+ * Storage contents without the migration log, which every run appends to
+ * @returns {object} - {local, sync}
+ */
+const readData = () => {
+  const local = { ...chrome.storage.local.data };
+  delete local[toStorageKey('migrationLog')];
+  return structuredClone({ local, sync: chrome.storage.sync.data });
+};
+
+before(() => {
+  // Keep the runner's log lines out of storage and the test output
+  CONFIG.LOGGING.ENABLE_FILE = false;
+  CONFIG.LOGGING.ENABLE_CONSOLE = false;
+});
+
+beforeEach(() => {
+  resetStorage();
+});
+
+describe('runMigrations', () => {
+  test('should bring v0 data up to the latest schema', async () => {
+    await seedVersion0();
+
+    const run = await runMigrations();
+
+    assert.equal(run.status, 'applied');
+    assert.equal(run.fromVersion, 0);
+    assert.equal(run.toVersion, LATEST_SCHEMA_VERSION);
+    assert.deepEqual(run.steps.map(step => step.version), [1, 2, 3]);
+    assert.equal(await getSchemaVersion(), LATEST_SCHEMA_VERSION);
+
+    const { local, sync } = chrome.storage;
+    assert.deepEqual(sync.data[toStorageKey('settings', 'sync')], {
+      extensionEnabled: false,
+      refreshInterval: MIN_REFRESH_INTERVAL,
+      theme: 'dark'
+    });
+    assert.equal(local.data[toStorageKey('changeHistory')].entries[0].kind, 'dom');
+    assert.ok(!('extensionEnabled' in local.data));
+    assert.ok(!('settings' in sync.data));
+  });
+
+  test('should leave migrated data alone on the next run', async () => {
+    await seedVersion0();
+    await runMigrations();
+    const migrated = readData();
+
+    const run = await runMigrations();
+
+    assert.equal(run.status, 'current');
+    assert.deepEqual(run.steps, []);
+    assert.deepEqual(readData(), migrated);
+  });
+
+  test('should be idempotent when every migration runs again on migrated data', async () => {
+    await seedVersion0();
+    await runMigrations();
+    const migrated = readData();
+
+    let data = structuredClone(migrated);
+    for (const migration of MIGRATIONS) {
+      data = await migration.migrate(data);
+    }
+
+    assert.deepEqual(data, migrated);
+  });
+
+  test('should only report the changes on a dry run', async () => {
+    await seedVersion0();
+    const original = readData();
+
+    const run = await runMigrations({ dryRun: true });
+
+    assert.equal(run.status, 'dry-run');
+    assert.equal(run.steps.length, 3);
+    assert.ok(run.steps[1].changes.local.set.includes(toStorageKey('changeHistory')));
+    assert.deepEqual(readData(), original);
+    assert.equal(await getSchemaVersion(), 0);
+  });
+
+  test('should roll back when the migrated data cannot be saved', async () => {
+    await seedVersion0();
+    const original = readData();
+
+    const { set } = chrome.storage.sync;
+    let failures = 1;
+    chrome.storage.sync.set = async (items) => {
+      if (failures-- > 0) throw new Error('QUOTA_BYTES quota exceeded');
+      return set(items);
+    };
+
+    try {
+      const run = await runMigrations();
+
+      assert.equal(run.status, 'rolled-back');
+      assert.equal(run.toVersion, 0);
+      assert.match(run.error, /Could not save migrated data/);
+    } finally {
+      chrome.storage.sync.set = set;
+    }
+
+    assert.deepEqual(readData(), original);
+    assert.equal(await getSchemaVersion(), 0);
+  });
+
+  test('should write nothing when a migration fails', async () => {
+    await seedVersion0();
+    const original = readData();
+
+    MIGRATIONS.push({
+      version: LATEST_SCHEMA_VERSION + 1,
+      description: 'Broken migration',
+      migrate: () => { throw new Error('boom'); }
+    });
+    try {
+      const run = await runMigrations();
+
+      assert.equal(run.status, 'failed');
+      assert.match(run.error, /Broken migration/);
+    } finally {
+      MIGRATIONS.pop();
+    }
+
+    assert.deepEqual(readData(), original);
+    const [logged] = await getMigrationLog();
+    assert.equal(logged.status, 'failed');
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Sync engine: queued local edits, conflict merges and refused remote records
+ * against an in-memory backend
+ * Run with: node --test tests/
+ */
+
+import { resetStorage } from '../fixtures/chrome.js';
+import { describe, test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import CONFIG from '../../src/config.js';
+import { toStorageKey } from '../../src/storage.js';
+import { getSettings, saveSettings } from '../../src/settings.js';
+import { getWatchRules, saveWatchRules, createRule } from '../../src/rules.js';
+import { CHANGE_HISTORY_KEY } from '../../src/history.js';
+import { SYNC_STATUS, resolveConflict, runSync, getSyncState } from '../../src/sync.js';
+
+// Backend stand-in: answers pulls with the queued responses, records pushes
+let pulls = [];
+let pushed = [];
+
+const backendFetch = async (url, init) => {
+  if (init.method === 'POST') {
+    pushed.push(...JSON.parse(init.body).changes);
+    return Response.json({});
+  }
+  return Response.json(pulls.shift() || { changes: [], cursor: 'cursor-0', hasMore: false });
+};
+
+const sync = () => runSync({ fetch: backendFetch });
+
+const offers = createRule({ id: 'rule-1', name: 'Offers', selector: '#offers', createdAt: '2026-01-01T00:00:00.000Z' });
+
+/**
+ * A change made on another device
+ * @param {object} change - Fields to set
+ * @returns {object}
+ */
+const remoteChange = change => ({
+  collection: 'rules',
+  id: offers.id,
+  deviceId: 'other-device',
+  updatedAt: new Date(Date.now() + 60000).toISOString(),
+  deleted: false,
+  data: null,
+  ...change
+});
+
+before(() => {
+  CONFIG.LOGGING.ENABLE_FILE = false;
+  CONFIG.LOGGING.ENABLE_CONSOLE = false;
+});
+
+beforeEach(async () => {
+  resetStorage();
+  chrome.permissions.contains = async () => true;
+  pulls = [];
+  pushed = [];
+
+  await saveSettings({ autoSync: true });
+  await saveWatchRules([offers]);
+  // The first run pushes everything and records the baseline
+  await sync();
+  pushed = [];
+});
+
+describe('resolveConflict', () => {
+  const local = { id: 'a', deviceId: 'here', updatedAt: '2026-01-02T00:00:00.000Z', deleted: false, data: { name: 'Local', only: 'here' } };
+  const remote = { id: 'a', deviceId: 'there', updatedAt: '2026-01-01T00:00:00.000Z', deleted: false, data: { name: 'Remote', also: 'there' } };
+
+  test('should keep fields from both sides, the newer edit winning shared ones', () => {
+    assert.deepEqual(resolveConflict(local, remote).data, { name: 'Local', only: 'here', also: 'there' });
+    assert.equal(resolveConflict({ ...local, updatedAt: '2025-12-31T00:00:00.000Z' }, remote).data.name, 'Remote');
+  });
+
+  test('should let an edit win over a deletion on either side', () => {
+    const localDeleted = resolveConflict({ ...local, deleted: true, data: null }, remote);
+    assert.equal(localDeleted.deleted, false);
+    assert.deepEqual(localDeleted.data, remote.data);
+    assert.equal(localDeleted.deviceId, 'here');
+
+    assert.equal(resolveConflict(local, { ...remote, deleted: true, data: null }), local);
+  });
+});
+
+describe('runSync', () => {
+  test('should push only what changed since the last run', async () => {
+    await saveWatchRules([{ ...offers, name: 'Open offers' }]);
+
+    const state = await sync();
+
+    assert.equal(state.status, SYNC_STATUS.SYNCED);
+    assert.deepEqual(pushed.map(change => change.id), [offers.id]);
+    assert.equal(pushed[0].data.name, 'Open offers');
+    assert.deepEqual(state.pending, {});
+  });
+
+  test('should merge a record edited here and on another device, and push the result', async () => {
+    await saveWatchRules([{ ...offers, name: 'Local name' }]);
+    pulls.push({
+      changes: [remoteChange({ data: { ...offers, name: 'Remote name', selector: '#open-offers' } })],
+      cursor: 'cursor-1'
+    });
+
+    await sync();
+
+    const [rule] = await getWatchRules();
+    assert.equal(rule.name, 'Remote name');
+    assert.equal(rule.selector, '#open-offers');
+    assert.equal(pushed.length, 1);
+    assert.deepEqual(pushed[0].data, rule);
+    assert.notEqual(pushed[0].deviceId, 'other-device');
+  });
+
+  test('should restore a rule deleted here but edited on another device', async () => {
+    await saveWatchRules([]);
+    pulls.push({ changes: [remoteChange({ data: { ...offers, name: 'Still needed' } })], cursor: 'cursor-1' });
+
+    await sync();
+
+    const rules = await getWatchRules();
+    assert.deepEqual(rules.map(rule => rule.name), ['Still needed']);
+    assert.equal(pushed[0].deleted, false);
+  });
+
+  test('should keep a rule edited here but deleted on another device', async () => {
+    await saveWatchRules([{ ...offers, name: 'Edited here' }]);
+    pulls.push({ changes: [remoteChange({ deleted: true })], cursor: 'cursor-1' });
+
+    await sync();
+
+    const rules = await getWatchRules();
+    assert.deepEqual(rules.map(rule => rule.name), ['Edited here']);
+    assert.equal(pushed[0].deleted, false);
+    assert.equal(pushed[0].data.name, 'Edited here');
+  });
+
+  test('should refuse invalid remote records, apply the rest and move the cursor on', async () => {
+    pulls.push({
+      changes: [
+        remoteChange({ id: 'rule-2', data: { ...offers, id: 'rule-2', selector: '' } }),
+        remoteChange({ collection: 'settings', id: 'settings', data: { theme: 'neon', refreshInterval: 120000 } })
+      ],
+      cursor: 'cursor-1'
+    });
+
+    const state = await sync();
+
+    assert.equal(state.status, SYNC_STATUS.SYNCED);
+    assert.equal(state.cursor, 'cursor-1');
+    assert.equal(state.lastRun.refused, 2);
+    assert.deepEqual(state.conflicts.map(conflict => conflict.id).sort(), ['rule-2', 'settings']);
+
+    assert.deepEqual((await getWatchRules()).map(rule => rule.id), [offers.id]);
+    const settings = await getSettings();
+    assert.equal(settings.refreshInterval, 120000);
+    assert.equal(settings.theme, 'system');
+  });
+
+  test('should not push history entries twice when they arrive out of timestamp order', async () => {
+    const entries = [
+      { id: 'late', timestamp: '2026-01-01T10:00:00.000Z', receivedAt: '2026-01-01T12:00:00.000Z' },
+      { id: 'early', timestamp: '2026-01-01T11:00:00.000Z', receivedAt: '2026-01-01T11:00:00.000Z' }
+    ];
+    await chrome.storage.local.set({ [toStorageKey(CHANGE_HISTORY_KEY)]: { entries, index: { byUrl: {}, byTab: {} } } });
+
+    const state = await sync();
+    assert.equal(state.historyPushedAt, '2026-01-01T12:00:00.000Z');
+    assert.deepEqual(pushed.map(change => change.id).sort(), ['early', 'late']);
+
+    pushed = [];
+    await sync();
+    assert.deepEqual(pushed, []);
+  });
+
+  test('should not contact the backend without host access', async () => {
+    chrome.permissions.contains = async () => false;
+    await saveWatchRules([{ ...offers, name: 'Open offers' }]);
+
+    const state = await sync();
+
+    assert.equal(state.status, SYNC_STATUS.ERROR);
+    assert.match(state.lastError, /No access/);
+    assert.deepEqual(pushed, []);
+    assert.equal((await getSyncState()).cursor, 'cursor-0');
+  });
+});
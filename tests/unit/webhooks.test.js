@@ -0,0 +1,130 @@
+/**
+ * Webhook signing, outbox and retries against a local HTTP stub
+ * Run with: node --test tests/
+ */
+
+import { resetStorage } from '../fixtures/chrome.js';
+import { describe, test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStubServer } from '../fixtures/server.js';
+import { createHmac } from 'node:crypto';
+import CONFIG from '../../src/config.js';
+import {
+  saveWebhooks,
+  createChangePayload,
+  enqueueWebhookPayload,
+  flushWebhookOutbox,
+  getOutbox,
+  getDeliveryLog
+} from '../../src/webhooks.js';
+
+// Requests the stub received, and the statuses it answers with in turn (200 once they run out)
+let received = [];
+let statuses = [];
+
+let server;
+let baseUrl;
+
+const entry = {
+  id: 'change-1',
+  kind: 'dom',
+  ruleId: 'rule-1',
+  ruleName: 'Open blocks',
+  url: 'https://portal.example.com/offers',
+  timestamp: '2026-01-09T19:23:02.000Z',
+  summary: ['Added: 3pm-6pm $72'],
+  diff: null
+};
+
+before(async () => {
+  server = await startStubServer((req, res, body) => {
+    received.push({ url: req.url, headers: req.headers, body });
+    res.statusCode = statuses.shift() || 200;
+    res.end();
+  });
+  ({ baseUrl } = server);
+  // Keep the immediate retries fast
+  CONFIG.WEBHOOKS.RETRY_DELAY = 5;
+});
+
+after(() => server.close());
+
+beforeEach(async () => {
+  resetStorage();
+  received = [];
+  statuses = [];
+  await saveWebhooks([
+    { id: 'signed', name: 'Signed', url: `${baseUrl}/signed`, secret: 's3cret' },
+    { id: 'filtered', name: 'Other rule only', url: `${baseUrl}/filtered`, ruleId: 'rule-2' }
+  ]);
+});
+
+describe('webhook delivery', () => {
+  test('should queue only webhooks whose filter matches', async () => {
+    const deliveries = await enqueueWebhookPayload(createChangePayload(entry));
+    assert.deepEqual(deliveries.map(delivery => delivery.webhookId), ['signed']);
+    assert.equal((await getOutbox()).length, 1);
+  });
+
+  test('should sign the body and timestamp with the webhook secret', async () => {
+    await enqueueWebhookPayload(createChangePayload(entry));
+    const result = await flushWebhookOutbox({ fetch });
+
+    assert.deepEqual(result, { attempted: 1, remaining: 0 });
+    assert.equal(received.length, 1);
+
+    const [{ headers, body }] = received;
+    const expected = createHmac('sha256', 's3cret').update(`${headers['x-flex-timestamp']}.${body}`).digest('hex');
+    assert.equal(headers['x-flex-signature'], `sha256=${expected}`);
+    assert.equal(headers['x-flex-event'], 'change.detected');
+    assert.equal(JSON.parse(body).changeId, 'change-1');
+
+    const [logged] = await getDeliveryLog();
+    assert.equal(logged.outcome, 'delivered');
+    assert.equal(logged.status, 200);
+  });
+
+  test('should retry server errors within a round', async () => {
+    statuses = [503, 502];
+    await enqueueWebhookPayload(createChangePayload(entry));
+    await flushWebhookOutbox({ fetch });
+
+    assert.equal(received.length, 3);
+    assert.equal(new Set(received.map(request => request.headers['x-flex-delivery'])).size, 1);
+    assert.equal((await getOutbox()).length, 0);
+  });
+
+  test('should keep a failing delivery in the outbox for a later round', async () => {
+    statuses = [503, 503, 503];
+    await enqueueWebhookPayload(createChangePayload(entry));
+    const result = await flushWebhookOutbox({ fetch });
+
+    assert.deepEqual(result, { attempted: 1, remaining: 1 });
+    const [delivery] = await getOutbox();
+    assert.equal(delivery.rounds, 1);
+    assert.ok(delivery.nextAttemptAt > Date.now());
+    assert.equal((await getDeliveryLog())[0].outcome, 'retrying');
+
+    // Not due yet, unless forced
+    assert.deepEqual(await flushWebhookOutbox({ fetch }), { attempted: 0, remaining: 1 });
+    assert.deepEqual(await flushWebhookOutbox({ fetch, force: true }), { attempted: 1, remaining: 0 });
+  });
+
+  test('should not retry a rejected delivery', async () => {
+    statuses = [400];
+    await enqueueWebhookPayload(createChangePayload(entry));
+    await flushWebhookOutbox({ fetch });
+
+    assert.equal(received.length, 1);
+    assert.equal((await getOutbox()).length, 0);
+    assert.equal((await getDeliveryLog())[0].outcome, 'rejected');
+  });
+
+  test('should leave out the signature without a secret', async () => {
+    await enqueueWebhookPayload(createChangePayload(entry), { webhookId: 'filtered' });
+    await flushWebhookOutbox({ fetch });
+
+    assert.equal(received[0].url, '/filtered');
+    assert.equal(received[0].headers['x-flex-signature'], undefined);
+  });
+});